@@ -5,7 +5,7 @@ var defaultConfig = require('../config/default'),
     snpm = require('../lib'),
     url = require('url'),
     fs = require('fs'),
-    path = require('path')
+    path = require('path'),
     util = require('util');
 
 process.title = 'smart-private-npm';
@@ -19,13 +19,19 @@ var argv = require('minimist')(process.argv.slice(2), {
     exclude: 'e',
     loglevel: 'l',
     transparent: 't',
+    follow: 'f',
+    offline: 'o',
     'ignore-private': 'i'
   },
-  boolean: ['help', 'transparent', 'ignore-private'],
-  string: ['private', 'public', 'exclude', 'loglevel'],
+  boolean: ['help', 'transparent', 'follow', 'offline', 'ignore-private', 'fresh', 'json'],
+  string: [
+    'private', 'public', 'exclude', 'loglevel', 'dir', 'concurrency',
+    'whitelist', 'blacklist', 'url', 'user', 'password', 'token', 'timeout'
+  ],
   default: {
     loglevel: 'info',
     transparent: false,
+    offline: false,
     'ignore-private': false
   }
 });
@@ -39,53 +45,62 @@ if (argv.help) {
 // TODO: Replace with diagnostic
 var winston = require('winston');
 
-var config = argv.config ? require(path.resolve(process.cwd(), argv.config)) : {};
-
-var log = config.log = config.log || new winston.Logger({
+var log = new winston.Logger({
   transports: [
     new (winston.transports.Console)({ level: argv.loglevel, colorize: true })
   ]
 });
 
+var config;
+try {
+  config = loadConfig();
+}
+catch (ex) {
+  log.error(ex.message);
+  return process.exit(1);
+}
+
+log = config.log = config.log || log;
+
 config.ip = argv.i;
 
-if (typeof config.public === "string") {
-  config.public = url.parse(config.public);
+//
+// `smart-private-npm mirror` fetches the whitelist into
+// the degraded store instead of starting the proxy.
+//
+if (argv._[0] === 'mirror') {
+  return mirror();
 }
-if (typeof config.private === "string") {
-  config.private = url.parse(config.private);
+
+//
+// `smart-private-npm policy <command>` manages the policy on disk
+// (or of a running instance with `--url`) instead of starting the proxy.
+//
+if (argv._[0] === 'policy') {
+  return policy(argv._[1], argv._.slice(2));
 }
 
-var snpmOpts = {
-  rewrites: null,
-  proxy: {
-    npm: null,
-    policy: {
-      npm: null,
-      private: {},
-      blacklist: {},
-      transparent: false
-    },
-    log: null
-  },
-  http: null,
-  https: null,
-  log: null
-};
+var snpmOpts = config;
 
-snpmOpts = util._extend(snpmOpts, defaultConfig, config, argv);
-delete snpmOpts.config;
+//
+// Only follow the private registry when it is not ignored.
+//
+snpmOpts.follow = !snpmOpts.ip && snpmOpts.follow;
 
-if (argv.config) {
-  log.verbose('config => %s', argv.config);
+if (argv.config || process.env.SPNPM_CONFIG) {
+  log.verbose('config => %s', argv.config || process.env.SPNPM_CONFIG);
 }
-log.verbose('private registry => %s', snpmOpts.proxy.policy.npm);
-log.verbose('public registry => %s', snpmOpts.npm);
+log.verbose('private registry => %s', url.format(snpmOpts.proxy.policy.npm));
+log.verbose('public registry => %s', [].concat(snpmOpts.proxy.npm.read || snpmOpts.proxy.npm).map(function (npm) {
+  return url.format(npm);
+}).join(', '));
 log.verbose('http => %s', ''+snpmOpts.http);
 log.verbose('https => '+(snpmOpts.https ? snpmOpts.https : 'null'));
 log.verbose('excludes =>', snpmOpts.exclude);
-log.verbose('transparent =>', snpmOpts.proxy.transparent);
+log.verbose('transparent =>', snpmOpts.proxy.policy.transparent);
 log.verbose('ignore-private =>', snpmOpts.ip);
+log.verbose('follow =>', !!snpmOpts.follow);
+log.verbose('offline =>', !!snpmOpts.proxy.offline);
 
 if (snpmOpts.ip === true) {
   getPkgs = function(a, cb) {
@@ -108,12 +123,228 @@ snpm.getPkgs(snpmOpts, function(err, privatePkgs) {
   }
 
   snpmOpts.proxy.policy.private = privatePkgs;
-  snpm.createServer(snpmOpts, function(err, servers) {
+  snpm.createServer(snpmOpts, function(err, servers, server) {
     if (err) {
       log.error('error starting private npm', { err: err });
       log.error('servers: %j', Object.keys(servers));
       return process.exit(1);
     }
     log.info('private npm running on: %j', Object.keys(servers));
+
+    process.on('SIGHUP', reload.bind(null, server));
+    process.once('SIGTERM', shutdown.bind(null, server));
   });
 });
+
+//
+// ### function loadConfig ()
+// Returns the configuration from the defaults, then the configuration
+// file, then `SPNPM_*` environment variables and finally the flags.
+// Within `policy` subcommands `--private` is a package rather than a url.
+//
+function loadConfig() {
+  return snpm.config.load({
+    defaults: snpm.config.merge({
+      proxy: {
+        policy: {
+          private: {},
+          blacklist: {},
+          transparent: false
+        }
+      }
+    }, defaultConfig),
+    file: argv.config,
+    env: process.env,
+    argv: argv._[0] === 'policy'
+      ? util._extend(util._extend({}, argv), { 'private': undefined })
+      : argv
+  });
+}
+
+//
+// ### function reload (server)
+// Reloads the configuration into the running `server` on `SIGHUP`.
+// An invalid configuration is logged and the current one is kept.
+//
+function reload(server) {
+  var next;
+
+  log.info('SIGHUP: reloading %s', argv.config || process.env.SPNPM_CONFIG || 'the configuration');
+  try {
+    next = loadConfig();
+  }
+  catch (ex) {
+    return log.error('Not reloading.', ex.message);
+  }
+
+  next.log = config.log;
+  server.reload(next, function (err) {
+    if (err) {
+      return log.error('Error reloading the policy', err.message);
+    }
+
+    config = next;
+    log.info('reloaded the configuration');
+  });
+}
+
+//
+// ### function shutdown (server)
+// Stops accepting connections on `SIGTERM`, waits for the requests being
+// served (up to `shutdownTimeout`) and exits. A second `SIGTERM` exits at once.
+//
+function shutdown(server) {
+  log.info('SIGTERM: draining requests for up to %dms', config.shutdownTimeout || 30 * 1000);
+  server.close({ timeout: config.shutdownTimeout }, function (err, dropped) {
+    if (dropped) {
+      log.warn('cut off %d requests which did not finish in time', dropped);
+    }
+
+    process.exit(0);
+  });
+}
+
+//
+// ### function mirror ()
+// Mirrors every whitelisted package from the public registry into
+// `proxy.degraded` (or `--dir`) and logs a summary once done.
+//
+function mirror() {
+  var proxyOptions = util._extend({}, config.proxy),
+      dir          = argv.dir || proxyOptions.degraded,
+      mirrorer;
+
+  proxyOptions.degraded = dir;
+  proxyOptions.probe    = false;
+  proxyOptions.log      = log;
+
+  if (!dir) {
+    log.error('Nowhere to mirror to: set proxy.degraded or --dir');
+    return process.exit(1);
+  }
+
+  if (!proxyOptions.policy.whitelist) {
+    log.error('Nothing to mirror: set proxy.policy.whitelist');
+    return process.exit(1);
+  }
+
+  mirrorer = new snpm.Mirror({
+    proxy: new snpm.Proxy(proxyOptions),
+    concurrency: parseInt(argv.concurrency, 10) || undefined,
+    fresh: argv.fresh,
+    log: log
+  });
+
+  mirrorer.on('package', function (pkg, info) {
+    log.info('[mirror] %s: %d versions%s', pkg, info.versions, info.failed ? ' (with failures)' : '');
+  });
+
+  mirrorer.run(function (err, summary) {
+    if (err) {
+      log.error('Error mirroring the whitelist', err.message);
+      return process.exit(1);
+    }
+
+    log.info('mirrored %d of %d packages (%d resumed) in %ds',
+      summary.mirrored, summary.packages, summary.resumed, Math.round(summary.elapsed / 1000));
+    log.info('tarballs: %d fetched (%d bytes), %d already cached, %d failed',
+      summary.tarballs.fetched, summary.bytes, summary.tarballs.cached, summary.tarballs.failed);
+
+    if (summary.skipped.length) {
+      log.warn('skipped patterns and scopes: %s', summary.skipped.join(', '));
+    }
+
+    summary.failed.forEach(function (failure) {
+      log.error('failed %s%s: %s', failure.pkg, failure.version ? '@' + failure.version : '', failure.reason);
+    });
+
+    process.exit(summary.failed.length ? 1 : 0);
+  });
+}
+
+//
+// ### function policy (command, args)
+// #### @command {string} One of `list`, `add`, `remove` or `import`.
+// #### @args    {Array}  Remaining arguments, i.e. the file for `import`.
+//
+// Runs `command` against the configured policy and prints the resulting
+// policy as a table (or as JSON with `--json`).
+//
+function policy(command, args) {
+  var admin = util._extend({}, config.admin || {}),
+      lists = snpm.policyClient.lists.filter(function (list) {
+        return argv[list] !== undefined;
+      }),
+      client,
+      entry,
+      list,
+      pkg,
+      at;
+
+  function respond(err, state) {
+    if (err) {
+      log.error('Error running policy %s: %s', command, err.message);
+      return process.exit(1);
+    }
+
+    console.log(argv.json
+      ? JSON.stringify(state, null, 2)
+      : snpm.policyClient.table(state));
+  }
+
+  ['user', 'password', 'token'].forEach(function (key) {
+    if (argv[key]) { admin[key] = argv[key]; }
+  });
+
+  if (command === 'add' || command === 'remove') {
+    if (lists.length !== 1 || !argv[lists[0]] || Array.isArray(argv[lists[0]])) {
+      log.error('Usage: smart-private-npm policy %s --<whitelist|blacklist|private> <pkg>', command);
+      return process.exit(1);
+    }
+
+    list  = lists[0];
+    entry = argv[list];
+    at    = entry.lastIndexOf('@');
+    pkg   = at > 0 ? entry.slice(0, at) : entry;
+  }
+  else if (command === 'import' && !args[0]) {
+    log.error('Usage: smart-private-npm policy import <file>');
+    return process.exit(1);
+  }
+  else if (command !== 'list' && command !== 'import') {
+    log.error('Unknown policy command: %s', command);
+    return process.exit(1);
+  }
+
+  try {
+    client = snpm.policyClient.create({
+      url: argv.url,
+      admin: admin,
+      timeout: parseInt(argv.timeout, 10) || undefined,
+      config: config,
+      file: (argv.config || process.env.SPNPM_CONFIG) && path.resolve(process.cwd(), argv.config || process.env.SPNPM_CONFIG)
+    });
+  }
+  catch (ex) {
+    log.error(ex.message);
+    return process.exit(1);
+  }
+
+  switch (command) {
+    case 'list':
+      return client.list(respond);
+    case 'add':
+      return client.add(list, pkg, at > 0 ? entry.slice(at + 1) : undefined, respond);
+    case 'remove':
+      return client.remove(list, pkg, respond);
+    case 'import':
+      return fs.readFile(path.resolve(process.cwd(), args[0]), 'utf8', function (err, contents) {
+        if (err) { return respond(err); }
+
+        try { contents = JSON.parse(contents); }
+        catch (ex) { return respond(ex); }
+
+        client.importState(contents.proxy && contents.proxy.policy || contents, respond);
+      });
+  }
+}
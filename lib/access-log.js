@@ -0,0 +1,119 @@
+/*
+ * access-log.js: Structured JSON access log with size-based rotation.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var path = require('path'),
+    fs = require('fs');
+
+//
+// ### function AccessLog (options)
+// #### @options {Object|string} Options for the access log (or the path to it)
+// ####   @file     {string} Path to the access log.
+// ####   @maxSize  {number} **Optional** Bytes before the log is rotated. Defaults to 10MB.
+// ####   @maxFiles {number} **Optional** Rotated logs to keep. Defaults to 5.
+// ####   @log      {function} **Optional** Log function. Defaults to console.
+//
+// Constructor function for the AccessLog object responsible for writing
+// one JSON line per request to `file`. Once `file` grows beyond `maxSize`
+// it is renamed to `file.1` (and `file.1` to `file.2`, etc).
+//
+var AccessLog = module.exports = function (options) {
+  if (!(this instanceof AccessLog)) { return new AccessLog(options) }
+
+  if (typeof options === 'string') {
+    options = { file: options };
+  }
+
+  this.file     = path.resolve(options.file);
+  this.maxSize  = options.maxSize || 10 * 1024 * 1024;
+  this.maxFiles = options.maxFiles || 5;
+  this.log      = options.log || console;
+  this.open();
+};
+
+//
+// ### function open ()
+// Opens `this.file` for appending.
+//
+AccessLog.prototype.open = function () {
+  var log = this.log;
+
+  try { this.size = fs.statSync(this.file).size; }
+  catch (ex) { this.size = 0; }
+
+  //
+  // Remark: Open the file synchronously so a rotation can never
+  // rename it before this stream has actually opened it.
+  //
+  this.stream = fs.createWriteStream(this.file, { fd: fs.openSync(this.file, 'a') });
+  this.stream.on('error', function (err) {
+    log.error('[access log] unable to write %s: %s', this.path, err.message);
+  });
+};
+
+//
+// ### function write (entry)
+// #### @entry {Object} Details of a single request.
+//
+// Appends `entry` as a JSON line, rotating first if it
+// would grow the log beyond `this.maxSize`.
+//
+AccessLog.prototype.write = function (entry) {
+  var line  = JSON.stringify(entry) + '\n',
+      bytes = Buffer.byteLength(line);
+
+  if (this.size && this.size + bytes > this.maxSize) {
+    this.rotate();
+  }
+
+  this.size += bytes;
+  this.stream.write(line);
+};
+
+//
+// ### function rotate ()
+// Shifts every rotated log along by one (dropping the oldest)
+// and starts a new `this.file`. Lines still being written to
+// the previous file end up in `file.1`. If that fails the
+// current file is kept and rotating is tried again once it
+// has grown by another `this.maxSize`.
+//
+AccessLog.prototype.rotate = function () {
+  var previous = this.stream,
+      file     = this.file;
+
+  function rename(from, to) {
+    try { fs.renameSync(from, to); }
+    catch (ex) { if (ex.code !== 'ENOENT') { throw ex; } }
+  }
+
+  try {
+    try { fs.unlinkSync(file + '.' + this.maxFiles); }
+    catch (ex) {}
+
+    for (var i = this.maxFiles - 1; i >= 1; i--) {
+      rename(file + '.' + i, file + '.' + (i + 1));
+    }
+
+    rename(file, file + '.1');
+    this.open();
+  }
+  catch (ex) {
+    this.log.error('[access log] unable to rotate %s: %s', file, ex.message);
+    this.size = 0;
+    return;
+  }
+
+  previous.end();
+};
+
+//
+// ### function close (callback)
+// #### @callback {function} **Optional** Continuation once every line is written.
+//
+AccessLog.prototype.close = function (callback) {
+  this.stream.end(callback);
+};
@@ -0,0 +1,344 @@
+/*
+ * admin.js: Authenticated routes for managing a running smart-private-npm.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var policyStore = require('./policy-store'),
+    explain = require('./explain'),
+    config = require('./config'),
+    util = require('util'),
+    url_ = require('url');
+
+//
+// Policy lists which can be managed at runtime.
+//
+var lists = ['private', 'blacklist', 'whitelist'];
+
+//
+// ### function createRoutes (router, options)
+// #### @router  {director.http.Router} Router to add the admin routes to.
+// #### @options {Object} Options for the admin routes
+// ####   - admin   {Object}   Credentials required for every admin route.
+// ####     - user     {string} Username for Basic auth.
+// ####     - password {string} Password for Basic auth.
+// ####     - token    {string} Token for Bearer auth.
+// ####   - proxy   {NpmProxy} Running proxy to manage.
+// ####   - metrics {boolean}  **Optional** Also serve `/-/smart/metrics`.
+// ####   - log     {function} Logging function to use.
+//
+// Adds the `/-/smart/*` admin routes to the `router`.
+//
+exports.createRoutes = function (router, options) {
+  var admin = options.admin,
+      proxy = options.proxy,
+      log   = options.log;
+
+  //
+  // ### function route (method, path, handler)
+  // Adds a `handler` which is only invoked for authorized
+  // requests. It receives `req`, `res` and any captures.
+  //
+  function route(method, path, handler) {
+    log.info('[route]', '%s - %s %s', 'admin', method, path.source || path);
+    router[method](path, function () {
+      var args = Array.prototype.slice.call(arguments),
+          next = args.pop();
+
+      //
+      // Remark: director also invokes routes for any parent of the
+      // requested path so pass control along unless it is exact.
+      //
+      if (typeof path === 'string' && this.req.url.split('?')[0].replace(/\/$/, '') !== path) {
+        return next();
+      }
+
+      if (!exports.authorized(this.req, admin)) {
+        log.warn('[admin] unauthorized %s %s', this.req.method, this.req.url);
+        return exports.send(this.res, 401, { error: 'unauthorized', reason: 'Admin credentials required' }, {
+          'www-authenticate': 'Basic realm="smart-private-npm"'
+        });
+      }
+
+      handler.apply(null, [this.req, this.res].concat(args));
+    });
+  }
+
+  //
+  // ### function update (list, pkg, value)
+  // Applies a change to a single entry in a policy `list`
+  // to the running proxy.
+  //
+  function update(list, pkg, value) {
+    var policy = util._extend({}, proxy.policy);
+
+    policy[list] = util._extend({}, policy[list] || {});
+    if (value === undefined) {
+      delete policy[list][pkg];
+    }
+    else {
+      policy[list][pkg] = value;
+    }
+
+    proxy.setPolicy(policy);
+  }
+
+  route('get', '/-/smart/policy', function (req, res) {
+    exports.send(res, 200, exports.describe(proxy.policy));
+  });
+
+  route('put', '/-/smart/policy/transparent', function (req, res) {
+    exports.readJson(req, function (err, body) {
+      if (err || typeof (body && body.transparent) !== 'boolean') {
+        return exports.send(res, 400, { error: 'bad_request', reason: 'Expected { "transparent": true|false }' });
+      }
+
+      log.info('[admin] transparent => %s', body.transparent);
+      proxy.setPolicy(util._extend(util._extend({}, proxy.policy), { transparent: body.transparent }));
+      exports.send(res, 200, exports.describe(proxy.policy));
+    });
+  });
+
+  route('get', /\/-\/smart\/policy\/([a-z]+)/, function (req, res, list) {
+    if (lists.indexOf(list) === -1) {
+      return exports.send(res, 404, { error: 'not_found', reason: 'Unknown policy list: ' + list });
+    }
+
+    exports.send(res, 200, proxy.policy[list] || null);
+  });
+
+  route('delete', '/-/smart/policy/whitelist', function (req, res) {
+    log.info('[admin] disabling whitelist');
+
+    var policy = util._extend({}, proxy.policy);
+    delete policy.whitelist;
+    proxy.setPolicy(policy);
+    exports.send(res, 200, exports.describe(proxy.policy));
+  });
+
+  route('put', /\/-\/smart\/policy\/([a-z]+)\/([@%_\.\*a-zA-Z0-9-]+)/, function (req, res, list, name) {
+    if (lists.indexOf(list) === -1) {
+      return exports.send(res, 404, { error: 'not_found', reason: 'Unknown policy list: ' + list });
+    }
+
+    exports.readJson(req, function (err, value) {
+      var pkg     = proxy.packageName('/' + name),
+          query   = url_.parse(req.url, true).query,
+          entry   = {};
+
+      if (err) {
+        return exports.send(res, 400, { error: 'bad_request', reason: err.message });
+      }
+
+      //
+      // Values are held to the same rule as the lists in the
+      // configuration, i.e. `true` or a valid semver range.
+      //
+      entry[pkg] = value = value === undefined ? true : value;
+      if (config.types.list(entry)) {
+        return exports.send(res, 400, { error: 'bad_request', reason: 'Expected true or a valid semver range (got ' + JSON.stringify(value) + ')' });
+      }
+
+      //
+      // Remark: Adding the first package to a whitelist blocks every other
+      // public package so it must be asked for explicitly.
+      //
+      if (list === 'whitelist' && !proxy.policy.whitelist && query.enable !== 'true') {
+        return exports.send(res, 409, {
+          error: 'conflict',
+          reason: 'The whitelist is disabled and adding ' + pkg + ' would block every other public package. Add ?enable=true to enable it.'
+        });
+      }
+
+      log.info('[admin] adding %s to %s', pkg, list);
+      update(list, pkg, value);
+      exports.send(res, 200, proxy.policy[list]);
+    });
+  });
+
+  route('delete', /\/-\/smart\/policy\/([a-z]+)\/([@%_\.\*a-zA-Z0-9-]+)/, function (req, res, list, name) {
+    if (lists.indexOf(list) === -1) {
+      return exports.send(res, 404, { error: 'not_found', reason: 'Unknown policy list: ' + list });
+    }
+
+    var pkg = proxy.packageName('/' + name);
+    if (!proxy.policy[list] || !proxy.policy[list].hasOwnProperty(pkg)) {
+      return exports.send(res, 404, { error: 'not_found', reason: pkg + ' is not in ' + list });
+    }
+
+    log.info('[admin] removing %s from %s', pkg, list);
+    update(list, pkg);
+    exports.send(res, 200, proxy.policy[list]);
+  });
+
+  if (options.metrics) {
+    route('get', '/-/smart/metrics', function (req, res) {
+      exports.sendMetrics(res, proxy);
+    });
+  }
+
+  route('get', '/-/smart/audit', function (req, res) {
+    if (!proxy.auditLog) {
+      return exports.send(res, 404, { error: 'not_found', reason: 'Audit trail is not enabled' });
+    }
+
+    var query = url_.parse(req.url, true).query;
+    proxy.auditLog.query({
+      pkg:    query.pkg,
+      user:   query.user,
+      action: query.action,
+      since:  query.since,
+      limit:  parseInt(query.limit, 10) || undefined
+    }, function (err, records) {
+      if (err) {
+        log.error('[admin] unable to read the audit trail: %s', err.message);
+        return exports.send(res, 500, { error: 'internal_error', reason: err.message });
+      }
+
+      exports.send(res, 200, { records: records });
+    });
+  });
+
+  route('get', '/-/smart/audit/verify', function (req, res) {
+    if (!proxy.auditLog) {
+      return exports.send(res, 404, { error: 'not_found', reason: 'Audit trail is not enabled' });
+    }
+
+    proxy.auditLog.verify(function (err, result) {
+      if (err) {
+        log.error('[admin] unable to verify the audit trail: %s', err.message);
+        return exports.send(res, 500, { error: 'internal_error', reason: err.message });
+      }
+
+      exports.send(res, 200, result);
+    });
+  });
+
+  route('get', /\/-\/smart\/explain\/([@%_\.a-zA-Z0-9-]+)/, function (req, res, name) {
+    var query = url_.parse(req.url, true).query,
+        pkg   = proxy.packageName('/' + name);
+
+    explain.resolve(proxy, query.user, req, function (err, policy, policyName) {
+      if (err) {
+        return exports.send(res, 400, { error: 'bad_request', reason: err.message });
+      }
+
+      var result = explain.explain(proxy, policy, pkg, {
+        method:  query.method,
+        version: query.version
+      });
+
+      result.user   = query.user || null;
+      result.policy = policyName;
+      exports.send(res, 200, result);
+    });
+  });
+};
+
+//
+// ### function describe (policy)
+// #### @policy {Object} Policy to describe.
+//
+// Returns the parts of the `policy` which can be managed at runtime.
+// A `null` whitelist means the whitelist is disabled.
+//
+exports.describe = function (policy) {
+  return policyStore.state(policy);
+};
+
+//
+// ### function authorized (req, admin)
+// #### @req   {ServerRequest} Incoming Request to an admin route.
+// #### @admin {Object}        Credentials required for admin routes.
+//
+// Returns a value indicating if `req` carries the `admin` credentials
+// either as Basic auth or as a Bearer token.
+//
+exports.authorized = function (req, admin) {
+  var parts = /^(Basic|Bearer)\s+(.*)$/.exec(req.headers.authorization || '');
+
+  if (!admin || !parts) {
+    return false;
+  }
+
+  if (parts[1] === 'Bearer') {
+    return !!admin.token && exports.safeEqual(parts[2], admin.token);
+  }
+
+  return !!admin.user && !!admin.password && exports.safeEqual(
+    new Buffer(parts[2], 'base64').toString(),
+    admin.user + ':' + admin.password
+  );
+};
+
+//
+// ### function safeEqual (a, b)
+// Compares two strings in constant time.
+//
+exports.safeEqual = function (a, b) {
+  var diff = a.length ^ b.length;
+
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+  }
+
+  return diff === 0;
+};
+
+//
+// ### function readJson (req, callback)
+// #### @req      {ServerRequest} Incoming Request to an admin route.
+// #### @callback {function}      Continuation to respond to.
+//
+// Reads and parses the JSON body of `req`. Responds with
+// `undefined` if there is no body.
+//
+exports.readJson = function (req, callback) {
+  var getRawBody = require('raw-body');
+
+  getRawBody(req, { encoding: 'utf8', limit: '1mb' }, function (err, body) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!body.trim()) {
+      return callback();
+    }
+
+    try { body = JSON.parse(body); }
+    catch (ex) { return callback(ex); }
+
+    callback(null, body);
+  });
+};
+
+//
+// ### function sendMetrics (res, proxy)
+// Responds with the metrics of `proxy` in the Prometheus text format.
+//
+exports.sendMetrics = function (res, proxy) {
+  var body = proxy.metrics.render();
+
+  res.writeHead(200, {
+    'content-type': 'text/plain; version=0.0.4',
+    'content-length': Buffer.byteLength(body)
+  });
+
+  res.end(body);
+};
+
+//
+// ### function send (res, code, body, headers)
+// Responds with `body` as JSON.
+//
+exports.send = function (res, code, body, headers) {
+  var json = JSON.stringify(body);
+
+  res.writeHead(code, util._extend({
+    'content-type': 'application/json',
+    'content-length': Buffer.byteLength(json)
+  }, headers || {}));
+
+  res.end(json);
+};
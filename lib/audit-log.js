@@ -0,0 +1,268 @@
+/*
+ * audit-log.js: Append-only, hash-chained JSONL trail of every write.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var crypto = require('crypto'),
+    path = require('path'),
+    fs = require('fs');
+
+//
+// Hash of the (non-existent) record before the first one.
+//
+var GENESIS = new Array(65).join('0');
+
+//
+// ### function AuditLog (options)
+// #### @options {Object|string} Options for the audit log (or the path to it)
+// ####   @file {string}   Path to the audit log.
+// ####   @log  {function} **Optional** Log function. Defaults to console.
+//
+// Constructor function for the AuditLog object responsible for appending
+// one JSON line per write. Every record carries the `hash` of the record
+// before it (as `prev`) and its own `hash` so that editing or removing
+// any record breaks the chain from that point on.
+//
+var AuditLog = module.exports = function (options) {
+  if (!(this instanceof AuditLog)) { return new AuditLog(options) }
+
+  if (typeof options === 'string') {
+    options = { file: options };
+  }
+
+  this.file    = path.resolve(options.file);
+  this.log     = options.log || console;
+  this.pending = 0;
+  this.waiting = [];
+
+  this.resume();
+  this.open();
+};
+
+//
+// ### function resume ()
+// Continues the chain (and the sequence) from the
+// last record already in `this.file` (if any).
+//
+AuditLog.prototype.resume = function () {
+  var last = lastLine(this.file);
+
+  this.seq  = 0;
+  this.last = GENESIS;
+
+  if (!last) {
+    return;
+  }
+
+  try { last = JSON.parse(last); }
+  catch (ex) {
+    return this.log.error('[audit] last record of %s is invalid: %s', this.file, ex.message);
+  }
+
+  this.seq  = last.seq;
+  this.last = last.hash;
+};
+
+//
+// ### function open ()
+// Opens `this.file` for appending.
+//
+AuditLog.prototype.open = function () {
+  var log = this.log;
+
+  this.stream = fs.createWriteStream(this.file, { fd: fs.openSync(this.file, 'a') });
+  this.stream.on('error', function (err) {
+    log.error('[audit] unable to write %s: %s', this.path, err.message);
+  });
+};
+
+//
+// ### function record (entry, callback)
+// #### @entry    {Object}   Details of a single write, e.g. `actor`, `action` or `pkg`.
+// #### @callback {function} **Optional** Continuation once the record is on disk.
+//
+// Appends `entry` to the chain and responds with the full record.
+//
+AuditLog.prototype.record = function (entry, callback) {
+  var record = { seq: ++this.seq, time: new Date().toISOString() },
+      self   = this;
+
+  Object.keys(entry).forEach(function (key) {
+    record[key] = entry[key];
+  });
+
+  record.prev = this.last;
+  record.hash = AuditLog.hash(record);
+  this.last   = record.hash;
+
+  this.pending++;
+  this.stream.write(JSON.stringify(record) + '\n', function (err) {
+    self.pending--;
+    if (!self.pending) {
+      self.waiting.splice(0).forEach(function (fn) { fn(); });
+    }
+
+    if (callback) { callback(err, record); }
+  });
+};
+
+//
+// ### function flush (callback)
+// #### @callback {function} Continuation once every record is on disk.
+//
+AuditLog.prototype.flush = function (callback) {
+  if (!this.pending) {
+    return callback();
+  }
+
+  this.waiting.push(callback);
+};
+
+//
+// ### function read (callback)
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with every record in `this.file`.
+//
+AuditLog.prototype.read = function (callback) {
+  var file = this.file;
+
+  this.flush(function () {
+    fs.readFile(file, 'utf8', function (err, contents) {
+      var records = [];
+
+      if (err) {
+        return err.code === 'ENOENT'
+          ? callback(null, records)
+          : callback(err);
+      }
+
+      try {
+        contents.split('\n').forEach(function (line) {
+          if (line) { records.push(JSON.parse(line)); }
+        });
+      }
+      catch (ex) { return callback(ex); }
+
+      callback(null, records);
+    });
+  });
+};
+
+//
+// ### function query (filter, callback)
+// #### @filter   {Object}   Criteria for the records to respond with
+// ####   @pkg    {string}   **Optional** Package written to.
+// ####   @user   {string}   **Optional** User who made (or was changed by) the write.
+// ####   @action {string}   **Optional** Kind of write, e.g. `publish`.
+// ####   @since  {string}   **Optional** Only records at or after this time.
+// ####   @limit  {number}   **Optional** Only the most recent `limit` records.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the records matching every criteria in `filter`.
+//
+AuditLog.prototype.query = function (filter, callback) {
+  var since = filter.since && Date.parse(filter.since);
+
+  this.read(function (err, records) {
+    if (err) {
+      return callback(err);
+    }
+
+    records = records.filter(function (record) {
+      return (!filter.pkg || record.pkg === filter.pkg)
+        && (!filter.user || record.actor === filter.user || record.user === filter.user)
+        && (!filter.action || record.action === filter.action)
+        && (!since || Date.parse(record.time) >= since);
+    });
+
+    if (filter.limit) {
+      records = records.slice(-filter.limit);
+    }
+
+    callback(null, records);
+  });
+};
+
+//
+// ### function verify (callback)
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with `{ valid, count, broken }` where `broken` is the
+// `seq` of the first record whose hash does not chain (if any).
+//
+AuditLog.prototype.verify = function (callback) {
+  this.read(function (err, records) {
+    var prev   = GENESIS,
+        broken = null;
+
+    if (err) {
+      return callback(err);
+    }
+
+    records.some(function (record) {
+      if (record.prev !== prev || AuditLog.hash(record) !== record.hash) {
+        broken = record.seq;
+        return true;
+      }
+
+      prev = record.hash;
+    });
+
+    callback(null, { valid: broken === null, count: records.length, broken: broken });
+  });
+};
+
+//
+// ### function close (callback)
+// #### @callback {function} **Optional** Continuation once every record is written.
+//
+AuditLog.prototype.close = function (callback) {
+  this.stream.end(callback);
+};
+
+//
+// ### function hash (record)
+// #### @record {Object} Audit record (with or without its own `hash`).
+//
+// Returns the SHA-256 of every field of `record` but `hash`
+// which, since it includes `prev`, covers the whole chain.
+//
+AuditLog.hash = function (record) {
+  var fields = {};
+
+  Object.keys(record).forEach(function (key) {
+    if (key !== 'hash') { fields[key] = record[key]; }
+  });
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(fields))
+    .digest('hex');
+};
+
+//
+// ### function lastLine (file)
+// Returns the last complete line of `file` (if any)
+// without reading the whole of it.
+//
+function lastLine(file) {
+  var fd, size, length, buffer, lines;
+
+  try { fd = fs.openSync(file, 'r'); }
+  catch (ex) { return null; }
+
+  try {
+    size   = fs.fstatSync(fd).size;
+    length = Math.min(size, 64 * 1024);
+    buffer = new Buffer(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+  }
+  finally {
+    fs.closeSync(fd);
+  }
+
+  lines = buffer.toString().split('\n').filter(Boolean);
+  return lines.length ? lines[lines.length - 1] : null;
+}
@@ -0,0 +1,457 @@
+/*
+ * config.js: Loads and validates the configuration from files, the environment and flags.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var semver = require('semver'),
+    path = require('path'),
+    url_ = require('url'),
+    fs = require('fs');
+
+//
+// Prefix of the environment variables read by `fromEnv`.
+//
+var prefix = exports.prefix = 'SPNPM_';
+
+//
+// Shape of every known option. Each is either the name of one of the
+// `types` below (`|` separating the alternatives) or the schema of a
+// nested object. Options which are not listed are never validated.
+//
+var schema = exports.schema = {
+  rewrites: 'array',
+  exclude:  'array',
+  filter:   'function',
+  http:     'server',
+  https:    'object',
+  metrics:  'boolean',
+  follow:   'boolean|object',
+  shutdownTimeout: 'number',
+  admin: {
+    user:     'string',
+    password: 'string',
+    token:    'string'
+  },
+  proxy: {
+    npm:           'npm',
+    interval:      'number',
+    offline:       'boolean',
+    secure:        'boolean',
+    probe:         'boolean|object',
+    probeCache:    'boolean|object',
+    timeouts:      'object',
+    retry:         'boolean|object',
+    baseUrl:       'url|object',
+    store:         'string|object',
+    degraded:      'string|object',
+    tarballs:      'object',
+    packuments:    'object',
+    accessLog:     'string|object',
+    audit:         'string|object',
+    sessionTtl:    'number',
+    policies:      'object',
+    resolvePolicy: 'function',
+    policy: {
+      npm:             'url',
+      private:         'list',
+      blacklist:       'list',
+      whitelist:       'list',
+      overlay:         'list',
+      blockedVersions: 'versions',
+      limits:          'object',
+      transparent:     'boolean'
+    }
+  }
+};
+
+//
+// Validators for each type in the `schema`. Each returns
+// what `value` must be when it is not of that type.
+//
+var types = exports.types = {
+  string: function (value) {
+    if (typeof value !== 'string') { return 'a string'; }
+  },
+  number: function (value) {
+    if (typeof value !== 'number' || isNaN(value) || value < 0) { return 'a positive number'; }
+  },
+  boolean: function (value) {
+    if (typeof value !== 'boolean') { return 'true or false'; }
+  },
+  function: function (value) {
+    if (typeof value !== 'function') { return 'a function'; }
+  },
+  array: function (value) {
+    if (!Array.isArray(value)) { return 'an Array'; }
+  },
+  object: function (value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) { return 'an object'; }
+  },
+  port: function (value) {
+    if (typeof value !== 'number' || value % 1 !== 0 || value < 0 || value > 65535) {
+      return 'a port between 0 and 65535';
+    }
+  },
+  server: function (value) {
+    if (types.port(value) && (!isObject(value) || types.port(value.port))) {
+      return 'a port or an object with a port';
+    }
+  },
+  url: function (value) {
+    var parsed = typeof value === 'string' ? url_.parse(value) : value;
+
+    if (!parsed || !/^https?:$/.test(parsed.protocol) || !parsed.host) {
+      return 'an http(s) url';
+    }
+  },
+  npm: function (value) {
+    var urls = isObject(value) && (value.read || value.write)
+      ? [].concat(value.read || [], value.write || [])
+      : [].concat(value);
+
+    if (!urls.length || urls.some(types.url)) {
+      return 'an http(s) url, an Array of them or an object with read and write urls';
+    }
+  },
+  list: function (value) {
+    if (!isObject(value) || Object.keys(value).some(function (pkg) {
+      return ['boolean', 'number', 'string'].indexOf(typeof value[pkg]) === -1;
+    })) {
+      return 'an object of package names to true or a semver range';
+    }
+
+    if (Object.keys(value).some(function (pkg) {
+      return typeof value[pkg] === 'string' && !semver.validRange(value[pkg]);
+    })) {
+      return 'an object whose semver ranges are valid';
+    }
+  },
+  versions: function (value) {
+    if (!isObject(value) || Object.keys(value).some(function (pkg) {
+      return [].concat(value[pkg]).some(function (range) {
+        return typeof range !== 'string' || !semver.validRange(range);
+      });
+    })) {
+      return 'an object of package names to semver ranges (or Arrays of them)';
+    }
+  }
+};
+
+//
+// ### function load (options)
+// #### @options {Object} Sources of the configuration
+// ####   - defaults {Object} **Optional** Configuration to start from.
+// ####   - file     {string} **Optional** Path to a `.json`, `.yml`, `.yaml` or `.js` file.
+// ####   - env      {Object} **Optional** Environment to read `SPNPM_*` variables from.
+// ####   - argv     {Object} **Optional** Parsed command line flags.
+//
+// Returns the configuration with each source deep merged over the one
+// before it, i.e. `defaults`, then `file`, then `env` and finally `argv`.
+// Every source is validated against the `schema` and an Error listing
+// every invalid option is thrown if any are. The npm urls are then parsed.
+//
+exports.load = function (options) {
+  var env     = options.env || {},
+      file    = options.file || env[prefix + 'CONFIG'],
+      sources = [],
+      errors  = [],
+      config  = {};
+
+  if (file) {
+    sources.push([path.resolve(file), exports.read(file)]);
+  }
+
+  sources.push(['environment', exports.fromEnv(env)]);
+  sources.push(['flags', exports.fromArgv(options.argv || {})]);
+
+  sources.forEach(function (source) {
+    errors = errors.concat(exports.validate(source[1]).map(function (error) {
+      return source[0] + ': ' + error;
+    }));
+  });
+
+  config = sources.reduce(function (config, source) {
+    return exports.merge(config, source[1]);
+  }, exports.merge({}, expand(options.defaults || {})));
+
+  if (!config.proxy || !config.proxy.npm) {
+    errors.push('proxy.npm is required (or --public)');
+  }
+
+  if (!config.proxy || !config.proxy.policy || !config.proxy.policy.npm) {
+    errors.push('proxy.policy.npm is required (or --private)');
+  }
+
+  if (errors.length) {
+    throw invalid(errors);
+  }
+
+  config.proxy.npm = parseNpm(config.proxy.npm);
+  config.proxy.policy.npm = parseUrl(config.proxy.policy.npm);
+  return config;
+};
+
+//
+// ### function read (file)
+// #### @file {string} Path to a `.json`, `.yml`, `.yaml` or `.js` file.
+//
+// Returns the configuration in `file` parsed by its extension.
+//
+exports.read = function (file) {
+  var ext = path.extname(file),
+      contents;
+
+  file = path.resolve(file);
+  if (ext === '.js') {
+    //
+    // Remark: Forget any earlier `require` so reloading reads changes.
+    //
+    delete require.cache[file];
+    return expand(require(file));
+  }
+
+  try {
+    contents = fs.readFileSync(file, 'utf8');
+    contents = ext === '.yml' || ext === '.yaml'
+      ? require('js-yaml').safeLoad(contents, { filename: file })
+      : JSON.parse(contents);
+  }
+  catch (ex) {
+    throw invalid([file + ': ' + ex.message]);
+  }
+
+  return expand(contents || {});
+};
+
+//
+// ### function fromEnv (env)
+// #### @env {Object} Environment, e.g. `process.env`.
+//
+// Returns the configuration set by `SPNPM_*` variables. Nested options are
+// separated by `__` and words within each by `_`, e.g. `SPNPM_PROXY__BASE_URL`
+// sets `proxy.baseUrl`. Values are parsed as JSON when they can be (unless
+// the option is a string in the `schema`) and are strings otherwise.
+// `SPNPM_PUBLIC` and `SPNPM_PRIVATE` set the npm urls.
+//
+exports.fromEnv = function (env) {
+  var config = {};
+
+  Object.keys(env).forEach(function (key) {
+    var keys   = key.slice(prefix.length).split('__').map(camelCase),
+        value  = env[key],
+        target = config,
+        spec   = schema;
+
+    if (key.indexOf(prefix) !== 0 || key === prefix + 'CONFIG' || keys.some(function (k) { return !k; })) {
+      return;
+    }
+
+    keys.forEach(function (k) {
+      spec = spec && typeof spec === 'object' ? spec[k] : undefined;
+    });
+
+    if (spec !== 'string') {
+      try { value = JSON.parse(value); }
+      catch (ex) { }
+    }
+
+    keys.slice(0, -1).forEach(function (k) {
+      target = target[k] = isObject(target[k]) ? target[k] : {};
+    });
+
+    target[keys[keys.length - 1]] = value;
+  });
+
+  return expand(config);
+};
+
+//
+// ### function fromArgv (argv)
+// #### @argv {Object} Flags parsed by `minimist`.
+//
+// Returns the configuration set by the command line flags. Boolean
+// flags only override the other sources when they are set.
+//
+exports.fromArgv = function (argv) {
+  var config = {};
+
+  function set(keys, value) {
+    var target = config;
+
+    keys.slice(0, -1).forEach(function (k) {
+      target = target[k] = target[k] || {};
+    });
+
+    target[keys[keys.length - 1]] = value;
+  }
+
+  if (argv.public) { set(['proxy', 'npm'], argv.public); }
+  if (argv.private) { set(['proxy', 'policy', 'npm'], argv.private); }
+  if (argv.exclude) { set(['exclude'], [].concat(argv.exclude)); }
+  if (argv.transparent) { set(['proxy', 'policy', 'transparent'], true); }
+  if (argv.offline) { set(['proxy', 'offline'], true); }
+  if (argv.follow) { set(['follow'], true); }
+
+  return config;
+};
+
+//
+// ### function validate (config, spec, prefix)
+// #### @config {Object} Configuration to validate.
+// #### @spec   {Object} **Optional** Schema to validate against. Defaults to `schema`.
+// #### @prefix {string} **Optional** Path of `config` within the whole configuration.
+//
+// Returns a readable message for every option in `config` which
+// does not match its type in the `schema`.
+//
+exports.validate = function validate(config, spec, prefix) {
+  var errors = [];
+
+  spec   = spec || schema;
+  prefix = prefix || '';
+
+  Object.keys(spec).forEach(function (key) {
+    var value = config[key],
+        name  = prefix + key,
+        expected;
+
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    if (typeof spec[key] !== 'string') {
+      return errors.push.apply(errors, isObject(value)
+        ? validate(value, spec[key], name + '.')
+        : [name + ' must be an object']);
+    }
+
+    expected = spec[key].split('|').map(function (type) {
+      return types[type](value);
+    });
+
+    if (expected.every(Boolean)) {
+      errors.push(name + ' must be ' + expected.join(' or ') + ' (got ' + describe(value) + ')');
+    }
+  });
+
+  return errors;
+};
+
+//
+// ### function merge (target, source)
+// #### @target {Object} Configuration to merge into.
+// #### @source {Object} Configuration to merge from.
+//
+// Deep merges `source` into `target` and returns it. Nested objects are
+// merged key by key while anything else (including Arrays) is replaced.
+//
+exports.merge = function merge(target, source) {
+  Object.keys(source).forEach(function (key) {
+    var value = source[key];
+
+    if (isObject(value)) {
+      target[key] = merge(isObject(target[key]) ? target[key] : {}, value);
+    }
+    else if (value !== undefined) {
+      target[key] = Array.isArray(value) ? value.slice() : value;
+    }
+  });
+
+  return target;
+};
+
+//
+// ### function expand (config)
+// Returns `config` with the top-level `public` and `private` urls
+// moved to `proxy.npm` and `proxy.policy.npm` (which they override).
+//
+function expand(config) {
+  var expanded = exports.merge({}, config);
+
+  if (expanded.public) {
+    exports.merge(expanded, { proxy: { npm: expanded.public } });
+  }
+
+  if (expanded.private) {
+    exports.merge(expanded, { proxy: { policy: { npm: expanded.private } } });
+  }
+
+  delete expanded.public;
+  delete expanded.private;
+  return expanded;
+}
+
+//
+// ### function parseNpm (npm)
+// Returns the public npm(s) with every url parsed.
+//
+function parseNpm(npm) {
+  if (Array.isArray(npm)) {
+    return npm.map(parseUrl);
+  }
+
+  if (isObject(npm) && (npm.read || npm.write)) {
+    return {
+      read:  Array.isArray(npm.read) ? npm.read.map(parseUrl) : parseUrl(npm.read),
+      write: npm.write && parseUrl(npm.write)
+    };
+  }
+
+  return parseUrl(npm);
+}
+
+//
+// ### function parseUrl (value)
+// Returns `value` as parsed by `url.parse` unless it already is.
+//
+function parseUrl(value) {
+  return typeof value === 'string' ? url_.parse(value) : value;
+}
+
+//
+// ### function invalid (errors)
+// Returns an Error listing every one of `errors`.
+//
+function invalid(errors) {
+  var err = new Error('Invalid configuration:\n  ' + errors.join('\n  '));
+  err.errors = errors;
+  return err;
+}
+
+//
+// ### function describe (value)
+// Returns a short description of `value` for error messages.
+//
+function describe(value) {
+  return typeof value === 'function'
+    ? 'a function'
+    : JSON.stringify(value);
+}
+
+//
+// ### function camelCase (key)
+// Returns `key` (e.g. `BLOCKED_VERSIONS`) as `blockedVersions`.
+//
+function camelCase(key) {
+  return key.toLowerCase().replace(/_([a-z0-9])/g, function (_, c) {
+    return c.toUpperCase();
+  });
+}
+
+//
+// ### function isObject (value)
+// Returns a value indicating if `value` is a plain object, i.e.
+// not an Array, a parsed url or any other instance.
+//
+function isObject(value) {
+  var proto;
+
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
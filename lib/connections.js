@@ -0,0 +1,134 @@
+/*
+ * connections.js: Tracks the connections and requests of each server so they can be drained.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var https = require('https');
+
+//
+// ### function Connections ()
+// Constructor function for the Connections object responsible for knowing
+// which sockets are serving a request and which are idle so the servers
+// can be closed without cutting off any response (e.g. a tarball being
+// downloaded by `npm install`).
+//
+var Connections = module.exports = function () {
+  if (!(this instanceof Connections)) { return new Connections() }
+
+  this.servers  = [];
+  this.sockets  = [];
+  this.active   = 0;
+  this.draining = false;
+};
+
+//
+// ### function track (server)
+// #### @server {http.Server|https.Server} Server to track the connections of.
+//
+Connections.prototype.track = function (server) {
+  var self = this;
+
+  this.servers.push(server);
+  server.on(server instanceof https.Server ? 'secureConnection' : 'connection', function (socket) {
+    socket.requests = 0;
+    self.sockets.push(socket);
+
+    socket.on('close', function () {
+      var index = self.sockets.indexOf(socket);
+      if (index !== -1) { self.sockets.splice(index, 1); }
+    });
+  });
+};
+
+//
+// ### function handle (handler)
+// #### @handler {function} Request handler to wrap.
+//
+// Returns `handler` counting every request it serves until its
+// response is done. Once draining every response closes its connection.
+//
+Connections.prototype.handle = function (handler) {
+  var self = this;
+
+  return function (req, res) {
+    var socket = req.socket,
+        done   = false;
+
+    function finish() {
+      if (done) { return; }
+      done = true;
+
+      self.active--;
+      socket.requests--;
+
+      if (self.draining) {
+        if (!socket.requests) { socket.destroy(); }
+        self.check();
+      }
+    }
+
+    self.active++;
+    socket.requests = (socket.requests || 0) + 1;
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    if (self.draining) {
+      res.setHeader('connection', 'close');
+    }
+
+    handler(req, res);
+  };
+};
+
+//
+// ### function drain (timeout, callback)
+// #### @timeout  {number}   Milliseconds to wait for requests being served.
+// #### @callback {function} Continuation to respond to.
+//
+// Stops accepting connections, closes the idle ones and waits for every
+// request being served to finish. Any still being served after `timeout`
+// are cut off. Responds with the number of requests which were cut off.
+//
+Connections.prototype.drain = function (timeout, callback) {
+  var self = this;
+
+  this.draining = true;
+  this.ondrain  = function (dropped) {
+    clearTimeout(self.timer);
+    self.ondrain = null;
+    callback(null, dropped);
+  };
+
+  this.servers.forEach(function (server) {
+    try { server.close(); }
+    catch (ex) { }
+  });
+
+  this.sockets.slice().forEach(function (socket) {
+    if (!socket.requests) { socket.destroy(); }
+  });
+
+  this.timer = setTimeout(function () {
+    var dropped = self.active;
+
+    self.sockets.slice().forEach(function (socket) {
+      socket.destroy();
+    });
+
+    if (self.ondrain) { self.ondrain(dropped); }
+  }, timeout);
+
+  this.check();
+};
+
+//
+// ### function check ()
+// Finishes draining once no request is being served.
+//
+Connections.prototype.check = function () {
+  if (this.ondrain && !this.active) {
+    this.ondrain(0);
+  }
+};
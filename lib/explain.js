@@ -0,0 +1,187 @@
+/*
+ * explain.js: Explains how the proxy would route a request for a package without proxying it.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var semver = require('semver');
+
+//
+// ### function resolve (proxy, user, req, callback)
+// #### @proxy    {NpmProxy}      Running proxy.
+// #### @user     {string}        **Optional** Name of the user to explain for.
+// #### @req      {ServerRequest} Incoming Request to the explain route.
+// #### @callback {function}      Continuation to respond to.
+//
+// Responds with the policy `proxy` resolves for `user` along with its name
+// (i.e. `default` unless the `resolvePolicy` hook names one).
+//
+exports.resolve = function (proxy, user, req, callback) {
+  if (!user || !proxy.resolver) {
+    return callback(null, proxy.policy, 'default');
+  }
+
+  proxy.resolver({ name: user, source: 'explain' }, req, function (err, name) {
+    if (err || !name) {
+      return callback(err, proxy.policy, 'default');
+    }
+
+    var policy = proxy.namedPolicy(name);
+    if (!policy) {
+      return callback(new Error('Unknown policy: ' + name));
+    }
+
+    callback(null, policy, name);
+  });
+};
+
+//
+// ### function explain (proxy, policy, pkg, options)
+// #### @proxy   {NpmProxy} Running proxy.
+// #### @policy  {Object}   Policy to explain the decision for.
+// #### @pkg     {string}   Normalized npm package name.
+// #### @options {Object}   Details of the request
+// ####   @method  {string} **Optional** HTTP method. Defaults to `GET`.
+// ####   @version {string} **Optional** Version of `pkg` requested.
+//
+// Returns the decision `decide` would make for `pkg` along with every rule
+// it checks in order (see `NpmProxy.prototype.selectRule`). Nothing is proxied,
+// the public npm is never probed and `writePrivateOk` is never invoked. Instead
+// `probe` says whether a write would probe it (and any cached result).
+//
+exports.explain = function (proxy, policy, pkg, options) {
+  var method  = (options.method || 'GET').toUpperCase(),
+      read    = method === 'GET' || method === 'HEAD',
+      version = options.version || null,
+      limits  = policy.limits,
+      rules   = [],
+      result;
+
+  //
+  // ### function check (rule, matched, detail)
+  // Records a single `rule` in the order it is checked.
+  //
+  function check(rule, matched, detail) {
+    var entry = { rule: rule, matched: !!matched };
+    if (detail !== undefined) { entry.detail = detail; }
+    rules.push(entry);
+    return !!matched;
+  }
+
+  //
+  // ### function decision (outcome, rule, target, reason)
+  // Returns the final decision.
+  //
+  function decision(outcome, rule, target, reason) {
+    var decided = { outcome: outcome, rule: rule, upstream: target ? target.host : null };
+    if (reason) { decided.reason = reason; }
+    return decided;
+  }
+
+  //
+  // ### function versions (target, rule)
+  // Applies the version checks `decide` makes for filtered packages.
+  //
+  function versions(target, rule) {
+    var err;
+
+    if (!version || !semver.valid(version)) {
+      return decision('public', rule, target);
+    }
+
+    err = check('versions', proxy.isFiltered(pkg, policy), proxy.whitelistRange(pkg, policy) || undefined)
+      && proxy.checkVersion(pkg, version, policy);
+
+    return err
+      ? decision(err.outcome, err.outcome, null, err.message)
+      : decision('public', rule, target);
+  }
+
+  //
+  // ### function probe ()
+  // Explains a write for a package which is not known to be private
+  // using the cached probe of the public npm (if any).
+  //
+  function probe() {
+    var status = proxy.probes.get(pkg);
+
+    result.probe.cached = status === undefined ? null : status;
+    result.probe.runs   = status === undefined;
+
+    if (!check('public-404', status === 404, status === undefined ? 'not probed yet' : status)) {
+      if (status === undefined) {
+        return decision('unknown', null, null, 'Depends on whether ' + pkg + ' exists on the public npm');
+      }
+
+      return policy.whitelist
+        ? decision('whitelist-denied', 'whitelist-denied', null, 'Your whitelist policy prevents you from writing ' + pkg)
+        : decision('public', 'public', proxy.writeNpm);
+    }
+
+    if (policy.whitelist && limits && limits.private
+      && check('limits', Object.keys(policy.private).length >= limits.private)) {
+      return decision('limit-exceeded', 'limit-exceeded', null, 'Out of private packages. Have you considered upgrading?');
+    }
+
+    //
+    // Remark: `writePrivateOk` is never invoked since it may have side
+    // effects so the decision only says when it has the last word.
+    //
+    return decision('private', 'public-404', policy.npm, !policy.whitelist && proxy.writePrivateOk
+      ? 'Unless writePrivateOk denies it'
+      : undefined);
+  }
+
+  result = {
+    pkg: pkg,
+    method: method,
+    version: version,
+    lists: {
+      'private': !!proxy.lookup(policy.private, pkg),
+      blacklist: !!proxy.lookup(policy.blacklist, pkg),
+      whitelist: policy.whitelist ? !!proxy.lookup(policy.whitelist, pkg) : null,
+      overlay: !!proxy.lookup(policy.overlay, pkg),
+      blockedVersions: proxy.lookup(policy.blockedVersions, pkg) || null
+    },
+    limits: limits && limits.private
+      ? { 'private': limits.private, used: Object.keys(policy.private || {}).length }
+      : null,
+    probe: { runs: false, cached: null },
+    rules: rules
+  };
+
+  result.decision = (function () {
+    var rule = proxy.selectRule(pkg, read, policy, check);
+
+    if (rule === 'transparent') {
+      return decision('public', 'transparent', read ? proxy.currentNpm : proxy.writeNpm);
+    }
+
+    if (rule === 'overlay') {
+      return decision('overlay', 'overlay', null, 'Served from both the private and public npm');
+    }
+
+    if (rule === 'whitelist') {
+      return read
+        ? versions(proxy.currentNpm, 'whitelist')
+        : decision('public', 'whitelist', proxy.writeNpm);
+    }
+
+    if (rule === 'whitelist-denied') {
+      return decision('whitelist-denied', 'whitelist-denied', null, 'Your whitelist policy prevents you from getting ' + pkg);
+    }
+
+    if (rule === 'public') {
+      return versions(proxy.currentNpm, 'public');
+    }
+
+    if (rule === 'probe') {
+      return probe();
+    }
+
+    return decision('private', rule, policy.npm);
+  })();
+
+  return result;
+};
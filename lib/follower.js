@@ -0,0 +1,234 @@
+/*
+ * follower.js: Keeps the known private packages in sync with the private CouchDB `_changes` feed.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var EE = require('events').EventEmitter,
+    hyperquest = require('hyperquest'),
+    policyStore = require('./policy-store'),
+    util = require('util'),
+    url_ = require('url');
+
+//
+// ### function Follower (options)
+// #### @options {Object} Options for following the private npm
+// ####   @proxy     {NpmProxy}       Proxy whose `policy.private` is kept in sync.
+// ####   @db        {url.parse}      **Optional** Private CouchDB database. Defaults to `/registry` on `policy.npm`.
+// ####   @exclude   {Array}          **Optional** CouchDB documents which are never private packages.
+// ####   @filter    {function}       **Optional** Returns false for CouchDB documents which are not private packages.
+// ####   @sequence  {Object|string}  **Optional** Store (or its options) for the last sequence seen.
+// ####   @since     {number|string}  **Optional** Sequence to start from if none is stored. Defaults to `now`.
+// ####   @heartbeat {number}         **Optional** Milliseconds between CouchDB heartbeats. Defaults to 30 seconds.
+// ####   @retry     {number}         **Optional** Milliseconds before reconnecting to the feed. Defaults to 5 seconds.
+// ####   @log       {function}       **Optional** Log function. Defaults to console.
+//
+// Constructor function for the Follower object responsible for adding
+// and removing known private packages as they are published directly to
+// (or deleted from) the private CouchDB. Emits `change` for every package.
+//
+var Follower = module.exports = function (options) {
+  if (!(this instanceof Follower)) { return new Follower(options) }
+  EE.call(this);
+
+  this.proxy     = options.proxy;
+  this.db        = options.db || url_.parse(url_.resolve(this.proxy.policy.npm.href, '/registry'));
+  this.exclude   = options.exclude || [];
+  this.filter    = options.filter;
+  this.sequence  = policyStore.create(options.sequence);
+  this.seq       = options.since !== undefined ? options.since : 'now';
+  this.heartbeat = options.heartbeat || 30 * 1000;
+  this.retry     = options.retry || 5 * 1000;
+  this.log       = options.log || console;
+};
+
+util.inherits(Follower, EE);
+
+//
+// ### function start (callback)
+// #### @callback {function} **Optional** Continuation once the stored sequence is loaded.
+//
+// Resumes following the `_changes` feed from the stored sequence (if any).
+//
+Follower.prototype.start = function (callback) {
+  var self = this;
+
+  callback = callback || function () {};
+  this.stopped = false;
+
+  if (!this.sequence) {
+    this.follow();
+    return callback();
+  }
+
+  this.sequence.load(function (err, state) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (state && state.seq !== undefined) {
+      self.seq = state.seq;
+    }
+
+    self.follow();
+    callback();
+  });
+};
+
+//
+// ### function stop ()
+// Stops following the `_changes` feed.
+//
+Follower.prototype.stop = function () {
+  this.stopped = true;
+  clearTimeout(this.timer);
+
+  if (this.client) {
+    this.client.abort();
+  }
+
+  this.req    = null;
+  this.client = null;
+};
+
+//
+// ### function follow ()
+// Requests the continuous `_changes` feed from `this.seq`
+// and reconnects after `this.retry` whenever it ends.
+//
+Follower.prototype.follow = function () {
+  var buffer = '',
+      self   = this,
+      req;
+
+  if (this.stopped) {
+    return;
+  }
+
+  this.log.info('[follower] following %s since %s', this.db.href, this.seq);
+  req = this.req = hyperquest({
+    uri: url_.resolve(this.db.href + '/', '_changes') + '?' + [
+      'feed=continuous',
+      'heartbeat=' + this.heartbeat,
+      'since=' + encodeURIComponent(this.seq)
+    ].join('&'),
+    rejectUnauthorized: this.proxy.secure
+  });
+
+  function reconnect(err) {
+    if (req !== self.req) { return; }
+    self.req    = null;
+    self.client = null;
+
+    if (err) {
+      self.log.warn('[follower] %s: %s', self.db.href, err.message);
+    }
+
+    if (!self.stopped) {
+      self.timer = setTimeout(self.follow.bind(self), self.retry);
+    }
+  }
+
+  req
+    .on('error', reconnect)
+    .on('request', function (client) {
+      //
+      // Remark: Keep the underlying request so `stop` can abort it.
+      //
+      if (req !== self.req) { return client.abort(); }
+      self.client = client;
+    })
+    .on('response', function (res) {
+      if (res.statusCode !== 200) {
+        req.resume();
+        reconnect(new Error('_changes responded with ' + res.statusCode));
+      }
+    })
+    .on('data', function (chunk) {
+      if (req !== self.req) { return; }
+
+      var lines = (buffer + chunk).split('\n');
+
+      buffer = lines.pop();
+      lines.forEach(function (line) {
+        //
+        // Remark: Empty lines are heartbeats.
+        //
+        if (!line.trim()) { return; }
+
+        try { line = JSON.parse(line); }
+        catch (ex) { return self.log.warn('[follower] invalid change: %s', line); }
+
+        self.onChange(line);
+      });
+    })
+    .on('end', function () { reconnect(); });
+};
+
+//
+// ### function onChange (change)
+// #### @change {Object} Single row of the `_changes` feed.
+//
+// Adds or removes the package for `change` from the private
+// packages of the proxy and remembers its sequence.
+//
+Follower.prototype.onChange = function (change) {
+  var policy = this.proxy.policy,
+      pkg    = change.id;
+
+  if (change.last_seq !== undefined) {
+    return this.save(change.last_seq);
+  }
+
+  if (pkg && this.allowed(pkg)) {
+    if (change.deleted && policy.private.hasOwnProperty(pkg)) {
+      this.log.info('[follower] %s was deleted', pkg);
+      this.proxy.removePrivate(pkg, policy);
+      this.emit('change', pkg, true);
+    }
+    else if (!change.deleted && !policy.private[pkg]) {
+      this.log.info('[follower] %s was published', pkg);
+      this.proxy.addPrivate(pkg, policy, function () {});
+      this.emit('change', pkg, false);
+    }
+  }
+
+  this.save(change.seq);
+};
+
+//
+// ### function allowed (pkg)
+// #### @pkg {string} Id of a document in the private CouchDB.
+//
+// Returns a value indicating if `pkg` is a private package according
+// to the same `exclude` and `filter` used when listing them on start.
+//
+Follower.prototype.allowed = function (pkg) {
+  return !/^_design\//.test(pkg)
+    && this.exclude.indexOf(pkg) === -1
+    && (!this.filter || !!this.filter(pkg));
+};
+
+//
+// ### function save (seq)
+// #### @seq {number|string} Last sequence seen.
+//
+// Remembers `seq` so following resumes from it after a restart.
+//
+Follower.prototype.save = function (seq) {
+  var self = this;
+
+  if (seq === undefined) {
+    return;
+  }
+
+  this.seq = seq;
+  if (this.sequence) {
+    this.sequence.save({ seq: seq }, function (err) {
+      if (err) { self.log.error('[follower] unable to save sequence: %s', err.message); }
+    });
+  }
+
+  this.emit('seq', seq);
+};
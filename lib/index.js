@@ -7,8 +7,17 @@
 
 var createServers = require('create-servers'),
     director = require('director'),
-    getPkgs = require('npm-registry-packages');
+    getPkgs = require('npm-registry-packages'),
+    util = require('util'),
+    admin = require('./admin'),
+    Connections = require('./connections'),
+    policyStore = require('./policy-store');
 
+//
+// Remark: Scoped packages (e.g. `/@scope%2fname` or `/@scope/name/-/name-1.0.0.tgz`)
+// are matched by these as well. The package name itself is always normalized
+// by `NpmProxy.prototype.packageName`.
+//
 var patterns = {
   packageAnd:  /\/([_\.\(\)!\\ %@&a-zA-Z0-9-]+)\/.*/,
   packageOnly: /\/([_\.\(\)!\\ %@&a-zA-Z0-9-]+)/,
@@ -20,6 +29,41 @@ var patterns = {
 //
 exports.Proxy = require('./npm-proxy');
 
+//
+// Export the configuration loader.
+//
+exports.config = require('./config');
+
+//
+// Export the policy stores.
+//
+exports.policyStore = policyStore;
+
+//
+// Export the private CouchDB `_changes` follower.
+//
+exports.Follower = require('./follower');
+
+//
+// Export the structured access log.
+//
+exports.AccessLog = require('./access-log');
+
+//
+// Export the hash-chained audit trail.
+//
+exports.AuditLog = require('./audit-log');
+
+//
+// Export the mirror of whitelisted packages.
+//
+exports.Mirror = require('./mirror');
+
+//
+// Export the client for managing the policy on disk or through the Admin API.
+//
+exports.policyClient = require('./policy-client');
+
 //
 // ### function createServer (options, callback)
 // #### @options {Object} Options for creating the proxy server.
@@ -28,19 +72,105 @@ exports.Proxy = require('./npm-proxy');
 // ####   - log      {function}      Logging function to use.
 // ####   - proxy    {NpmProxy}      Options for the npm Proxy itself.
 // ####   - rewrites {Array}         **Optional** All known rewrites to the npm registry.
+// ####   - metrics  {boolean}       **Optional** Set to false to disable `/-/smart/metrics` (or true to serve it without `admin`).
+// ####   - admin    {Object}        **Optional** Credentials for the `/-/smart` admin routes.
+// ####   - follow   {Object}        **Optional** Options for following the private CouchDB `_changes` feed.
+// ####   - exclude  {Array}         **Optional** CouchDB documents which are never private packages.
+// ####   - filter   {function}      **Optional** Filter function for CouchDB document exclusion.
+//
+// If `options.proxy.store` is set the policy state persisted there
+// is loaded and applied before the servers are started. Responds with
+// the servers and an object with the `proxy` along with functions to
+// `reload(options, callback)` it and to `close(options, callback)` them.
 //
 exports.createServer = function (options, callback) {
-  var router = exports.createRouter({
-    rewrites: options.rewrites,
-    proxy:    new exports.Proxy(options.proxy),
-    log:      options.log
+  withStore(options.proxy, policyStore.create(options.proxy.store), function (err, proxyOptions) {
+    if (err) {
+      return callback(err);
+    }
+
+    listen(proxyOptions);
   });
 
-  createServers({
-    http:  options.http,
-    https: options.https,
-    handler: router.dispatch.bind(router)
-  }, callback);
+  function listen(proxyOptions) {
+    var connections = new Connections(),
+        proxy       = new exports.Proxy(proxyOptions),
+        router      = routerFor(options, proxy);
+
+    //
+    // Keep the known private packages in sync with packages
+    // published directly to the private CouchDB.
+    //
+    if (options.follow) {
+      proxy.follower = new exports.Follower(util._extend({
+        proxy:   proxy,
+        exclude: options.exclude,
+        filter:  options.filter,
+        log:     options.log
+      }, options.follow === true ? {} : options.follow));
+
+      proxy.follower.start(function (err) {
+        if (err) { proxy.log.error('[follower] unable to start: %s', err.message); }
+      });
+    }
+
+    //
+    // Remark: Requests always go through the current router
+    // so it can be replaced when reloading.
+    //
+    createServers({
+      http:  options.http,
+      https: options.https,
+      handler: connections.handle(function (req, res) {
+        router.dispatch(req, res);
+      })
+    }, function (err, servers) {
+      if (err) {
+        return callback(err, servers);
+      }
+
+      Object.keys(servers).forEach(function (type) {
+        connections.track(servers[type]);
+      });
+
+      callback(null, servers, {
+        proxy: proxy,
+
+        //
+        // ### function reload (options, callback)
+        // Applies the policy and the proxy options (see `NpmProxy.prototype.reload`)
+        // along with the `rewrites`, `metrics` and `admin` routes in `options`
+        // without closing any server. Only the changes in the policy store are
+        // applied over the new policy so its lists take effect.
+        //
+        reload: function (next, done) {
+          withStore(next.proxy, proxy.store, function (err, nextProxy) {
+            if (err) {
+              return done(err);
+            }
+
+            proxy.reload(nextProxy);
+            router = routerFor(next, proxy);
+            done();
+          });
+        },
+
+        //
+        // ### function close (options, callback)
+        // Stops accepting connections and waits up to `timeout` milliseconds
+        // (default 30 seconds) for every request being served before closing
+        // the proxy. Responds with the number of requests which were cut off.
+        //
+        close: function (opts, done) {
+          connections.drain(opts.timeout || 30 * 1000, function (err, dropped) {
+            proxy.close(function () {
+              done(null, dropped);
+            });
+          });
+        }
+      });
+    });
+  }
 };
 
 //
@@ -49,6 +179,11 @@ exports.createServer = function (options, callback) {
 // ####   - log      {function} Logging function to use.
 // ####   - rewrites {Array}    All known rewrites to the npm registry.
 // ####   - proxy    {NpmProxy} Proxy for npm requests.
+// ####   - metrics  {boolean}  **Optional** Set to false to disable `/-/smart/metrics` (or true to serve it without `admin`).
+// ####   - admin    {Object}   **Optional** Credentials for the `/-/smart` admin routes.
+// ####     - user     {string} Username for Basic auth.
+// ####     - password {string} Password for Basic auth.
+// ####     - token    {string} Token for Bearer auth.
 //
 exports.createRouter = function createRouter(options, callback) {
   var router = new director.http.Router(),
@@ -78,6 +213,20 @@ exports.createRouter = function createRouter(options, callback) {
     }
   });
 
+  //
+  // ### function withPolicy (req, res, method)
+  // Calls `proxy[method]` with the policy of the user making `req`.
+  //
+  function withPolicy(req, res, method) {
+    proxy.resolvePolicy(req, function (err, policy) {
+      if (err) {
+        return proxy.notFound(req, res, err);
+      }
+
+      proxy[method](req, res, policy);
+    });
+  }
+
   //
   // Remark: we will probably asynchronously load these things in some manner
   // but for now we just expect them
@@ -113,7 +262,8 @@ exports.createRouter = function createRouter(options, callback) {
   //
   // All _list/* functions require a merger between
   // public and private npm database views.
-  // Remark: This now defaults to private
+  // Remark: If only one registry answers successfully
+  // its response is served as-is.
   //
   rewrites.list.forEach(function (rr) {
     var wc     = patterns.wildcard,
@@ -122,9 +272,9 @@ exports.createRouter = function createRouter(options, callback) {
           ? new RegExp(rr.from.replace(wc, '.*'))
           : rr.from;
 
-    log.info('[route]', '%s - %s %s', 'private', method, rr.from);
+    log.info('[route]', '%s - %s %s', 'merge', method, rr.from);
     router[method](from, function () {
-      proxy.private(this.req, this.res);
+      withPolicy(this.req, this.res, 'merge');
     });
   });
 
@@ -162,6 +312,31 @@ exports.createRouter = function createRouter(options, callback) {
     });
   });
 
+  //
+  // Counters and histograms of the proxy for any Prometheus compatible
+  // collector. They tell which packages are requested so they need the
+  // admin credentials unless there are none and `metrics: true` is set.
+  //
+  if (options.metrics === true && !options.admin) {
+    log.info('[route]', '%s - %s %s', 'metrics', 'get', '/-/smart/metrics');
+    router.get('/-/smart/metrics', function () {
+      admin.sendMetrics(this.res, proxy);
+    });
+  }
+
+  //
+  // Admin routes for managing the running proxy are only
+  // available when credentials for them are configured.
+  //
+  if (options.admin) {
+    admin.createRoutes(router, {
+      admin:   options.admin,
+      proxy:   proxy,
+      metrics: options.metrics !== false,
+      log:     log
+    });
+  }
+
   //
   // For core `/:pkg` and `/:pkg/*` routes use the more complex, higher-level
   // proxy logic.
@@ -172,7 +347,7 @@ exports.createRouter = function createRouter(options, callback) {
 
       log.info('[route]', '%s - %s %s', 'decide', method, re.source);
       router[method](re, function () {
-        proxy.decide(this.req, this.res);
+        withPolicy(this.req, this.res, 'decide');
       });
     });
   });
@@ -229,3 +404,43 @@ exports.getPkgs = function(config, cb) {
     cb(null, privatePkgs);
   });
 };
+
+//
+// ### function withStore (options, store, callback)
+// #### @options  {Object}   Options for the npm Proxy.
+// #### @store    {Object}   **Optional** Store the policy state is persisted to.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with `options` along with the `store` (if any) and the
+// `state` loaded from it to apply over the configured policy.
+//
+function withStore(options, store, callback) {
+  if (!store) {
+    return callback(null, options);
+  }
+
+  store.load(function (err, state) {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, util._extend(util._extend({}, options), {
+      store: store,
+      state: state
+    }));
+  });
+}
+
+//
+// ### function routerFor (options, proxy)
+// Returns a router for `proxy` with the routes in `options`.
+//
+function routerFor(options, proxy) {
+  return exports.createRouter({
+    rewrites: options.rewrites,
+    proxy:    proxy,
+    metrics:  options.metrics,
+    admin:    options.admin,
+    log:      options.log
+  });
+}
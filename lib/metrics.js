@@ -0,0 +1,182 @@
+/*
+ * metrics.js: Counters and histograms exposed in the Prometheus text format.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+//
+// ### function Metrics (options)
+// #### @options {Object} **Optional** Options for the metrics
+// ####   @prefix {string} Prefix for the name of every metric. Defaults to `smart_private_npm_`.
+//
+// Constructor function for the Metrics object responsible for
+// keeping counters and histograms by their labels and rendering
+// them for a Prometheus compatible collector.
+//
+var Metrics = module.exports = function (options) {
+  if (!(this instanceof Metrics)) { return new Metrics(options) }
+
+  options = options || {};
+  this.prefix  = options.prefix || 'smart_private_npm_';
+  this.metrics = {};
+};
+
+//
+// Default histogram buckets (in seconds).
+//
+Metrics.buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+//
+// ### function counter (name, help)
+// #### @name {string} Name of the counter (without the prefix).
+// #### @help {string} Description of the counter.
+//
+// Defines the counter `name`.
+//
+Metrics.prototype.counter = function (name, help) {
+  this.metrics[name] = { type: 'counter', help: help, values: {} };
+};
+
+//
+// ### function histogram (name, help, buckets)
+// #### @name    {string} Name of the histogram (without the prefix).
+// #### @help    {string} Description of the histogram.
+// #### @buckets {Array}  **Optional** Upper bounds of each bucket.
+//
+// Defines the histogram `name`.
+//
+Metrics.prototype.histogram = function (name, help, buckets) {
+  this.metrics[name] = {
+    type: 'histogram',
+    help: help,
+    buckets: buckets || Metrics.buckets,
+    values: {}
+  };
+};
+
+//
+// ### function inc (name, labels, value)
+// #### @name   {string} Name of a counter.
+// #### @labels {Object} Labels of the value to increment.
+// #### @value  {number} **Optional** Amount to increment by. Defaults to 1.
+//
+// Increments the counter `name` for `labels`.
+//
+Metrics.prototype.inc = function (name, labels, value) {
+  var values = this.metrics[name].values,
+      key    = labelsKey(labels);
+
+  values[key] = (values[key] || 0) + (value === undefined ? 1 : value);
+};
+
+//
+// ### function observe (name, labels, value)
+// #### @name   {string} Name of a histogram.
+// #### @labels {Object} Labels of the observation.
+// #### @value  {number} Value observed.
+//
+// Records `value` in the histogram `name` for `labels`.
+//
+Metrics.prototype.observe = function (name, labels, value) {
+  var metric = this.metrics[name],
+      key    = labelsKey(labels),
+      entry  = metric.values[key];
+
+  if (!entry) {
+    entry = metric.values[key] = {
+      counts: metric.buckets.map(function () { return 0; }),
+      sum: 0,
+      count: 0
+    };
+  }
+
+  metric.buckets.forEach(function (le, i) {
+    if (value <= le) { entry.counts[i]++; }
+  });
+
+  entry.sum += value;
+  entry.count++;
+};
+
+//
+// ### function timer (name, labels)
+// #### @name   {string} Name of a histogram.
+// #### @labels {Object} Labels of the observation.
+//
+// Returns a function which records the seconds elapsed
+// since calling `timer` in the histogram `name`.
+//
+Metrics.prototype.timer = function (name, labels) {
+  var start = Date.now(),
+      self  = this;
+
+  return function () {
+    self.observe(name, labels, (Date.now() - start) / 1000);
+  };
+};
+
+//
+// ### function render ()
+// Returns every metric in the Prometheus text format.
+//
+Metrics.prototype.render = function () {
+  var prefix = this.prefix,
+      self   = this,
+      lines  = [];
+
+  Object.keys(this.metrics).forEach(function (name) {
+    var metric = self.metrics[name],
+        full   = prefix + name;
+
+    lines.push('# HELP ' + full + ' ' + metric.help);
+    lines.push('# TYPE ' + full + ' ' + metric.type);
+
+    Object.keys(metric.values).forEach(function (key) {
+      var value = metric.values[key];
+
+      if (metric.type === 'counter') {
+        return lines.push(full + braces(key) + ' ' + value);
+      }
+
+      metric.buckets.forEach(function (le, i) {
+        lines.push(full + '_bucket' + braces(join(key, 'le="' + le + '"')) + ' ' + value.counts[i]);
+      });
+
+      lines.push(full + '_bucket' + braces(join(key, 'le="+Inf"')) + ' ' + value.count);
+      lines.push(full + '_sum' + braces(key) + ' ' + value.sum);
+      lines.push(full + '_count' + braces(key) + ' ' + value.count);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+//
+// ### function labelsKey (labels)
+// Returns the rendered (and sorted) `labels` used to key values.
+//
+function labelsKey(labels) {
+  return Object.keys(labels || {}).sort().map(function (label) {
+    return label + '="' + String(labels[label])
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"') + '"';
+  }).join(',');
+}
+
+//
+// ### function join (key, label)
+// Returns `key` with the rendered `label` appended.
+//
+function join(key, label) {
+  return key ? key + ',' + label : label;
+}
+
+//
+// ### function braces (key)
+// Returns `key` wrapped in braces if it has any labels.
+//
+function braces(key) {
+  return key ? '{' + key + '}' : '';
+}
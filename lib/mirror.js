@@ -0,0 +1,324 @@
+/*
+ * mirror.js: Fetches every whitelisted package from the public npm into the degraded store.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var EE = require('events').EventEmitter,
+    policyStore = require('./policy-store'),
+    semver = require('semver'),
+    path = require('path'),
+    util = require('util'),
+    url_ = require('url');
+
+//
+// ### function Mirror (options)
+// #### @options {Object} Options for mirroring the whitelist
+// ####   @proxy       {NpmProxy}      Proxy whose `policy.whitelist` is fetched into its `degraded` store.
+// ####   @concurrency {number}        **Optional** Packuments and tarballs fetched at once. Defaults to 4.
+// ####   @progress    {Object|string} **Optional** Store (or its options) for the packages already mirrored.
+// ####                                Defaults to `mirror-progress.json` in the `degraded` directory.
+// ####   @fresh       {boolean}       **Optional** Ignore the progress of an earlier run.
+// ####   @log         {function}      **Optional** Log function. Defaults to console.
+//
+// Constructor function for the Mirror object responsible for fetching the
+// packument and every allowed tarball of each whitelisted package so they
+// can be served without ever reaching the public npm (see `offline`).
+// Emits `package` as each package is done and `tarball` for each tarball.
+//
+var Mirror = module.exports = function (options) {
+  if (!(this instanceof Mirror)) { return new Mirror(options) }
+  EE.call(this);
+
+  this.proxy = options.proxy;
+  if (!this.proxy.stale) {
+    throw new Error('Mirroring requires the proxy to have a `degraded` store');
+  }
+
+  this.concurrency = options.concurrency || 4;
+  this.progress    = policyStore.create(options.progress || path.join(this.proxy.stale.dir, 'mirror-progress.json'));
+  this.fresh       = !!options.fresh;
+  this.log         = options.log || console;
+  this.queue       = [];
+  this.active      = 0;
+};
+
+util.inherits(Mirror, EE);
+
+//
+// ### function packages ()
+// Returns the whitelisted packages which can be mirrored along with
+// the entries which cannot be (i.e. patterns and whole scopes).
+//
+Mirror.prototype.packages = function () {
+  var whitelist = this.proxy.policy.whitelist || {},
+      result    = { packages: [], skipped: [] };
+
+  Object.keys(whitelist).forEach(function (key) {
+    var enumerable = !/^\/.+\/[gimuy]*$/.test(key) && !/[*?]/.test(key)
+      && (key.charAt(0) !== '@' || key.indexOf('/') !== -1);
+
+    result[enumerable ? 'packages' : 'skipped'].push(key);
+  });
+
+  return result;
+};
+
+//
+// ### function run (callback)
+// #### @callback {function} Continuation to respond to.
+//
+// Mirrors every whitelisted package not already mirrored by an earlier run
+// that was interrupted (unless `fresh`) and responds with a summary. The
+// progress is only forgotten once every package is mirrored.
+//
+Mirror.prototype.run = function (callback) {
+  var listed = this.packages(),
+      self   = this;
+
+  this.summary = {
+    packages: listed.packages.length,
+    mirrored: 0,
+    resumed: 0,
+    versions: 0,
+    tarballs: { fetched: 0, cached: 0, failed: 0 },
+    bytes: 0,
+    skipped: listed.skipped,
+    failed: [],
+    started: Date.now()
+  };
+
+  this.progress.load(function (err, state) {
+    if (err) {
+      return callback(err);
+    }
+
+    self.state = !self.fresh && state && state.done ? state : { done: {} };
+    listed.packages.forEach(function (pkg) {
+      if (self.state.done[pkg]) {
+        self.summary.resumed++;
+        return self.log.info('[mirror] %s already mirrored', pkg);
+      }
+
+      self.enqueue(self.mirrorPackage.bind(self, pkg));
+    });
+
+    self.drained(function () {
+      var summary = self.summary;
+
+      summary.elapsed = Date.now() - summary.started;
+      delete summary.started;
+
+      self.progress.save(summary.failed.length ? self.state : { done: {} }, function (err) {
+        callback(err, summary);
+      });
+    });
+  });
+};
+
+//
+// ### function mirrorPackage (pkg, done)
+// #### @pkg  {string}   Normalized npm package name.
+// #### @done {function} Continuation once every tarball of `pkg` is queued.
+//
+// Stores the full packument of `pkg` and queues each version allowed
+// by the policy (see `checkVersion`) which is not already cached.
+//
+Mirror.prototype.mirrorPackage = function (pkg, done) {
+  var proxy   = this.proxy,
+      policy  = proxy.policy,
+      summary = this.summary,
+      self    = this;
+
+  function fail(err, version) {
+    summary.failed.push(version
+      ? { pkg: pkg, version: version, reason: err.message }
+      : { pkg: pkg, reason: err.message });
+  }
+
+  proxy.fetchJson({ accept: 'application/json' }, proxy.currentNpm, 'public', '/' + proxy.encodeName(pkg), function (err, doc) {
+    if (err || !doc) {
+      fail(err || new Error(pkg + ' is not on the public npm'));
+      return done();
+    }
+
+    proxy.stale.set(pkg, 'application/json', {
+      body: JSON.stringify(doc),
+      headers: { 'content-type': 'application/json' }
+    }, function (err) {
+      var versions = Object.keys(doc.versions || {}).filter(function (version) {
+            return semver.valid(version) && !proxy.checkVersion(pkg, version, policy);
+          }),
+          pending  = versions.length,
+          failed   = !!err;
+
+      if (err) {
+        fail(err);
+      }
+
+      function onTarball(err, version) {
+        if (err) {
+          failed = true;
+          summary.tarballs.failed++;
+          fail(err, version);
+        }
+
+        if (!--pending) {
+          self.finish(pkg, versions.length, failed);
+        }
+      }
+
+      summary.versions += versions.length;
+      versions.forEach(function (version) {
+        self.enqueue(function (next) {
+          self.mirrorTarball(pkg, doc.versions[version], function (err) {
+            onTarball(err, version);
+            next();
+          });
+        });
+      });
+
+      if (!versions.length) {
+        self.finish(pkg, 0, failed);
+      }
+
+      done();
+    });
+  });
+};
+
+//
+// ### function mirrorTarball (pkg, version, callback)
+// #### @pkg      {string}   Normalized npm package name.
+// #### @version  {Object}   Version from the packument of `pkg`.
+// #### @callback {function} Continuation to respond to.
+//
+// Fetches the tarball of `version` into the tarball cache unless it is
+// already there. Tarballs are verified against their `dist` as they are
+// for any other request (see `TarballCache.fill`).
+//
+Mirror.prototype.mirrorTarball = function (pkg, version, callback) {
+  var proxy   = this.proxy,
+      target  = proxy.currentNpm,
+      dist    = version.dist || {},
+      summary = this.summary,
+      self    = this,
+      key,
+      file,
+      pReq;
+
+  if (!dist.tarball) {
+    return callback(new Error('No tarball for ' + pkg + '@' + version.version));
+  }
+
+  file = url_.parse(dist.tarball).pathname;
+  key  = pkg + '/' + path.basename(file);
+
+  if (proxy.tarballs.get(key)) {
+    summary.tarballs.cached++;
+    this.emit('tarball', key, 'cached');
+    return callback();
+  }
+
+  callback = once(callback);
+  pReq = proxy.upstream({ uri: url_.resolve(target.href, file) }, target);
+  pReq
+    .on('error', callback)
+    .on('response', function (pRes) {
+      if (pRes.statusCode !== 200) {
+        pReq.resume();
+        return callback(new Error('Unexpected status ' + pRes.statusCode + ' for ' + key));
+      }
+
+      proxy.tarballs.fill(key, pReq, function (respond) {
+        respond(null, dist);
+      }, function (err) {
+        var entry = !err && proxy.tarballs.get(key);
+
+        if (entry) {
+          summary.tarballs.fetched++;
+          summary.bytes += entry.size;
+          self.emit('tarball', key, 'fetched');
+        }
+
+        callback(err);
+      });
+    });
+};
+
+//
+// ### function finish (pkg, versions, failed)
+// #### @pkg      {string}  Normalized npm package name.
+// #### @versions {number}  Versions of `pkg` mirrored.
+// #### @failed   {boolean} Value indicating if any of them failed.
+//
+// Remembers `pkg` as mirrored (unless anything `failed`) so an
+// interrupted run resumes from the packages which are left.
+//
+Mirror.prototype.finish = function (pkg, versions, failed) {
+  if (!failed) {
+    this.summary.mirrored++;
+    this.state.done[pkg] = versions;
+    this.progress.save(this.state);
+  }
+
+  this.emit('package', pkg, { versions: versions, failed: failed });
+};
+
+//
+// ### function enqueue (job)
+// #### @job {function} Work which calls back once it is done.
+//
+// Runs `job` once fewer than `concurrency` jobs are running.
+//
+Mirror.prototype.enqueue = function (job) {
+  this.queue.push(job);
+  this.next();
+};
+
+//
+// ### function next ()
+// Starts as many queued jobs as `concurrency` allows.
+//
+Mirror.prototype.next = function () {
+  var self = this,
+      job;
+
+  while (this.active < this.concurrency && this.queue.length) {
+    job = this.queue.shift();
+    this.active++;
+    job(once(function () {
+      self.active--;
+      setImmediate(self.next.bind(self));
+    }));
+  }
+
+  if (!this.active && !this.queue.length && this.ondrain) {
+    job = this.ondrain;
+    this.ondrain = null;
+    job();
+  }
+};
+
+//
+// ### function drained (callback)
+// #### @callback {function} Continuation once every job is done.
+//
+Mirror.prototype.drained = function (callback) {
+  this.ondrain = callback;
+  this.next();
+};
+
+//
+// ### function once (fn)
+// Returns a function which only calls `fn` the first time.
+//
+function once(fn) {
+  var called = false;
+  return function () {
+    if (called) { return; }
+    called = true;
+    fn.apply(this, arguments);
+  };
+}
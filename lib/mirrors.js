@@ -0,0 +1,214 @@
+/*
+ * mirrors.js: Active health checking for multiple public npm registry mirrors.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var EE = require('events').EventEmitter,
+    http = require('http'),
+    https = require('https'),
+    util = require('util');
+
+//
+// ### function Mirrors (urls, options)
+// #### @urls    {Array}  List of url.parsed public npm mirrors.
+// #### @options {Object} **Optional** Options for probing the mirrors
+// ####   @interval {number}   Milliseconds between probes. Defaults to 30 seconds. While not
+// ####                        probing, milliseconds until a mirror marked down is used again.
+// ####   @timeout  {number}   Milliseconds before a probe fails. Defaults to 5 seconds.
+// ####   @path     {string}   Path to probe on each mirror (relative to its url). Defaults to `/-/ping`.
+// ####   @secure   {boolean}  Whether to reject unauthorized SSL certificates.
+// ####   @log      {function} Log function. Defaults to console.
+//
+// Constructor function for the Mirrors object responsible for knowing which
+// of the `urls` are currently healthy. Emits `down` and `up` as that changes.
+//
+var Mirrors = module.exports = function (urls, options) {
+  if (!(this instanceof Mirrors)) { return new Mirrors(urls, options) }
+  EE.call(this);
+
+  options = options || {};
+  this.urls     = urls;
+  this.interval = options.interval || 30 * 1000;
+  this.timeout  = options.timeout || 5 * 1000;
+  this.path     = options.path || '/-/ping';
+  this.secure   = options.secure || false;
+  this.log      = options.log || console;
+  this.down     = {};
+  this.backoffs = {};
+};
+
+util.inherits(Mirrors, EE);
+
+//
+// ### function start ()
+// Probes every mirror now and then on `this.interval`.
+//
+Mirrors.prototype.start = function () {
+  this.probeAll();
+  this.timer = setInterval(this.probeAll.bind(this), this.interval);
+};
+
+//
+// ### function stop ()
+// Stops probing the mirrors along with bringing them back after a backoff.
+//
+Mirrors.prototype.stop = function () {
+  var backoffs = this.backoffs;
+
+  clearInterval(this.timer);
+  this.timer = null;
+
+  Object.keys(backoffs).forEach(function (href) {
+    clearTimeout(backoffs[href]);
+  });
+
+  this.backoffs = {};
+};
+
+//
+// ### function find (target)
+// #### @target {url.parse|string} Mirror (or its href) to find.
+//
+// Returns the mirror in `this.urls` for `target` (if any).
+//
+Mirrors.prototype.find = function (target) {
+  var href = target && (target.href || target);
+
+  return this.urls.filter(function (url) {
+    return url.href === href;
+  })[0];
+};
+
+//
+// ### function isUp (url)
+// #### @url {url.parse} Mirror to check.
+//
+// Returns a value indicating if `url` is believed to be healthy.
+//
+Mirrors.prototype.isUp = function (url) {
+  return !this.down[url.href];
+};
+
+//
+// ### function healthy ()
+// Returns all mirrors believed to be healthy.
+//
+Mirrors.prototype.healthy = function () {
+  return this.urls.filter(this.isUp, this);
+};
+
+//
+// ### function markDown (url, err)
+// #### @url {url.parse} Mirror that is not healthy.
+// #### @err {Error}     Reason the mirror is not healthy.
+//
+// Marks `url` as down until a probe of it succeeds. While not
+// probing it is marked up again after `this.interval` instead
+// since nothing else would ever bring it back.
+//
+Mirrors.prototype.markDown = function (url, err) {
+  var self = this;
+
+  if (this.down[url.href]) { return; }
+
+  this.down[url.href] = true;
+  this.log.warn('[mirrors] %s is down: %s', url.href, err.message);
+  this.emit('down', url, err);
+
+  if (!this.timer) {
+    this.backoffs[url.href] = setTimeout(function () {
+      delete self.backoffs[url.href];
+      self.markUp(url);
+    }, this.interval);
+
+    if (this.backoffs[url.href].unref) { this.backoffs[url.href].unref(); }
+  }
+};
+
+//
+// ### function markUp (url)
+// #### @url {url.parse} Mirror that is healthy.
+//
+// Marks `url` as healthy if it was down.
+//
+Mirrors.prototype.markUp = function (url) {
+  if (!this.down[url.href]) { return; }
+
+  clearTimeout(this.backoffs[url.href]);
+  delete this.backoffs[url.href];
+
+  delete this.down[url.href];
+  this.log.info('[mirrors] %s is up', url.href);
+  this.emit('up', url);
+};
+
+//
+// ### function probeAll (callback)
+// #### @callback {function} **Optional** Continuation once every mirror is probed.
+//
+// Probes every mirror and marks it as up or down accordingly.
+//
+Mirrors.prototype.probeAll = function (callback) {
+  var pending = this.urls.length,
+      self    = this;
+
+  this.urls.forEach(function (url) {
+    self.probe(url, function (err) {
+      if (err) { self.markDown(url, err); }
+      else     { self.markUp(url); }
+
+      if (!--pending && callback) { callback(); }
+    });
+  });
+};
+
+//
+// ### function probe (url, callback)
+// #### @url      {url.parse} Mirror to probe.
+// #### @callback {function}  Continuation to respond to.
+//
+// Requests `this.path` relative to `url` (keeping any path prefix of it).
+// Any response other than a server error within `this.timeout` means `url`
+// is healthy.
+//
+Mirrors.prototype.probe = function (url, callback) {
+  var client = url.protocol === 'https:' ? https : http,
+      done   = false,
+      req;
+
+  function respond(err) {
+    if (done) { return; }
+    done = true;
+    callback(err);
+  }
+
+  req = client.get({
+    hostname: url.hostname,
+    port: url.port,
+    path: join(url.pathname, this.path),
+    auth: url.auth,
+    rejectUnauthorized: this.secure
+  }, function (res) {
+    res.resume();
+    respond(res.statusCode >= 500
+      ? new Error('Probe responded with ' + res.statusCode)
+      : null);
+  });
+
+  req.on('error', respond);
+  req.setTimeout(this.timeout, function () {
+    req.abort();
+    respond(new Error('Probe timed out after ' + this.timeout + 'ms'));
+  }.bind(this));
+};
+
+//
+// ### function join (prefix, path)
+// Returns `path` under the path `prefix` of a mirror, e.g.
+// `/npm/-/ping` for `/npm/` and `/-/ping`.
+//
+function join(prefix, path) {
+  return (prefix || '/').replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '');
+}
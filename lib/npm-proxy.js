@@ -8,9 +8,38 @@
 var httpProxy = require('http-proxy'),
     EE = require('events').EventEmitter,
     hyperquest = require('hyperquest'),
+    packument = require('./packument'),
+    TarballCache = require('./tarball-cache'),
+    PackumentCache = require('./packument-cache'),
+    PackumentStore = require('./packument-store'),
+    ProbeCache = require('./probe-cache'),
+    Mirrors = require('./mirrors'),
+    Metrics = require('./metrics'),
+    AccessLog = require('./access-log'),
+    AuditLog = require('./audit-log'),
+    policyStore = require('./policy-store'),
+    semver = require('semver'),
+    stream = require('stream'),
+    path = require('path'),
     util = require('util'),
+    crypto = require('crypto'),
     url_ = require('url');
 
+//
+// Name of the (non-enumerable) property compiled patterns
+// are remembered as on each policy list.
+//
+var PATTERNS = '__patterns__';
+
+//
+// Headers which only apply to a single connection (RFC 7230)
+// and are never copied from an upstream response.
+//
+var HOP_BY_HOP = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
 //
 // ### function NpmProxy (options)
 // #### @options {Object} Options for initializing the proxy
@@ -20,7 +49,49 @@ var httpProxy = require('http-proxy'),
 // ####     - transparent {boolean}   If true: always behaves as a pass-thru to public npm(s).
 // ####     - private     {Object}    Set of initial private modules.
 // ####     - blacklist   {Object}    Set of initial blacklisted modules.
-// ####     - whitelist   {Object}    Set of iniitial whitelisted modules.
+// ####     - whitelist   {Object}    Set of iniitial whitelisted modules. Entries may be a semver range.
+// ####     - overlay     {Object}    **Optional** Set of modules served from both npms at once.
+// ####     - blockedVersions {Object} **Optional** Versions (or ranges) of modules which are never served.
+// ####   @tarballs {Object} **Optional** Options for caching public tarballs on disk.
+// ####     - dir     {string} Directory to store the cached tarballs in.
+// ####     - maxSize {number} Maximum size of the cache in bytes.
+// ####   @packuments {Object} **Optional** Options for caching public packuments in memory.
+// ####     - ttl {number} Milliseconds before a cached packument is revalidated.
+// ####     - max {number} Maximum number of packuments to cache.
+// ####   @degraded {Object|string} **Optional** Options for serving the last known public packuments and tarballs (or the directory of them).
+// ####     - dir {string} Directory to keep them in.
+// ####   @offline {boolean} **Optional** Never contact the public npm. Only what `degraded` knows is served.
+// ####   @probeCache {Object|false} **Optional** Options for caching whether packages exist on the public npm, or false to disable.
+// ####     - positiveTtl {number} Milliseconds a package is remembered as existing.
+// ####     - negativeTtl {number} Milliseconds a package is remembered as not existing.
+// ####     - max         {number} Maximum number of packages to remember.
+// ####   @probe {Object|false} **Optional** Options for probing multiple public npms, or false to disable.
+// ####     - interval {number} Milliseconds between probes of each public npm.
+// ####     - timeout  {number} Milliseconds before a probe fails.
+// ####     - path     {string} Path to probe on each public npm.
+// ####   @policies {Object} **Optional** Named policies which override parts of the default `policy`.
+// ####   @resolvePolicy {function} **Optional** Responds with the name of the policy for a user.
+// ####   @sessionTtl {number} **Optional** Milliseconds verified credentials and CouchDB sessions are remembered. Defaults to 1 minute.
+// ####   @store {Object|string} **Optional** Store (or options for a JSON file store) to persist the policy to.
+// ####   @state {Object} **Optional** State loaded from `store` to apply over `policy`.
+// ####     - file {string} Path to the JSON file holding the policy state.
+// ####   @accessLog {Object|string} **Optional** Options for a JSON access log (or the path to it).
+// ####     - file     {string} Path to the access log.
+// ####     - maxSize  {number} Bytes before the access log is rotated.
+// ####     - maxFiles {number} Rotated access logs to keep.
+// ####   @audit {Object|string} **Optional** Options for a hash-chained audit trail of writes (or the path to it).
+// ####     - file {string} Path to the audit trail.
+// ####   @baseUrl {Object|string} **Optional** External url of the proxy (or one for each listener) tarballs are rewritten to.
+// ####     - http  {string} External url of the http listener.
+// ####     - https {string} External url of the https listener.
+// ####   @timeouts {Object} **Optional** Timeouts for every request to an npm registry.
+// ####     - connect   {number} Milliseconds to connect. Defaults to 10 seconds.
+// ####     - response  {number} Milliseconds without any data from the registry. Defaults to 60 seconds.
+// ####     - upstreams {Object} **Optional** Timeouts which override these by registry host, e.g. `localhost:5984`.
+// ####   @retry {Object|false} **Optional** Options for retrying GET and HEAD requests, or false to disable.
+// ####     - retries  {number} Retries after the first attempt. Defaults to 2.
+// ####     - minDelay {number} Milliseconds before the first retry (before jitter). Defaults to 100.
+// ####     - maxDelay {number} Maximum milliseconds between retries (before jitter). Defaults to 2 seconds.
 // ####   @writePrivateOk {function}  **Optional** Predicate for writing new private packages.
 // ####   @log            {function}  **Optional** Log function. Defaults to console.
 //
@@ -31,33 +102,39 @@ var NpmProxy = module.exports = function (options) {
   if (!(this instanceof NpmProxy)) { return new NpmProxy(options) }
   EE.call(this);
 
-  var self = this;
+  var self = this,
+      degraded;
 
   //
-  // URL to CouchDB and the proxy instance to use.
+  // Log and the proxy instance to use.
   //
-  this.npm = options.npm;
   this.log = options.log || console;
 
+  this.secure = options.secure || options.strictSSL || options.rejectUnauthorized || false;
+
   //
-  // Remark: if we dont have a specific read/write url,
-  // assume we either have an array or an url.parsed object
-  //
-  this.interval   = options.interval || 60 * 15 * 1000;
-  this.currentNpm = this.npm && this.npm.read || this.npm;
-  this.isUrlArray(this.npm.read || this.npm);
-  //
-  // Default these values if there is no read/write
+  // Remark: Set before the public npms (if any) start being probed.
   //
-  this.writeNpm = this.npm.write || this.currentNpm;
+  this.offline = !!options.offline;
+
+  this.setNpm(options.npm, options);
 
-  this.secure = options.secure || options.strictSSL || options.rejectUnauthorized || false;
   //
   // Setup the http-proxy instance to handle bad respones
   // and allow lax SSL if there is nothing passed in
   //
   this.proxy  = httpProxy.createProxyServer({ secure: this.secure, prependPath: false });
-  this.proxy.on('error', this.onProxyError.bind(this));
+  this.proxy.on('error', function (err, req, res, target) {
+    self.onProxyError(err, req, res, target, function () {
+      self.proxy.web(req, res, { target: target.href, buffer: emptyBody() });
+    });
+  });
+
+  this.setTimeouts(options);
+
+  this.proxy.on('proxyReq', function (pReq, req, res, opts) {
+    self.upstreamRequest(pReq, opts.target);
+  });
   //
   // Proxy these events to the main prototype so we don't need to inspect
   // the internal http-proxy instance
@@ -65,6 +142,37 @@ var NpmProxy = module.exports = function (options) {
   this.proxy.on('start', this.emit.bind(this, 'start'));
   this.proxy.on('end', this.emit.bind(this, 'end'));
 
+  //
+  // Counters and histograms for what the proxy decides
+  // and how the npm registries respond.
+  //
+  this.metrics = new Metrics();
+  this.metrics.counter('requests_total', 'Requests by route type.');
+  this.metrics.counter('decisions_total', 'Routing decisions by outcome.');
+  this.metrics.histogram('upstream_duration_seconds', 'Seconds until an npm registry responds by host.');
+  this.metrics.counter('proxy_errors_total', 'Errors proxying to an npm registry by code.');
+  this.metrics.counter('upstream_retries_total', 'Requests retried against an npm registry by host.');
+  this.metrics.counter('tarball_bytes_total', 'Bytes of tarballs served by source.');
+  this.metrics.counter('stale_responses_total', 'Responses served from the last known packuments and tarballs by type.');
+
+  this.proxy.on('start', function (req, res, target) {
+    req.upstreamHost  = url_.parse(target).host;
+    req.upstreamTimer = self.metrics.timer('upstream_duration_seconds', { host: req.upstreamHost });
+  });
+
+  this.proxy.on('start', function (req) {
+    if (req.auditRecord && req.auditRecord.sniff) {
+      self.sniffVersion(req);
+    }
+  });
+
+  this.proxy.on('proxyRes', function (pRes, req) {
+    if (req.upstreamTimer) { req.upstreamTimer(); }
+    if (self.parsePackage(req.url).tarball) {
+      self.countTarball(pRes, self.policy && req.upstreamHost === self.policy.npm.host ? 'private' : 'public');
+    }
+  });
+
   //
   // Handler for decoupling any authorization logic
   // for new private packages from the proxy itself.
@@ -72,15 +180,227 @@ var NpmProxy = module.exports = function (options) {
   this.writePrivateOk = options.writePrivateOk;
 
   //
-  // Set the policy
+  // Versions (and dist-tags) owned by the private npm for
+  // each package in `policy.overlay` we have seen so far.
+  //
+  this.overlays = {};
+
+  //
+  // Disk cache for tarballs read from the public npm.
+  //
+  if (options.tarballs) {
+    this.tarballs = new TarballCache(util._extend({ log: this.log }, options.tarballs));
+  }
+
+  //
+  // Structured log of every request and how it was decided.
+  //
+  if (options.accessLog) {
+    this.accessLog = new AccessLog(util._extend({ log: this.log }, typeof options.accessLog === 'string'
+      ? { file: options.accessLog }
+      : options.accessLog));
+  }
+
+  //
+  // Hash-chained trail of every write and who made it.
+  //
+  if (options.audit) {
+    this.auditLog = new AuditLog(util._extend({ log: this.log }, typeof options.audit === 'string'
+      ? { file: options.audit }
+      : options.audit));
+  }
+
+  //
+  // Memory cache for packuments read from the public npm.
+  //
+  if (options.packuments) {
+    this.packuments = new PackumentCache(options.packuments);
+  }
+
+  //
+  // Last known packuments and tarballs from the public npm which
+  // are served when it cannot be reached. Packuments only reach
+  // the store through the caches so both are always enabled.
+  //
+  if (options.degraded) {
+    degraded = typeof options.degraded === 'string'
+      ? { dir: options.degraded }
+      : options.degraded;
+
+    this.stale      = new PackumentStore({ dir: degraded.dir, log: this.log });
+    this.tarballs   = this.tarballs || new TarballCache({ dir: path.join(degraded.dir, 'tarballs'), log: this.log });
+    this.packuments = this.packuments || new PackumentCache();
+  }
+
+  //
+  // Whether packages exist on the public npm when deciding
+  // where the first publish of an unknown package goes.
+  //
+  this.probes = new ProbeCache(options.probeCache === false
+    ? { positiveTtl: 0, negativeTtl: 0 }
+    : options.probeCache);
+
+  //
+  // External urls of the proxy that `dist.tarball` in
+  // every packument served are rewritten to.
+  //
+  this.baseUrls = typeof options.baseUrl === 'string'
+    ? { http: options.baseUrl, https: options.baseUrl }
+    : options.baseUrl || {};
+
+  //
+  // Store for persisting changes to the policy made at runtime.
+  //
+  this.store = policyStore.create(options.store);
+
+  //
+  // Hook for resolving the policy of each user along with
+  // the credentials and CouchDB sessions we have already verified.
+  //
+  this.resolver   = options.resolvePolicy;
+  this.sessionTtl = options.sessionTtl || 60 * 1000;
+  this.sessions   = {};
+
+  //
+  // Set the policy, remembering it as configured so only
+  // what changes at runtime is persisted.
   //
   if (options.policy) {
-    this.setPolicy(options.policy);
+    this.configured = policyStore.snapshot(options.policy);
+    this.setPolicy(options.state
+      ? policyStore.apply(options.policy, options.state)
+      : options.policy);
   }
+
+  this.setPolicies(options.policies || {});
 };
 
 util.inherits(NpmProxy, EE);
 
+//
+// ### function setNpm (npm, options)
+// #### @npm     {Array|Object|url.parse} Public npm(s) we are proxying against.
+// #### @options {Object} **Optional** How to cycle through multiple public npms
+// ####   - interval {number}       Milliseconds between each one. Defaults to 15 minutes.
+// ####   - probe    {Object|false} Options for probing them, or false to disable.
+//
+// Sets the public npm(s) on this instance, stopping the cycling
+// and probing of any set before.
+//
+NpmProxy.prototype.setNpm = function (npm, options) {
+  options = options || {};
+
+  clearInterval(this.intervalId);
+  if (this.mirrors) {
+    this.mirrors.stop();
+  }
+
+  this.intervalId = null;
+  this.mirrors    = null;
+
+  //
+  // Remark: if we dont have a specific read/write url,
+  // assume we either have an array or an url.parsed object
+  //
+  this.npm        = npm;
+  this.interval   = options.interval || 60 * 15 * 1000;
+  this.probe      = options.probe;
+  this.currentNpm = this.npm && this.npm.read || this.npm;
+  this.isUrlArray(this.npm.read || this.npm);
+  //
+  // Default these values if there is no read/write
+  //
+  this.writeNpm = this.npm.write || this.currentNpm;
+};
+
+//
+// ### function setTimeouts (options)
+// #### @options {Object} Options with the `timeouts` and `retry` (see `NpmProxy`).
+//
+// Sets the timeouts for every request to an npm registry and
+// how idempotent requests are retried when they fail.
+//
+NpmProxy.prototype.setTimeouts = function (options) {
+  this.timeouts = util._extend({
+    connect: 10 * 1000,
+    response: 60 * 1000,
+    upstreams: {}
+  }, options.timeouts || {});
+
+  this.retries = util._extend({
+    retries: 2,
+    minDelay: 100,
+    maxDelay: 2 * 1000
+  }, options.retry === false ? { retries: 0 } : options.retry || {});
+};
+
+//
+// ### function reload (options)
+// #### @options {Object} Options for the proxy (see `NpmProxy`).
+//
+// Applies the `policy`, `policies`, `resolvePolicy`, `sessionTtl`, `npm`
+// (along with `interval` and `probe`), `offline`, `timeouts`, `retry` and
+// `baseUrl` in `options` to this instance without dropping any request.
+// Known private packages are kept since most are only learned at runtime.
+// Every other option (e.g. the caches and logs) only applies on start.
+//
+NpmProxy.prototype.reload = function (options) {
+  var policy = policyStore.apply(options.policy, options.state);
+
+  policy.private = util._extend(util._extend({}, this.policy && this.policy.private), policy.private);
+
+  this.offline = !!options.offline;
+  this.setNpm(options.npm, options);
+  this.setTimeouts(options);
+
+  this.baseUrls = typeof options.baseUrl === 'string'
+    ? { http: options.baseUrl, https: options.baseUrl }
+    : options.baseUrl || {};
+
+  this.resolver   = options.resolvePolicy;
+  this.sessionTtl = options.sessionTtl || 60 * 1000;
+  this.sessions   = {};
+
+  this.configured = policyStore.snapshot(options.policy);
+  this.setPolicy(policy);
+  this.setPolicies(options.policies || {});
+  this.emit('reload');
+};
+
+//
+// ### function close (callback)
+// #### @callback {function} **Optional** Continuation once everything is closed.
+//
+// Stops cycling through and probing the public npms along with following
+// the private npm and closes the access log and audit trail. Requests
+// still being proxied are not interrupted.
+//
+NpmProxy.prototype.close = function (callback) {
+  var logs    = [this.accessLog, this.auditLog].filter(Boolean),
+      pending = logs.length;
+
+  clearInterval(this.intervalId);
+  this.intervalId = null;
+
+  if (this.mirrors) {
+    this.mirrors.stop();
+  }
+
+  if (this.follower) {
+    this.follower.stop();
+  }
+
+  if (!pending) {
+    return callback && process.nextTick(callback);
+  }
+
+  logs.forEach(function (log) {
+    log.close(function () {
+      if (!--pending && callback) { callback(); }
+    });
+  });
+};
+
 //
 // ### function isUrlArray(urls)
 // Handles the case where we have an array of urls so its reusable
@@ -95,6 +415,20 @@ NpmProxy.prototype.isUrlArray = function (urls) {
       this.currentNpm = urls[0]
     }
     else {
+      //
+      // Actively probe every public npm so we only ever
+      // cycle through the healthy ones.
+      //
+      this.mirrors = new Mirrors(urls, util._extend({
+        log:    this.log,
+        secure: this.secure
+      }, this.probe));
+
+      this.mirrors.on('down', this.onMirrorDown.bind(this, urls));
+      if (this.probe !== false && !this.offline) {
+        this.mirrors.start();
+      }
+
       this.currentNpm = null;
       this.nextPublicNpm(urls);
       this.intervalId = setInterval(
@@ -128,6 +462,8 @@ NpmProxy.prototype.maskAuth = function (headers) {
 // Sets the specified `policy` on this instance
 //
 NpmProxy.prototype.setPolicy = function (policy) {
+  var changed = !!this.policy;
+
   //
   // Remark: Pre-transformed the policy Arrays into Objects
   // for fast lookup.
@@ -135,131 +471,800 @@ NpmProxy.prototype.setPolicy = function (policy) {
   this.policy           = policy;
   this.policy.blacklist = this.policy.blacklist || {};
   this.policy.cloudant  = this.policy.cloudant || false;
+
+  //
+  // Remark: Compile any patterns up front so requests
+  // never pay for it.
+  //
+  ['private', 'blacklist', 'whitelist', 'overlay', 'blockedVersions'].forEach(function (name) {
+    if (this.policy[name]) {
+      this.compile(this.policy[name]);
+    }
+  }, this);
+
   if (this.policy.transparent) {
     this.private =
     this.decide  =
     this.merge   =
       this.public;
   }
-};
+  else {
+    //
+    // Remark: The policy may be changed at runtime so fall back
+    // to the prototype if we were previously transparent.
+    //
+    delete this.private;
+    delete this.decide;
+    delete this.merge;
+  }
 
-//
-// ### function nextPublicNpm ()
-// Sets the current public npm to a random
-// selection (without replacement).
-//
-NpmProxy.prototype.nextPublicNpm = function (urls) {
-  var index   = Math.random() * urls.length | 0,
-      lastNpm = this.currentNpm;
+  //
+  // Named policies are built on top of this one.
+  //
+  this.resolved = {};
 
-  this.currentNpm = urls.splice(index, 1)[0];
-  this.log.info('[public npm] %s --> %s', (lastNpm && lastNpm.href) || 'none', this.currentNpm.href);
-  if (lastNpm) {
-    urls.push(lastNpm);
+  //
+  // Remark: Only changes after the initial policy need to be
+  // persisted since that was either configured or loaded.
+  //
+  if (changed) {
+    this.persist();
   }
 };
 
 //
-// ### function combonizeToken (password)
-// #### @password {string}  Password from user
+// ### function setPolicies (policies)
+// #### @policies {Object} Named policies, e.g. `{ contractors: { whitelist: {...} } }`.
 //
-// Turn a combo password + token into Basic + token
+// Sets the named `policies` on this instance. Each one overrides parts
+// (e.g. `whitelist`, `blacklist` or `limits`) of the default policy.
 //
-NpmProxy.prototype.combonizeToken = function (username, password) {
-  if (/;/.exec(password)) {
-    var basicPassAndToken = password.split(';'),
-        password          = basicPassAndToken[0],
-        token             = basicPassAndToken[1],
-        basic             = (new Buffer(username + ':' + password)).toString('base64');
+NpmProxy.prototype.setPolicies = function (policies) {
+  var self = this;
 
-    return basic + ';' + token;
-  }
+  this.policies = policies;
+  this.resolved = {};
+
+  Object.keys(policies).forEach(function (name) {
+    ['private', 'blacklist', 'whitelist', 'overlay', 'blockedVersions'].forEach(function (list) {
+      if (policies[name][list]) {
+        self.compile(policies[name][list]);
+      }
+    });
+  });
 };
 
 //
-// ### RegEx comboTokenRegex
+// ### function namedPolicy (name)
+// #### @name {string} Name of a policy in `this.policies`.
 //
-// Regular expression to split the combo token into basic and token.
+// Returns the full policy for `name` (if any). Known private packages
+// are shared with the default policy unless `name` sets its own.
 //
-NpmProxy.prototype.comboTokenRegex = /^Bearer (.*);(.*)/;
+NpmProxy.prototype.namedPolicy = function (name) {
+  if (!this.policies.hasOwnProperty(name)) {
+    return null;
+  }
+
+  if (!this.resolved[name]) {
+    this.resolved[name] = util._extend(util._extend({}, this.policy), this.policies[name]);
+    this.resolved[name].blacklist = this.resolved[name].blacklist || {};
+  }
+
+  return this.resolved[name];
+};
 
 //
-// ### function parseBasicIfComboToken (headers)
-// #### @headers {Headers} Incoming Request headers to the npm registry
+// ### function resolvePolicy (req, callback)
+// #### @req      {ServerRequest} Incoming Request to the npm registry
+// #### @callback {function}      Continuation to respond to.
 //
-// Turn an auth combo token of Basic + Bearer into normal Basic auth.
+// Responds with the policy for the user making `req` as named by
+// `this.resolver`. Without a resolver (or a name) the default policy
+// is used. Names which are not in `this.policies` are an error.
 //
-NpmProxy.prototype.parseBasicIfComboToken = function (headers) {
-  var bearer = this.comboTokenRegex.exec(headers.authorization);
-  if (bearer) headers.authorization = 'Basic ' + bearer[1];
+NpmProxy.prototype.resolvePolicy = function (req, callback) {
+  var self = this;
+
+  if (!this.resolver) {
+    return callback(null, this.policy);
+  }
+
+  this.user(req, function (err, user) {
+    if (err) {
+      return callback(err);
+    }
+
+    self.resolver(user, req, function (err, name) {
+      if (err || !name) {
+        return callback(err, !err && self.policy);
+      }
+
+      var policy = self.namedPolicy(name);
+      if (!policy) {
+        return callback(new Error('Unknown policy: ' + name));
+      }
+
+      self.log.info('[policy] %s => %s', user && (user.name || user.source), name);
+      callback(null, policy);
+    });
+  });
 };
 
 //
-// ### function parseTokenIfComboToken (req)
-// #### @req {ServerRequest}  Incoming Request to the npm registry
+// ### function user (req, callback)
+// #### @req      {ServerRequest} Incoming Request to the npm registry
+// #### @callback {function}      Continuation to respond to.
 //
-// Turn an auth combo token of Basic + Bearer into normal Bearer auth.
+// Responds with the user making `req` (or `null`) as `{ name, token, source }`
+// where `source` is one of `basic`, `bearer` or `session`. Bearer tokens only
+// have a `name` if they are a combo token. Basic credentials (including the
+// Basic part of combo tokens) and CouchDB sessions are verified against the
+// private npm so a `name` is never taken on trust.
 //
-NpmProxy.prototype.parseTokenIfComboToken = function (headers) {
-  var bearer = this.comboTokenRegex.exec(headers.authorization);
-  if (bearer) headers.authorization = 'Bearer ' + bearer[2];
+NpmProxy.prototype.user = function (req, callback) {
+  var auth    = req.headers.authorization || '',
+      session = /(?:^|;\s*)AuthSession=([^;]*)/.exec(req.headers.cookie || ''),
+      combo   = this.comboTokenRegex.exec(auth),
+      parts   = /^(Basic|Bearer)\s+(.*)$/.exec(auth);
+
+  if (combo) {
+    return this.session({ authorization: 'Basic ' + combo[1] }, function (err, name) {
+      if (err) { return callback(err); }
+      callback(null, name
+        ? { name: name, token: combo[2], source: 'bearer' }
+        : { token: combo[2], source: 'bearer' });
+    });
+  }
+
+  if (parts && parts[1] === 'Bearer') {
+    return callback(null, { token: parts[2], source: 'bearer' });
+  }
+
+  if (parts) {
+    return this.session({ authorization: auth }, function (err, name) {
+      callback(err, name ? { name: name, source: 'basic' } : null);
+    });
+  }
+
+  if (!session) {
+    return callback(null, null);
+  }
+
+  this.session({ cookie: 'AuthSession=' + session[1] }, function (err, name) {
+    callback(err, name ? { name: name, source: 'session' } : null);
+  });
 };
 
 //
-// ### function public (req, res, policy)
-// #### @req {ServerRequest}  Incoming Request to the npm registry
-// #### @res {ServerResponse} Outgoing Response to the npm client
+// ### function session (headers, callback)
+// #### @headers  {Object}   Either the `authorization` or the `cookie` of a user.
+// #### @callback {function} Continuation to respond to.
 //
-// Make a proxy request to `url` against the public
-// npm registry and stream the response back to the `res`.
+// Responds with the name of the user the private npm's `/_session`
+// knows for `headers` (or `null` if it refuses them). Answers are
+// remembered for `this.sessionTtl` keyed by a digest of `headers`.
 //
-NpmProxy.prototype.public = function (req, res) {
-  // if we receieve a combo auth Basic+Bearer, parse it to Bearer
-  this.parseTokenIfComboToken(req.headers);
+NpmProxy.prototype.session = function (headers, callback) {
+  var self   = this,
+      key    = crypto.createHash('sha1').update(headers.authorization || headers.cookie).digest('hex'),
+      cached = this.sessions[key];
 
-  var address = req.connection.remoteAddress || req.socket.remoteAddress,
-      method = req.method.toLowerCase(),
-      masked = this.maskAuth(req.headers),
-      host,
-      npm;
+  if (cached && cached.expires > Date.now()) {
+    return callback(null, cached.name);
+  }
 
-  npm = method !== 'put' && method !== 'delete'
-    ? this.currentNpm
-    : this.writeNpm;
+  this.fetchJson(headers, this.policy.npm, 'private', '/_session', function (err, body) {
+    var name = body && body.userCtx && body.userCtx.name || null;
 
-  host = npm.vhost || npm.host || npm.hostname;
+    if (err && err.statusCode !== 401) {
+      return callback(err);
+    }
 
-  this.log.info('[public] %s - %s %s %s %j', address, req.method, req.url, host, masked);
+    //
+    // Remark: Don't let the set of remembered sessions grow
+    // without bound.
+    //
+    if (Object.keys(self.sessions).length >= 1000) {
+      self.sessions = {};
+    }
 
-  this.emit('headers', req, req.headers, npm);
+    self.sessions[key] = { name: name, expires: Date.now() + self.sessionTtl };
+    callback(null, name);
+  });
+};
 
-  req.headers.host = host;
+//
+// ### function persist (callback)
+// #### @callback {function} **Optional** Continuation to respond to.
+//
+// Saves what changed in `this.policy` since it was configured to
+// `this.store` (if any) so the configuration still applies to everything
+// else. Failures are logged since the policy in memory is still correct.
+//
+NpmProxy.prototype.persist = function (callback) {
+  var self = this;
 
-  this.proxy.web(req, res, {
-    target: npm.href
+  callback = callback || function () {};
+  if (!this.store) {
+    return callback();
+  }
+
+  this.store.save(policyStore.changes(this.configured || {}, this.policy), function (err) {
+    if (err) {
+      self.log.error('[policy store] unable to save policy: %s', err.message);
+    }
+
+    callback();
   });
 };
 
 //
-// ### function usePolicyAuthIfNeeded (headers, policy)
-// #### @headers {array} Headers from Incoming Request to the npm registry
-// #### @policy {Object} Policy info with admin and private npm dbs.
+// ### function addPrivate (pkg, policy, callback)
+// #### @pkg      {string}   npm package now known to be private.
+// #### @policy   {Object}   Policy to add `pkg` to.
+// #### @callback {function} Continuation to respond to.
 //
-// Use Policy auth when no auth is available.
-// Good for certain read-only paths, like '/-/ping'.
+// Remembers `pkg` as a private package. When `policy` shares the private
+// packages of this instance it is persisted before responding so a restart
+// never forgets a package which was already published privately.
 //
-NpmProxy.prototype.usePolicyAuth = function (headers, policy) {
-  if (!headers.authorization && policy.npm.auth)
-    headers.authorization = 'Basic ' + (new Buffer(policy.npm.auth)).toString("base64");
-}
+NpmProxy.prototype.addPrivate = function (pkg, policy, callback) {
+  policy.private[pkg] = true;
+
+  if (policy.private !== this.policy.private) {
+    return callback();
+  }
+
+  this.persist(callback);
+};
 
 //
-// ### function private (req, res, policy)
-// #### @req {ServerRequest}  Incoming Request to the npm registry
-// #### @res {ServerResponse} Outgoing Response to the npm client
-// #### @policy {Object} Policy info with admin and private npm dbs.
+// ### function removePrivate (pkg, policy, callback)
+// #### @pkg      {string}   npm package which is no longer private.
+// #### @policy   {Object}   Policy to remove `pkg` from.
+// #### @callback {function} **Optional** Continuation to respond to.
 //
-// Make a proxy request to `url` against the private
+// Forgets `pkg` as a private package, persisting `policy`
+// when it shares the private packages of this instance.
+//
+NpmProxy.prototype.removePrivate = function (pkg, policy, callback) {
+  callback = callback || function () {};
+  delete policy.private[pkg];
+
+  if (policy.private !== this.policy.private) {
+    return callback();
+  }
+
+  this.persist(callback);
+};
+
+//
+// ### function parsePackage (url)
+// #### @url {string} Incoming request url to the npm registry.
+//
+// Returns the normalized package `name` for `url` along with the
+// `version` and `tarball` file requested (if any). `document` is
+// true when `url` is for the package document itself.
+//
+NpmProxy.prototype.parsePackage = function (url) {
+  var path      = url.split('?').shift(),
+      namespace = /^\/-\/package\/(.*)/.exec(path),
+      parts     = (namespace ? namespace[1] : path.slice(1)).split('/'),
+      parsed    = { version: null, tarball: null },
+      name,
+      rest;
+
+  try { name = decodeURIComponent(parts[0]); }
+  catch (ex) { name = parts[0]; }
+
+  rest = parts.slice(1);
+  if (name.charAt(0) === '@' && name.indexOf('/') === -1 && rest[0]) {
+    name += '/' + rest.shift();
+  }
+
+  parsed.name     = name;
+  parsed.document = !namespace && !rest.length;
+
+  if (namespace) {
+    return parsed;
+  }
+
+  if (rest[0] === '-' && rest[1] && rest[1] !== 'jsonp') {
+    parsed.tarball = rest[1];
+    parsed.version = packument.tarballVersion(name, rest[1]);
+  }
+  else if (rest[0] && rest[0].charAt(0) !== '-') {
+    parsed.version = rest[0];
+  }
+
+  return parsed;
+};
+
+//
+// ### function packageName (url)
+// #### @url {string} Incoming request url to the npm registry.
+//
+// Returns the normalized package name for `url`. Scoped packages
+// are always returned as `@scope/name` whether they were requested
+// as `/@scope%2fname` or `/@scope/name/...`.
+//
+NpmProxy.prototype.packageName = function (url) {
+  return this.parsePackage(url).name;
+};
+
+//
+// ### function isPackument (url)
+// #### @url {string} Incoming request url to the npm registry.
+//
+// Returns a value indicating if `url` is for a package document
+// rather than one of the other routes served by the public npm.
+//
+NpmProxy.prototype.isPackument = function (url) {
+  var parsed = this.parsePackage(url);
+  return parsed.document && !!parsed.name
+    && !/^[._-]/.test(parsed.name)
+    && parsed.name !== 'favicon.ico';
+};
+
+//
+// ### function documentKey (url)
+// #### @url {string} Incoming request url to the npm registry.
+//
+// Returns the key the document requested with `url` is cached by, i.e. `pkg`
+// for a packument and `pkg@version` for a version document (e.g. `/pkg/1.0.0`
+// or `/pkg/latest`), or `null` if `url` is for neither.
+//
+NpmProxy.prototype.documentKey = function (url) {
+  var parsed = this.parsePackage(url);
+
+  if (this.isPackument(url)) {
+    return parsed.name;
+  }
+
+  return parsed.version && !parsed.tarball && !/^[._-]/.test(parsed.name)
+    ? parsed.name + '@' + parsed.version
+    : null;
+};
+
+//
+// ### function encodeName (pkg)
+// #### @pkg {string} Normalized npm package name.
+//
+// Returns `pkg` in the form expected by a registry in a url,
+// i.e. `@scope%2fname` for scoped packages.
+//
+NpmProxy.prototype.encodeName = function (pkg) {
+  return pkg.replace('/', '%2f');
+};
+
+//
+// ### function lookup (list, pkg)
+// #### @list {Object} Set of packages from a policy (e.g. `policy.private`).
+// #### @pkg  {string} Normalized npm package name.
+//
+// Returns the entry for `pkg` in `list`. An entry for a whole scope
+// (e.g. `@corp`) matches every package in that scope.
+//
+NpmProxy.prototype.lookup = function (list, pkg) {
+  if (!list) { return undefined; }
+  if (list[pkg]) { return list[pkg]; }
+
+  var scope    = pkg.charAt(0) === '@' && pkg.split('/')[0],
+      patterns;
+
+  if (scope && list[scope]) {
+    return list[scope];
+  }
+
+  patterns = list[PATTERNS] || this.compile(list);
+  for (var i = 0; i < patterns.length; i++) {
+    if (patterns[i].re.test(pkg)) {
+      return list[patterns[i].key];
+    }
+  }
+
+  return undefined;
+};
+
+//
+// ### function compile (list)
+// #### @list {Object} Set of packages from a policy (e.g. `policy.private`).
+//
+// Compiles the glob (e.g. `corp-*` or `@corp/*`) and regex (e.g. `/^corp-/i`)
+// entries in `list` and remembers them on `list` so only exact and scope
+// lookups happen for every request. Returns the compiled patterns.
+//
+NpmProxy.prototype.compile = function (list) {
+  var patterns = [],
+      self     = this;
+
+  Object.keys(list).forEach(function (key) {
+    var regex = /^\/(.+)\/([gimuy]*)$/.exec(key);
+
+    if (regex) {
+      try { return patterns.push({ key: key, re: new RegExp(regex[1], regex[2].replace('g', '')) }); }
+      catch (ex) { return self.log.warn('[policy] ignoring invalid regex %s: %s', key, ex.message); }
+    }
+
+    if (/[*?]/.test(key)) {
+      patterns.push({ key: key, re: globToRegExp(key) });
+    }
+  });
+
+  Object.defineProperty(list, PATTERNS, {
+    value: patterns,
+    configurable: true,
+    writable: true
+  });
+
+  return patterns;
+};
+
+//
+// ### function nextPublicNpm ()
+// Sets the current public npm to a random selection
+// (without replacement) of the healthy ones.
+//
+NpmProxy.prototype.nextPublicNpm = function (urls) {
+  var lastNpm = this.currentNpm,
+      mirrors = this.mirrors,
+      others;
+
+  function isOther(url) {
+    return url !== lastNpm;
+  }
+
+  function isUp(url) {
+    return !mirrors || mirrors.isUp(url);
+  }
+
+  others = urls.filter(isOther).filter(isUp);
+  if (!others.length) {
+    //
+    // If nothing else is healthy either stay put or,
+    // when everything is down, keep cycling anyway.
+    //
+    if (lastNpm && isUp(lastNpm)) { return; }
+    others = urls.filter(isOther);
+  }
+
+  this.currentNpm = others[Math.random() * others.length | 0];
+  this.log.info('[public npm] %s --> %s', (lastNpm && lastNpm.href) || 'none', this.currentNpm.href);
+};
+
+//
+// ### function onMirrorDown (urls, url)
+// #### @urls {Array}     All public npms being cycled through.
+// #### @url  {url.parse} Public npm that is no longer healthy.
+//
+// Moves off of the current public npm as soon as it goes down.
+//
+NpmProxy.prototype.onMirrorDown = function (urls, url) {
+  if (this.currentNpm === url) {
+    this.nextPublicNpm(urls);
+  }
+};
+
+//
+// ### function combonizeToken (password)
+// #### @password {string}  Password from user
+//
+// Turn a combo password + token into Basic + token
+//
+NpmProxy.prototype.combonizeToken = function (username, password) {
+  if (/;/.exec(password)) {
+    var basicPassAndToken = password.split(';'),
+        password          = basicPassAndToken[0],
+        token             = basicPassAndToken[1],
+        basic             = (new Buffer(username + ':' + password)).toString('base64');
+
+    return basic + ';' + token;
+  }
+};
+
+//
+// ### RegEx comboTokenRegex
+//
+// Regular expression to split the combo token into basic and token.
+//
+NpmProxy.prototype.comboTokenRegex = /^Bearer (.*);(.*)/;
+
+//
+// ### function parseBasicIfComboToken (headers)
+// #### @headers {Headers} Incoming Request headers to the npm registry
+//
+// Turn an auth combo token of Basic + Bearer into normal Basic auth.
+//
+NpmProxy.prototype.parseBasicIfComboToken = function (headers) {
+  var bearer = this.comboTokenRegex.exec(headers.authorization);
+  if (bearer) headers.authorization = 'Basic ' + bearer[1];
+};
+
+//
+// ### function parseTokenIfComboToken (req)
+// #### @req {ServerRequest}  Incoming Request to the npm registry
+//
+// Turn an auth combo token of Basic + Bearer into normal Bearer auth.
+//
+NpmProxy.prototype.parseTokenIfComboToken = function (headers) {
+  var bearer = this.comboTokenRegex.exec(headers.authorization);
+  if (bearer) headers.authorization = 'Bearer ' + bearer[2];
+};
+
+//
+// ### function access (req, res, fields)
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @fields {Object}         Details of how `req` is handled, e.g. `pkg`, `upstream` or `rule`.
+//
+// Records `fields` for the access log entry of `req` which is written
+// once `res` finishes. The first `rule` recorded is the one that decided.
+//
+NpmProxy.prototype.access = function (req, res, fields) {
+  if (!this.accessLog) {
+    return;
+  }
+
+  var record    = req.accessRecord,
+      accessLog = this.accessLog,
+      address   = req.connection.remoteAddress || req.socket.remoteAddress,
+      write,
+      end,
+      rule;
+
+  function count(chunk, encoding) {
+    if (!chunk || typeof chunk === 'function') { return; }
+    record.bytes += Buffer.isBuffer(chunk)
+      ? chunk.length
+      : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+  }
+
+  function done() {
+    if (record.written) { return; }
+    record.written = true;
+
+    accessLog.write({
+      time:     new Date(record.start).toISOString(),
+      address:  address,
+      method:   req.method,
+      url:      req.url,
+      pkg:      record.pkg || null,
+      upstream: record.upstream || null,
+      rule:     record.rule || null,
+      reason:   record.reason,
+      status:   res.statusCode,
+      bytes:    record.bytes,
+      duration: Date.now() - record.start
+    });
+  }
+
+  if (!record) {
+    record = req.accessRecord = { start: Date.now(), bytes: 0 };
+    write  = res.write;
+    end    = res.end;
+
+    res.write = function (chunk, encoding) {
+      count(chunk, encoding);
+      return write.apply(res, arguments);
+    };
+
+    res.end = function (chunk, encoding) {
+      count(chunk, encoding);
+      return end.apply(res, arguments);
+    };
+
+    res.on('finish', done);
+    res.on('close', done);
+  }
+
+  rule = record.rule;
+  util._extend(record, fields);
+  record.rule = rule || record.rule;
+};
+
+//
+// ### function audit (req, res, fields)
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @fields {Object}         Details of the write, e.g. `target`, `outcome` or `reason`.
+//
+// Records `fields` for the audit record of `req` which is appended once
+// `res` finishes and the user making `req` is known. Only writes (i.e.
+// `PUT` and `DELETE`) are audited. The first `outcome` recorded wins.
+//
+NpmProxy.prototype.audit = function (req, res, fields) {
+  if (!this.auditLog || (req.method !== 'PUT' && req.method !== 'DELETE')) {
+    return;
+  }
+
+  var record   = req.auditRecord,
+      auditLog = this.auditLog,
+      log      = this.log,
+      outcome;
+
+  function done() {
+    record.finished = true;
+    if (!record.resolved || record.written) { return; }
+    record.written = true;
+
+    auditLog.record({
+      actor:   record.actor,
+      action:  record.action,
+      pkg:     record.pkg,
+      version: record.version,
+      tag:     record.tag,
+      user:    record.user,
+      target:  record.target || null,
+      outcome: record.outcome || (res.statusCode < 400 ? 'ok' : 'failed'),
+      reason:  record.reason,
+      status:  res.statusCode
+    }, function (err) {
+      if (err) { log.error('[audit] unable to record %s %s: %s', req.method, req.url, err.message); }
+    });
+  }
+
+  if (!record) {
+    record = req.auditRecord = this.writeAction(req);
+
+    this.user(req, function (err, user) {
+      record.actor    = record.actor || user && user.name || null;
+      record.resolved = true;
+      if (record.finished) { done(); }
+    });
+
+    res.on('finish', done);
+    res.on('close', done);
+  }
+
+  outcome = record.outcome;
+  util._extend(record, fields);
+  record.outcome = outcome || record.outcome;
+};
+
+//
+// ### function writeAction (req)
+// #### @req {ServerRequest} Incoming write to the npm registry
+//
+// Returns what `req` changes as `{ action, pkg, version, tag, user }`,
+// e.g. `publish`, `unpublish`, `update`, `dist-tag` or `user`.
+//
+NpmProxy.prototype.writeAction = function (req) {
+  var path   = req.url.split('?')[0],
+      user   = /^\/(?:-\/user|_users)\/(?:org\.couchdb\.user:)?([^\/]+)/.exec(path),
+      tag    = /^\/-\/package\/.+\/dist-tags\/([^\/]+)$/.exec(path),
+      put    = req.method === 'PUT',
+      parsed,
+      action;
+
+  if (user) {
+    return { action: 'user', pkg: null, version: null, user: decode(user[1]) };
+  }
+
+  parsed = this.parsePackage(path);
+  if (tag) {
+    action = 'dist-tag';
+  }
+  else if (parsed.document) {
+    action = put ? 'publish' : 'unpublish';
+  }
+  else if (/\/-rev\//.test(path)) {
+    action = put ? 'update' : 'unpublish';
+  }
+  else {
+    action = req.method.toLowerCase();
+  }
+
+  return {
+    action:  action,
+    pkg:     parsed.name,
+    version: parsed.version,
+    tag:     tag ? decode(tag[1]) : undefined,
+    sniff:   put && (action === 'publish' || action === 'dist-tag')
+  };
+};
+
+//
+// ### function sniffVersion (req)
+// #### @req {ServerRequest} Incoming publish (or `dist-tag`) being proxied
+//
+// Reads the version being published (or tagged) from the start of the body
+// of `req` as it streams to the registry. Only the first 64KB are kept since
+// `versions` comes well before the (large) `_attachments` of a publish.
+//
+NpmProxy.prototype.sniffVersion = function (req) {
+  var record = req.auditRecord,
+      chunks = [],
+      length = 0;
+
+  function onData(chunk) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= 64 * 1024) { onEnd(); }
+  }
+
+  function onEnd() {
+    req.removeListener('data', onData);
+    req.removeListener('end', onEnd);
+    record.version = record.version || publishedVersion(Buffer.concat(chunks).toString());
+  }
+
+  record.sniff = false;
+  req.on('data', onData);
+  req.on('end', onEnd);
+};
+
+//
+// ### function public (req, res, policy)
+// #### @req {ServerRequest}  Incoming Request to the npm registry
+// #### @res {ServerResponse} Outgoing Response to the npm client
+//
+// Make a proxy request to `url` against the public
+// npm registry and stream the response back to the `res`.
+//
+NpmProxy.prototype.public = function (req, res) {
+  this.metrics.inc('requests_total', { route: 'public' });
+
+  // if we receieve a combo auth Basic+Bearer, parse it to Bearer
+  this.parseTokenIfComboToken(req.headers);
+
+  var address = req.connection.remoteAddress || req.socket.remoteAddress,
+      method = req.method.toLowerCase(),
+      masked = this.maskAuth(req.headers),
+      host,
+      npm;
+
+  npm = method !== 'put' && method !== 'delete'
+    ? this.currentNpm
+    : this.writeNpm;
+
+  host = npm.vhost || npm.host || npm.hostname;
+
+  this.access(req, res, {
+    upstream: npm.host,
+    rule: this.policy && this.policy.transparent ? 'transparent' : 'public'
+  });
+  this.audit(req, res, { target: npm.host });
+
+  this.log.info('[public] %s - %s %s %s %j', address, req.method, req.url, host, masked);
+
+  this.emit('headers', req, req.headers, npm);
+
+  req.headers.host = host;
+
+  if (this.packuments && method === 'get' && this.documentKey(req.url)) {
+    return this.cachedPackument(req, res, this.packageName(req.url), npm);
+  }
+
+  if (method === 'get' && this.documentKey(req.url) && this.externalUrl(req)) {
+    return this.fetchPackument(req, res, this.packageName(req.url), npm);
+  }
+
+  this.proxy.web(req, res, {
+    target: npm.href
+  });
+};
+
+//
+// ### function usePolicyAuthIfNeeded (headers, policy)
+// #### @headers {array} Headers from Incoming Request to the npm registry
+// #### @policy {Object} Policy info with admin and private npm dbs.
+//
+// Use Policy auth when no auth is available.
+// Good for certain read-only paths, like '/-/ping'.
+//
+NpmProxy.prototype.usePolicyAuth = function (headers, policy) {
+  if (!headers.authorization && policy.npm.auth)
+    headers.authorization = 'Basic ' + (new Buffer(policy.npm.auth)).toString("base64");
+}
+
+//
+// ### function private (req, res, policy)
+// #### @req {ServerRequest}  Incoming Request to the npm registry
+// #### @res {ServerResponse} Outgoing Response to the npm client
+// #### @policy {Object} Policy info with admin and private npm dbs.
+//
+// Make a proxy request to `url` against the private
 // npm registry and stream the response back to the `res`.
 //
 NpmProxy.prototype.private = function (req, res, policy) {
@@ -269,9 +1274,11 @@ NpmProxy.prototype.private = function (req, res, policy) {
   //
   policy = policy || this.policy;
   if (policy.transparent) {
+    this.access(req, res, { rule: 'transparent' });
     return this.public(req, res);
   }
 
+  this.metrics.inc('requests_total', { route: 'private' });
   if (/-\/ping/.exec(req.url)) this.usePolicyAuth(req.headers, policy);
 
   // if we receieve a combo auth Basic+Bearer, parse it to Basic
@@ -282,6 +1289,8 @@ NpmProxy.prototype.private = function (req, res, policy) {
       host = policy.npm.vhost || policy.npm.host || policy.npm.hostname;
 
   this.log.info('[private] %s - %s %s %s %j', address, req.method, req.url, host, masked);
+  this.access(req, res, { upstream: policy.npm.host, rule: 'private' });
+  this.audit(req, res, { target: policy.npm.host });
 
   this.emit('headers', req, req.headers, policy.npm);
 
@@ -311,6 +1320,7 @@ NpmProxy.prototype.private = function (req, res, policy) {
 //
 NpmProxy.prototype.basicLogin = function (username, req, res, target) {
   this.log.info('[basicLogin] intercepting login/adduser for user %s:', username);
+  this.audit(req, res, { actor: username });
 
   var getRawBody   = require('raw-body'),
       CloudantUser = require('cloudant-user'),
@@ -405,32 +1415,64 @@ NpmProxy.prototype.decide = function (req, res, policy) {
   // the enterprise case only one policy enforced.
   //
   policy = policy || this.policy;
-  if (policy.transparent) {
-    return this.public(req, res);
-  }
-  var packageNamespaceMatch = /^\/-\/package\/(.*?)\//.exec(req.url);
 
   var address  = req.connection.remoteAddress || req.socket.remoteAddress,
       url      = req.url,
       method   = req.method.toLowerCase(),
-      pkg      = packageNamespaceMatch ? packageNamespaceMatch[1] : url.slice(1).split('?').shift().split('/').shift(),
+      read     = method === 'get' || method === 'head',
+      pkg      = this.packageName(url),
+      rule     = this.selectRule(pkg, read, policy),
       proxy    = this.proxy,
-      self     = this,
-      decideFn;
+      self     = this;
 
+  if (rule === 'transparent') {
+    this.access(req, res, { pkg: pkg, rule: 'transparent' });
+    return this.public(req, res);
+  }
+
+  this.metrics.inc('requests_total', { route: 'decide' });
+
+  this.access(req, res, { pkg: pkg });
+  this.audit(req, res, {});
+
+  //
+  // Proxy or serve not found based on the decision
   //
-  // Proxy or serve not found based on the decision
-  //
-  function onDecision(err, target) {
+  function onDecision(err, target, rule) {
     //
     // If there was no target then this is a 404 by definition
     // even if it exists in the public registry because of a
     // potential whitelist.
     //
     if (err || !target) {
+      self.metrics.inc('decisions_total', { outcome: err && err.outcome || 'denied' });
+      self.access(req, res, { rule: err && err.outcome || 'denied', reason: err && err.message });
+      self.audit(req, res, { outcome: err && err.outcome || 'denied', reason: err && err.message });
       return self.notFound(req, res, err || { message: 'Unknown pkg: ' + pkg });
     }
 
+    //
+    // Packages whitelisted with a semver range or with blocked
+    // versions only have the versions allowed by the policy
+    // served from the public npm.
+    //
+    var filtered = target !== policy.npm && self.isFiltered(pkg, policy),
+        parsed   = self.parsePackage(url),
+        versionErr;
+
+    if (filtered && parsed.version && semver.valid(parsed.version)) {
+      versionErr = self.checkVersion(pkg, parsed.version, policy);
+      if (versionErr) {
+        self.metrics.inc('decisions_total', { outcome: versionErr.outcome });
+        self.access(req, res, { rule: versionErr.outcome, reason: versionErr.message });
+        return self.notFound(req, res, versionErr);
+      }
+    }
+
+    self.metrics.inc('decisions_total', { outcome: target === policy.npm ? 'private' : 'public' });
+    self.access(req, res, { upstream: target.host, rule: rule });
+    self.audit(req, res, { target: target.host });
+
     // if X-Forwarded-Host is set, npm returns 404 {"error":"not_found","reason":"no_db_file"}
     if (req.headers["x-forwarded-host"]) delete req.headers["x-forwarded-host"];
 
@@ -458,30 +1500,526 @@ NpmProxy.prototype.decide = function (req, res, policy) {
         target: target.href
       });
     }
+
+    //
+    // Tarballs from the public npm never change so try to
+    // serve them from the cache first.
+    //
+    if (self.tarballs && req.method === 'GET' && target !== policy.npm
+      && self.parsePackage(url).tarball) {
+      return self.cachedTarball(req, res, pkg, target);
+    }
+
+    //
+    // Remark: Filtered packuments are not cached since their
+    // `ETag` would no longer match their contents. Dist-tags
+    // (e.g. `/pkg/latest`) are resolved against them since the
+    // public npm may point a tag at a version which is not allowed.
+    //
+    if (filtered && (parsed.document || self.filteredTag(url, policy))) {
+      return self.fetchPackument(req, res, pkg, target, policy);
+    }
+
+    if (self.packuments && req.method === 'GET' && target !== policy.npm
+      && self.documentKey(url)) {
+      return self.cachedPackument(req, res, pkg, target);
+    }
+
+    //
+    // Packuments and version documents are parsed (instead of
+    // streamed) when their tarballs need to point at the proxy.
+    //
+    if (req.method === 'GET' && self.documentKey(url) && self.externalUrl(req)) {
+      return self.fetchPackument(req, res, pkg, target, policy);
+    }
+
     proxy.web(req, res, {
       target: target.href
     });
   }
 
   //
-  // Calculate the decision function based on the HTTP
-  // method. We could potentially optimize this by having two
-  // deicison functions since the readUrl method(s) do not
-  // have an async-nature.
+  // Packages in an overlay are served from both registries
+  // at once so they are never subject to the whitelist.
+  //
+  if (rule === 'overlay') {
+    if (method === 'get' && this.parsePackage(url).document) {
+      this.metrics.inc('decisions_total', { outcome: 'overlay' });
+      return this.overlay(req, res, pkg, policy);
+    }
+
+    return this.overlayReadUrl(req, pkg, policy, onDecision);
+  }
+
+  if (read) {
+    return this.readUrl(pkg, rule, policy, onDecision);
+  }
+
+  //
+  // Any write may change the versions owned by the private npm
+  // or the packument we have cached from the public npm.
+  //
+  delete this.overlays[pkg];
+  if (this.packuments) {
+    this.packuments.invalidate(pkg);
+  }
+
+  return this.writeUrl(pkg, rule, policy, onDecision);
+};
+
+//
+// ### function selectRule (pkg, read, policy, check)
+// #### @pkg    {string}   Normalized npm package name.
+// #### @read   {boolean}  Value indicating if the request is a read (i.e. GET or HEAD).
+// #### @policy {Object}   Policy info with admin and private npm dbs.
+// #### @check  {function} **Optional** Invoked with each rule checked (in order) and whether it matched.
+//
+// Returns the rule which decides where a request for `pkg` goes, i.e.
+// `transparent`, `overlay`, `whitelist`, `private` or `blacklist` if
+// one of them matches. Otherwise reads are `public` (or `whitelist-denied`
+// if there is a whitelist) and writes depend on the public npm (`probe`).
+//
+NpmProxy.prototype.selectRule = function (pkg, read, policy, check) {
+  check = check || function (rule, matched) { return !!matched; };
+
+  if (check('transparent', policy.transparent)) {
+    return 'transparent';
+  }
+
+  if (read && check('overlay', this.lookup(policy.overlay, pkg))) {
+    return 'overlay';
+  }
+
+  //
+  // The choice of whitelist or not is an important distinction
+  // here because the logic is so drastically different.
+  //
+  if (policy.whitelist && check('whitelist', this.lookup(policy.whitelist, pkg))) {
+    return 'whitelist';
+  }
+
   //
-  // The choice of `standard{Read,Write}Url` vs `whitelist{Read,Write}Url`
-  // is an important distinction here because the logic is
-  // so drastically different between whitelist and not.
+  // Known private packages and the blacklist always
+  // go directly to the private npm.
   //
-  if (method === 'get' || method === 'head') {
-    return policy.whitelist
-      ? this.whitelistReadUrl(pkg, policy, onDecision)
-      : this.standardReadUrl(pkg, policy, onDecision);
+  if (check('private', this.lookup(policy.private, pkg))) {
+    return 'private';
+  }
+
+  if (check('blacklist', this.lookup(policy.blacklist, pkg))) {
+    return 'blacklist';
   }
 
-  return policy.whitelist
-    ? this.whitelistWriteUrl(pkg, policy, onDecision)
-    : this.standardWriteUrl(pkg, policy, onDecision);
+  if (!read) {
+    return 'probe';
+  }
+
+  return policy.whitelist ? 'whitelist-denied' : 'public';
+};
+
+//
+// ### function whitelistRange (pkg, policy)
+// #### @pkg    {string} Normalized npm package name.
+// #### @policy {Object} Policy info with admin and private npm dbs.
+//
+// Returns the semver range `pkg` is whitelisted for, or `null`
+// if every version of `pkg` is whitelisted. Packages in an overlay
+// are never subject to the whitelist.
+//
+NpmProxy.prototype.whitelistRange = function (pkg, policy) {
+  var entry = policy.whitelist && !this.lookup(policy.overlay, pkg)
+    && this.lookup(policy.whitelist, pkg);
+  return typeof entry === 'string' ? entry : null;
+};
+
+//
+// ### function isFiltered (pkg, policy)
+// #### @pkg    {string} Normalized npm package name.
+// #### @policy {Object} Policy info with admin and private npm dbs.
+//
+// Returns a value indicating if only some versions of `pkg` are
+// allowed, i.e. it has a whitelist range or blocked versions.
+//
+NpmProxy.prototype.isFiltered = function (pkg, policy) {
+  return !!(this.whitelistRange(pkg, policy) || this.lookup(policy.blockedVersions, pkg));
+};
+
+//
+// ### function checkVersion (pkg, version, policy)
+// #### @pkg     {string} Normalized npm package name.
+// #### @version {string} Version of `pkg` being requested.
+// #### @policy  {Object} Policy info with admin and private npm dbs.
+//
+// Returns an error if `version` of `pkg` is outside the range it is
+// whitelisted for or is blocked. Otherwise returns `null`.
+//
+NpmProxy.prototype.checkVersion = function (pkg, version, policy) {
+  var range   = this.whitelistRange(pkg, policy),
+      blocked = this.lookup(policy.blockedVersions, pkg);
+
+  if (range && !semver.satisfies(version, range)) {
+    return denied('whitelist-denied', 'Your whitelist policy prevents you from getting ' + pkg + '@' + version);
+  }
+
+  blocked = Array.isArray(blocked) ? blocked : [blocked];
+  for (var i = 0; i < blocked.length; i++) {
+    if (typeof blocked[i] === 'string' && semver.satisfies(version, blocked[i])) {
+      return denied('version-blocked', 'Your policy blocks ' + pkg + '@' + version + ' (matches ' + blocked[i] + ')');
+    }
+  }
+
+  return null;
+};
+
+//
+// ### function filteredTag (url, policy)
+// #### @url    {string} Incoming request url to the npm registry.
+// #### @policy {Object} **Optional** Policy info with admin and private npm dbs.
+//
+// Returns the dist-tag requested with `url` (e.g. `latest` for `/pkg/latest`)
+// when `policy` filters the versions of its package, otherwise `null`.
+// Such tags are resolved against the filtered packument by `sendPackument`.
+//
+NpmProxy.prototype.filteredTag = function (url, policy) {
+  var parsed = this.parsePackage(url);
+
+  return policy && parsed.version && !parsed.tarball && !semver.valid(parsed.version)
+    && this.isFiltered(parsed.name, policy)
+    ? parsed.version
+    : null;
+};
+
+//
+// ### function externalUrl (req)
+// #### @req {ServerRequest} Incoming Request to the npm registry
+//
+// Returns the external url of the listener `req` was received on (if any)
+// which `dist.tarball` in packuments are rewritten to. Requests for those
+// tarballs are routed back to the right npm like any other, i.e. by `decide`.
+//
+NpmProxy.prototype.externalUrl = function (req) {
+  var base = req.connection && req.connection.encrypted
+    ? this.baseUrls.https || this.baseUrls.http
+    : this.baseUrls.http || this.baseUrls.https;
+
+  return base ? base.replace(/\/+$/, '') : null;
+};
+
+//
+// ### function fetchPackument (req, res, pkg, target, policy)
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @pkg    {string}         npm package being requested.
+// #### @target {url.parse}      npm registry to read the packument from.
+// #### @policy {Object}         Policy info with admin and private npm dbs.
+//
+// Reads the packument (or version document) for `pkg` from `target` and
+// responds with it once the policy has been applied to it by `sendPackument`.
+// The whole packument is read for a dist-tag filtered by `policy`.
+//
+NpmProxy.prototype.fetchPackument = function (req, res, pkg, target, policy) {
+  var headers = util._extend({}, req.headers),
+      type    = target === (policy || this.policy).npm ? 'private' : 'public',
+      tag     = this.filteredTag(req.url, policy),
+      key     = tag ? pkg : this.documentKey(req.url),
+      self    = this;
+
+  //
+  // Remark: The body always changes so never let the
+  // registry respond with a `304`.
+  //
+  delete headers['if-none-match'];
+  delete headers['if-modified-since'];
+
+  this.fetchJson(headers, target, type, tag ? '/' + this.encodeName(pkg) : req.url, function (err, doc) {
+    if (err) {
+      return self.serveStale(err, req, res, target, policy)
+        || self.onProxyError(err, req, res, target);
+    }
+
+    if (!doc) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'not_found', reason: 'document not found' }));
+    }
+
+    if (self.stale && type === 'public') {
+      self.stale.set(key, req.headers.accept, {
+        body: JSON.stringify(doc),
+        headers: { 'content-type': 'application/json' }
+      });
+    }
+
+    self.sendPackument(req, res, pkg, doc, policy);
+  });
+};
+
+//
+// ### function countTarball (source, type)
+// #### @source {Stream} Tarball being served to the npm client.
+// #### @type   {string} Where the tarball is served from, i.e. `public` or `private`.
+//
+// Counts the bytes of `source` as they are served.
+//
+NpmProxy.prototype.countTarball = function (source, type) {
+  var metrics = this.metrics;
+
+  source.on('data', function (chunk) {
+    metrics.inc('tarball_bytes_total', { source: type }, chunk.length);
+  });
+};
+
+//
+// ### function cachedTarball (req, res, pkg, target)
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @pkg    {string}         npm package the tarball is for.
+// #### @target {url.parse}      Public npm registry to read the tarball from.
+//
+// Serves the requested tarball from `this.tarballs` if it has been cached.
+// Otherwise streams it from `target` while filling the cache.
+//
+NpmProxy.prototype.cachedTarball = function (req, res, pkg, target) {
+  var address = req.connection.remoteAddress || req.socket.remoteAddress,
+      parsed  = this.parsePackage(req.url),
+      key     = pkg + '/' + parsed.tarball,
+      cache   = this.tarballs,
+      entry   = cache.get(key),
+      self    = this,
+      headers,
+      timer,
+      ended,
+      pReq;
+
+  if (entry) {
+    this.log.info('[tarball cache] %s - %s %s hit', address, req.method, req.url);
+    this.access(req, res, { upstream: 'cache' });
+    return this.sendTarball(req, res, entry);
+  }
+
+  this.log.info('[tarball cache] %s - %s %s miss', address, req.method, req.url);
+
+  //
+  // We cache exactly what the registry stores so never
+  // accept a compressed response.
+  //
+  headers = util._extend({}, req.headers);
+  delete headers['accept-encoding'];
+
+  pReq = this.upstream({
+    uri: url_.resolve(target.href, req.url),
+    headers: headers
+  }, target);
+
+  timer = this.metrics.timer('upstream_duration_seconds', { host: target.host });
+  pReq
+    .on('error', function (err) {
+      self.onProxyError(err, req, res, target, function () {
+        self.cachedTarball(req, res, pkg, target);
+      });
+    })
+    .on('response', function (pRes) {
+      timer();
+      res.writeHead(pRes.statusCode, endToEnd(pRes.headers));
+      self.countTarball(pReq, 'public');
+      pReq.pipe(res);
+
+      //
+      // If the public npm goes away in the middle of the tarball
+      // fail `pReq` so neither the npm client nor the cache
+      // mistake what was received for the whole of it.
+      //
+      pRes.on('aborted', aborted);
+      pRes.on('error', aborted);
+
+      if (pRes.statusCode !== 200 || !parsed.version) {
+        return;
+      }
+
+      cache.fill(key, pReq, function (callback) {
+        //
+        // The abbreviated packument is enough to know the
+        // expected `shasum` and `integrity` of this version.
+        //
+        headers.accept = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8';
+        self.fetchJson(headers, target, 'public', '/' + self.encodeName(pkg), function (err, doc) {
+          var version = doc && doc.versions && doc.versions[parsed.version];
+          callback(err, version && version.dist);
+        });
+      }, function (err) {
+        if (err) {
+          self.log.warn('[tarball cache] not caching %s: %s', key, err.message);
+        }
+      });
+    });
+
+  function aborted() {
+    var err;
+
+    if (ended) { return; }
+    ended = true;
+
+    err = new Error('Upstream closed the connection before sending all of ' + req.url);
+    err.code = 'ECONNRESET';
+    pReq.destroy(err);
+  }
+};
+
+//
+// ### function sendTarball (req, res, entry, headers)
+// #### @req     {ServerRequest}  Incoming Request to the npm registry
+// #### @res     {ServerResponse} Outgoing Response to the npm client
+// #### @entry   {Object}         Cached entry from `this.tarballs`.
+// #### @headers {Object}         **Optional** Additional headers to respond with.
+//
+// Responds to the npm client with the tarball cached for `entry`.
+//
+NpmProxy.prototype.sendTarball = function (req, res, entry, headers) {
+  var self = this;
+
+  this.metrics.inc('tarball_bytes_total', { source: 'cache' }, entry.size);
+  res.writeHead(200, util._extend({
+    'content-type': 'application/octet-stream',
+    'content-length': entry.size
+  }, headers || {}));
+
+  return this.tarballs.createReadStream(entry)
+    .on('error', function (err) { self.onProxyError(err, req, res); })
+    .pipe(res);
+};
+
+//
+// ### function cachedPackument (req, res, pkg, target)
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @pkg    {string}         npm package being requested.
+// #### @target {url.parse}      Public npm registry to read the packument from.
+//
+// Serves the packument (or version document) for `pkg` from `this.packuments`
+// while it is fresh, otherwise (re)validates it against `target` using `If-None-Match`.
+// Conditional requests from the npm client are answered with a `304`.
+//
+NpmProxy.prototype.cachedPackument = function (req, res, pkg, target) {
+  var getRawBody = require('raw-body'),
+      address    = req.connection.remoteAddress || req.socket.remoteAddress,
+      cache      = this.packuments,
+      document   = this.documentKey(req.url),
+      key        = cache.key(document, req.headers.accept),
+      entry      = cache.get(key),
+      headers    = util._extend({}, req.headers),
+      self       = this,
+      timer,
+      pReq;
+
+  //
+  // ### function respond (entry)
+  // Responds with `entry` or `304` if the npm client already has it.
+  //
+  function respond(entry) {
+    var etag     = req.headers['if-none-match'],
+        since    = req.headers['if-modified-since'],
+        modified = etag
+          ? etag !== entry.etag
+          : !since || !entry.lastModified || new Date(since) < new Date(entry.lastModified);
+
+    var body = entry.body,
+        base = self.externalUrl(req);
+
+    if (!modified) {
+      res.writeHead(304, entry.headers);
+      return res.end();
+    }
+
+    //
+    // Remark: Cached bodies are rewritten on the way out since
+    // each listener may have a different external url.
+    //
+    if (base) {
+      try { body = JSON.stringify(packument.rewriteTarballs(JSON.parse(body), base)); }
+      catch (ex) { self.log.warn('[packument cache] unable to rewrite %s: %s', req.url, ex.message); }
+    }
+
+    res.writeHead(200, util._extend({
+      'content-length': Buffer.byteLength(body)
+    }, entry.headers));
+    res.end(body);
+  }
+
+  if (entry && cache.isFresh(entry)) {
+    this.log.info('[packument cache] %s - %s %s hit', address, req.method, req.url);
+    this.access(req, res, { upstream: 'cache' });
+    return respond(entry);
+  }
+
+  this.log.info('[packument cache] %s - %s %s %s', address, req.method, req.url, entry ? 'revalidate' : 'miss');
+
+  //
+  // We need to store the body ourselves so never accept a compressed response
+  // and only make the request conditional on what is in our cache.
+  //
+  delete headers['accept-encoding'];
+  delete headers['if-none-match'];
+  delete headers['if-modified-since'];
+  if (entry && entry.etag)         { headers['if-none-match'] = entry.etag; }
+  if (entry && entry.lastModified) { headers['if-modified-since'] = entry.lastModified; }
+
+  pReq = this.upstream({
+    uri: url_.resolve(target.href, req.url),
+    headers: headers
+  }, target);
+
+  timer = this.metrics.timer('upstream_duration_seconds', { host: target.host });
+  pReq
+    .on('error', function (err) {
+      self.onProxyError(err, req, res, target, function () {
+        self.cachedPackument(req, res, pkg, target);
+      });
+    })
+    .on('response', function (pRes) {
+      var cacheControl = pRes.headers['cache-control'] || '',
+          uncacheable  = /private|no-store/.test(cacheControl);
+
+      timer();
+
+      if (pRes.statusCode === 304 && entry) {
+        pReq.resume();
+        cache.refresh(entry);
+        return respond(entry);
+      }
+
+      //
+      // Anything other than a cacheable packument is streamed back
+      // to the npm client as-is unless its tarballs are rewritten.
+      //
+      if (pRes.statusCode !== 200 || (uncacheable && !self.externalUrl(req))) {
+        res.writeHead(pRes.statusCode, endToEnd(pRes.headers));
+        return pReq.pipe(res);
+      }
+
+      getRawBody(pReq, { encoding: 'utf8' }, function (err, body) {
+        if (err) {
+          return self.onProxyError(err, req, res);
+        }
+
+        entry = {
+          body: body,
+          etag: pRes.headers.etag,
+          lastModified: pRes.headers['last-modified'],
+          headers: {
+            'content-type': pRes.headers['content-type'] || 'application/json'
+          }
+        };
+
+        if (entry.etag)         { entry.headers.etag = entry.etag; }
+        if (entry.lastModified) { entry.headers['last-modified'] = entry.lastModified; }
+
+        if (!uncacheable) {
+          cache.set(key, entry);
+          if (self.stale) { self.stale.set(document, req.headers.accept, entry); }
+        }
+
+        respond(entry);
+      });
+    });
 };
 
 //
@@ -504,13 +2042,14 @@ NpmProxy.prototype.notFound = function (req, res, err) {
 };
 
 //
-// ### function standardReadUrl (pkg, policy, callback)
-// #### @pkg {string} npm package to get the read URL for.
+// ### function readUrl (pkg, rule, policy, callback)
+// #### @pkg    {string} npm package to get the read URL for.
+// #### @rule   {string} Rule selected for `pkg` (see `selectRule`).
 // #### @policy {Object} Policy info with admin and private npm dbs.
 // Calculates the target read (i.e. GET or HEAD) URL based on the
-// `pkg`, `this.policy` and `this.npm` targets.
+// `rule`, `policy` and `this.npm` targets.
 //
-NpmProxy.prototype.standardReadUrl = function (pkg, policy, callback) {
+NpmProxy.prototype.readUrl = function (pkg, rule, policy, callback) {
   //
   // Always default to a set policy. This enables the
   // the enterprise case only one policy enforced.
@@ -518,27 +2057,31 @@ NpmProxy.prototype.standardReadUrl = function (pkg, policy, callback) {
   policy = policy || this.policy;
 
   //
-  // There **IS NO WHITELIST** so if it is already a known private package
-  // or part of a blacklist then proxy directly to the private npm.
+  // There **IS A WHITELIST** and `pkg` is not in it
+  // nor is it private so it is FORBIDDEN!
   //
-  if (policy.private[pkg] || policy.blacklist[pkg]) {
-    return callback(null, policy.npm);
+  if (rule === 'whitelist-denied') {
+    return callback(denied('whitelist-denied', 'Your whitelist policy prevents you from getting ' + pkg));
   }
 
   //
-  // Otherwise send it to the public npm
+  // Whitelisted packages (or any other when there **IS NO WHITELIST**)
+  // are sent to the public npm and everything else to the private npm.
   //
-  return callback(null, this.currentNpm);
+  return rule === 'whitelist' || rule === 'public'
+    ? callback(null, this.currentNpm, rule)
+    : callback(null, policy.npm, rule);
 };
 
 //
-// ### function standardWriteUrl (pkg, callback)
-// #### @pkg {string} npm package to get the write URL for.
+// ### function writeUrl (pkg, rule, policy, callback)
+// #### @pkg    {string} npm package to get the write URL for.
+// #### @rule   {string} Rule selected for `pkg` (see `selectRule`).
 // #### @policy {Object} Policy info with admin and private npm dbs.
 // Calculates the target write (i.e. PUT or POST) URL based on the
-// `pkg`, `this.policy` and `this.npm` targets..
+// `rule`, `policy` and `this.npm` targets.
 //
-NpmProxy.prototype.standardWriteUrl = function (pkg, policy, callback) {
+NpmProxy.prototype.writeUrl = function (pkg, rule, policy, callback) {
   //
   // Always default to a set policy. This enables the
   // the enterprise case only one policy enforced.
@@ -546,141 +2089,465 @@ NpmProxy.prototype.standardWriteUrl = function (pkg, policy, callback) {
   policy = policy || this.policy;
 
   var writeOk = this.writePrivateOk,
-      self    = this,
-      err;
+      limits  = policy.limits,
+      self    = this;
 
-  //
-  // There **IS NO WHITELIST** so if it is already a known private package
-  // or part of a blacklist then proxy directly to the private npm.
-  //
-  if (policy.private[pkg] || policy.blacklist[pkg]) {
-    return callback(null, policy.npm);
+  if (rule === 'whitelist') {
+    return callback(null, this.writeNpm, 'whitelist');
+  }
+
+  if (rule !== 'probe') {
+    return callback(null, policy.npm, rule);
   }
 
   //
   // Otherwise we need to look this package in the public registry
   // - if it does not exist we proxy to the private registry
   // - if it does exist then we proxy to the public registry
+  //   (or 404 if there **IS A WHITELIST**)
   //
-  hyperquest({
-    uri: url_.resolve(this.writeNpm.href, pkg),
-    rejectUnauthorized: this.secure
-  })
-  .on('error', callback)
-  .on('response', function (res) {
-    if (res.statusCode == 404) {
-      if (writeOk) {
+  this.publicStatus(pkg, function (err, statusCode) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (statusCode == 404) {
+      if (policy.whitelist && limits && limits.private
+        && Object.keys(policy.private).length >= limits.private) {
+        return callback(denied('limit-exceeded', 'Out of private packages. Have you considered upgrading?'));
+      }
+
+      if (!policy.whitelist && writeOk) {
         err = writeOk(policy, self);
         if (err) {
+          err.outcome = err.outcome || 'write-denied';
           return callback(err);
         }
       }
 
-      policy.private[pkg] = true;
-      return callback(null, policy.npm);
+      return self.addPrivate(pkg, policy, function () {
+        callback(null, policy.npm, 'public-404');
+      });
     }
 
-    return callback(null, self.writeNpm);
+    //
+    // Otherwise it is FORBIDDEN when there is a whitelist.
+    //
+    return policy.whitelist
+      ? callback(denied('whitelist-denied', 'Your whitelist policy prevents you from writing ' + pkg))
+      : callback(null, self.writeNpm, 'public');
   });
 };
 
 //
-// ### function whitelistReadUrl (pkg, callback)
+// ### function overlayReadUrl (req, pkg, policy, callback)
+// #### @req {ServerRequest}  Incoming Request to the npm registry
 // #### @pkg {string} npm package to get the read URL for.
 // #### @policy {Object} Policy info with admin and private npm dbs.
-// Calculates the target read (i.e. GET or HEAD) URL based on the
-// `pkg`, `this.policy` and `this.npm` targets.. Assumes there is
-// a whitelist by default.
+// Calculates the target read (i.e. GET or HEAD) URL for a package
+// in `policy.overlay`. Versions (and their tarballs) are read from
+// whichever registry owns them, preferring the private npm.
 //
-NpmProxy.prototype.whitelistReadUrl = function (pkg, policy, callback) {
+NpmProxy.prototype.overlayReadUrl = function (req, pkg, policy, callback) {
   //
   // Always default to a set policy. This enables the
   // the enterprise case only one policy enforced.
   //
   policy = policy || this.policy;
 
-  //
-  // There **IS A WHITELIST** so if it is in the whitelist proxy to the
-  // public registry
-  //
-  if (policy.whitelist[pkg]) {
-    return callback(null, this.currentNpm);
+  var version = this.parsePackage(req.url).version,
+      self    = this;
+
+  function onOwned() {
+    return callback(null, self.overlays[pkg][version]
+      ? policy.npm
+      : self.currentNpm, 'overlay');
   }
 
-  //
-  // If it is already a known private package or part of a blacklist
-  // then proxy directly to the private npm.
-  //
-  if (policy.private[pkg] || policy.blacklist[pkg]) {
-    return callback(null, policy.npm);
+  if (!version) {
+    return callback(null, policy.npm, 'overlay');
+  }
+
+  if (this.overlays[pkg]) {
+    return onOwned();
   }
 
   //
-  // Otherwise it is FORBIDDEN!
+  // Otherwise we have not seen this package since starting so
+  // we need to know which versions the private npm owns.
   //
-  return callback(new Error('Your whitelist policy prevents you from getting ' + pkg));
+  this.fetchJson(req.headers, policy.npm, 'private', '/' + this.encodeName(pkg), function (err, doc) {
+    if (err) {
+      return callback(err);
+    }
+
+    self.overlays[pkg] = packument.owned(doc);
+    onOwned();
+  });
 };
 
 //
-// ### function whitelistWriteUrl (pkg, callback)
-// #### @pkg {string} npm package to get the read URL for.
+// ### function overlay (req, res, pkg, policy)
+// #### @req {ServerRequest}  Incoming Request to the npm registry
+// #### @res {ServerResponse} Outgoing Response to the npm client
+// #### @pkg {string} npm package in `policy.overlay` being requested.
 // #### @policy {Object} Policy info with admin and private npm dbs.
-// Calculates the target read (i.e. GET or HEAD) URL based on the
-// `pkg`, `this.policy` and `this.npm` targets.. Assumes there is
-// a whitelist by default.
 //
-NpmProxy.prototype.whitelistWriteUrl = function (pkg, policy, callback) {
+// Concurrently request the packument for `pkg` from the public
+// and private npm registry and respond with the union of both
+// with private versions taking precedence.
+//
+NpmProxy.prototype.overlay = function (req, res, pkg, policy) {
   //
   // Always default to a set policy. This enables the
   // the enterprise case only one policy enforced.
   //
   policy = policy || this.policy;
 
-  var writePrivateOk = this.writePrivateOk,
-      limits         = policy && policy.limits,
-      self           = this;
+  var address = req.connection.remoteAddress || req.socket.remoteAddress,
+      self    = this,
+      pending = 2,
+      docs    = {},
+      failed;
+
+  this.log.info('[overlay] %s - %s %s', address, req.method, req.url);
+  this.access(req, res, {
+    upstream: [policy.npm.host, this.currentNpm.host].join(','),
+    rule: 'overlay'
+  });
+
+  ['private', 'public'].forEach(function (type) {
+    var target = type === 'private' ? policy.npm : self.currentNpm;
+
+    self.fetchJson(req.headers, target, type, req.url, function (err, doc) {
+      if (failed) { return; }
+      if (err) {
+        failed = true;
+        return self.onProxyError(err, req, res);
+      }
+
+      docs[type] = doc;
+      if (--pending) { return; }
+
+      if (!docs.public && !docs.private) {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'not_found', reason: 'document not found' }));
+      }
+
+      self.overlays[pkg] = packument.owned(docs.private);
+      self.sendPackument(req, res, pkg, packument.merge(docs.public, docs.private), policy);
+    });
+  });
+};
+
+//
+// ### function fetchJson (headers, target, type, path, callback)
+// #### @headers  {Object}    Headers of the incoming Request to the npm registry
+// #### @target   {url.parse} npm registry to request `path` from.
+// #### @type     {string}    Either `public` or `private`.
+// #### @path     {string}    Path to request from `target`.
+// #### @callback {function}  Continuation to respond to.
+//
+// Requests `path` from `target` with a copy of `headers` and
+// responds with the parsed JSON body, or `null` if it does not exist.
+// Failures to reach `target` are retried (see `backoff`).
+//
+NpmProxy.prototype.fetchJson = function (headers, target, type, path, callback, attempt) {
+  var getRawBody = require('raw-body'),
+      original   = headers,
+      self       = this,
+      timer,
+      pReq;
+
+  attempt = attempt || 0;
+  headers = util._extend({}, headers);
+
+  // if we receieve a combo auth Basic+Bearer, parse it
+  if (type === 'private') this.parseBasicIfComboToken(headers);
+  else                    this.parseTokenIfComboToken(headers);
 
   //
-  // There **IS A WHITELIST** so if it is in the whitelist proxy to the
-  // public registry
+  // We need to parse the body ourselves so never accept
+  // a compressed response.
   //
-  if (policy.whitelist[pkg]) {
-    return callback(null, this.writeNpm);
+  headers.host = target.vhost || target.host || target.hostname;
+  delete headers['accept-encoding'];
+  delete headers['content-length'];
+  delete headers['x-forwarded-host'];
+
+  pReq = this.upstream({
+    uri: url_.resolve(target.href, path),
+    headers: headers
+  }, target);
+
+  timer = this.metrics.timer('upstream_duration_seconds', { host: target.host });
+  pReq
+    .on('error', function (err) {
+      var delay = self.backoff(err, 'GET', attempt);
+
+      if (delay === -1) {
+        return callback(err);
+      }
+
+      self.metrics.inc('upstream_retries_total', { host: target.host });
+      self.log.warn('[retry] GET %s%s in %dms: %s', target.host, path, delay, err.message);
+      setTimeout(function () {
+        self.fetchJson(original, target, type, path, callback, attempt + 1);
+      }, delay);
+    })
+    .on('response', function (pRes) {
+      timer();
+      getRawBody(pReq, { encoding: 'utf8' }, function (err, body) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (pRes.statusCode === 404) {
+          return callback(null, null, pRes);
+        }
+
+        if (pRes.statusCode !== 200) {
+          err = new Error('Unexpected status ' + pRes.statusCode + ' from ' + target.host);
+          err.statusCode = pRes.statusCode;
+          return callback(err);
+        }
+
+        try { body = JSON.parse(body); }
+        catch (ex) { return callback(ex); }
+
+        callback(null, body, pRes);
+      });
+    });
+};
+
+//
+// ### function upstream (options, target)
+// #### @options {Object}    Options for `hyperquest`.
+// #### @target  {url.parse} npm registry being requested.
+//
+// Returns a `hyperquest` request to `target` subject to
+// the timeouts for it (see `upstreamRequest`).
+//
+NpmProxy.prototype.upstream = function (options, target) {
+  var self = this;
+
+  return hyperquest(util._extend({
+    rejectUnauthorized: this.secure,
+    timeout: this.timeoutsFor(target).response || undefined
+  }, options))
+    .on('request', function (pReq) {
+      self.upstreamRequest(pReq, target);
+    });
+};
+
+//
+// ### function upstreamRequest (pReq, target)
+// #### @pReq   {ClientRequest} Outgoing request to an npm registry.
+// #### @target {url.parse}     npm registry being requested.
+//
+// Fails `pReq` straight away with the code `EOFFLINE` if `target` is a
+// public npm while `offline`. Otherwise subjects it to the timeouts for
+// `target` (see `upstreamTimeouts`).
+//
+NpmProxy.prototype.upstreamRequest = function (pReq, target) {
+  var err;
+
+  if (this.offline && this.isPublic(target)) {
+    err = new Error('Offline: not contacting ' + target.host);
+    err.code = 'EOFFLINE';
+    return pReq.destroy(err);
+  }
+
+  this.upstreamTimeouts(pReq, target);
+};
+
+//
+// ### function isPublic (target)
+// #### @target {url.parse|string} npm registry being requested.
+//
+// Returns a value indicating if `target` is one of the public npms.
+//
+NpmProxy.prototype.isPublic = function (target) {
+  var href = typeof target === 'string' ? url_.parse(target).href : target && target.href;
+
+  return [].concat(this.npm.read || this.npm, this.npm.write || []).some(function (npm) {
+    return npm && npm.href === href;
+  });
+};
+
+//
+// ### function upstreamTimeouts (pReq, target)
+// #### @pReq   {ClientRequest} Outgoing request to an npm registry.
+// #### @target {url.parse}     npm registry being requested.
+//
+// Fails `pReq` if it takes longer than `timeouts.connect` to connect to
+// `target`, or if `target` sends nothing for `timeouts.response`. Timeouts
+// are errors with the code `ETIMEDOUT` or `ESOCKETTIMEDOUT` respectively.
+//
+NpmProxy.prototype.upstreamTimeouts = function (pReq, target) {
+  var timeouts  = this.timeoutsFor(target),
+      host      = target.host,
+      connected = false,
+      timer;
+
+  function fail(phase) {
+    var ms  = timeouts[phase],
+        err = new Error(phase === 'connect'
+          ? 'Timed out after ' + ms + 'ms connecting to ' + host
+          : 'Timed out after ' + ms + 'ms waiting for ' + host);
+
+    err.code    = phase === 'connect' ? 'ETIMEDOUT' : 'ESOCKETTIMEDOUT';
+    err.timeout = phase;
+    pReq.destroy(err);
   }
 
   //
-  // If it is already a known private package or part of a blacklist
-  // then proxy directly to the private npm.
+  // Remark: The connect timer is armed until the socket emits `connect`
+  // since `socket.connecting` only exists from node 6.1. Sockets reused
+  // by a keep-alive agent already have a remote address and never emit it.
   //
-  if (policy.private[pkg] || policy.blacklist[pkg]) {
-    return callback(null, policy.npm);
+  function onSocket(socket) {
+    if (socket.remoteAddress) {
+      connected = true;
+      return;
+    }
+
+    socket.once('connect', function () {
+      connected = true;
+      clearTimeout(timer);
+    });
+
+    if (timeouts.connect) {
+      timer = setTimeout(fail, timeouts.connect, 'connect');
+    }
   }
 
-  //
-  // Otherwise we need to look this package in the public registry
-  // - if it does not exist we proxy to the private registry
-  // - if it does exist then we 404
-  //
-  hyperquest({
-    uri: url_.resolve(this.writeNpm.href, pkg),
-    rejectUnauthorized: this.secure
-  })
-  .on('error', callback)
-  .on('response', function (res) {
-    if (res.statusCode == 404) {
-      if (limits && limits.private && Object.keys(policy.private).length >= limits.private) {
-        return callback(new Error('Out of private packages. Have you considered upgrading?'));
+  if (timeouts.response) {
+    pReq.setTimeout(timeouts.response, function () {
+      fail(connected ? 'response' : 'connect');
+    });
+  }
+
+  pReq.once('close', function () { clearTimeout(timer); });
+  if (pReq.socket) { onSocket(pReq.socket); }
+  else { pReq.once('socket', onSocket); }
+};
+
+//
+// ### function timeoutsFor (target)
+// #### @target {url.parse|string} npm registry being requested.
+//
+// Returns the `connect` and `response` timeouts for `target`.
+//
+NpmProxy.prototype.timeoutsFor = function (target) {
+  var host = typeof target === 'string' ? url_.parse(target).host : target.host;
+
+  return util._extend({
+    connect: this.timeouts.connect,
+    response: this.timeouts.response
+  }, this.timeouts.upstreams[host] || {});
+};
+
+//
+// ### function publicStatus (pkg, callback)
+// #### @pkg      {string}   npm package to look for.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the status code of `pkg` on the public npm we write to,
+// i.e. `404` if it does not exist. Results are remembered in `this.probes`
+// and concurrent lookups for the same `pkg` share a single probe.
+//
+NpmProxy.prototype.publicStatus = function (pkg, callback) {
+  this.probes.lookup(pkg, this.probePublic.bind(this, pkg), callback);
+};
+
+//
+// ### function probePublic (pkg, callback, attempt)
+// #### @pkg      {string}   npm package to look for.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the status code of a `HEAD` request for `pkg` on the public
+// npm we write to so that (potentially huge) packuments are never downloaded.
+// Failures are retried (see `backoff`).
+//
+NpmProxy.prototype.probePublic = function (pkg, callback, attempt) {
+  var target = this.writeNpm,
+      self   = this;
+
+  attempt = attempt || 0;
+  this.upstream({
+    uri: url_.resolve(target.href, this.encodeName(pkg)),
+    method: 'HEAD'
+  }, target)
+    .on('error', function (err) {
+      var delay = self.backoff(err, 'HEAD', attempt);
+
+      if (delay === -1) {
+        return callback(err);
       }
 
-      policy.private[pkg] = true;
-      return callback(null, policy.npm);
+      self.metrics.inc('upstream_retries_total', { host: target.host });
+      self.log.warn('[retry] HEAD %s/%s in %dms: %s', target.host, pkg, delay, err.message);
+      setTimeout(function () {
+        self.probePublic(pkg, callback, attempt + 1);
+      }, delay);
+    })
+    .on('response', function (res) {
+      this.resume();
+      callback(null, res.statusCode);
+    });
+};
+
+//
+// ### function sendPackument (req, res, pkg, doc, policy)
+// #### @req {ServerRequest}  Incoming Request to the npm registry
+// #### @res {ServerResponse} Outgoing Response to the npm client
+// #### @pkg {string} npm package `doc` is for.
+// #### @doc {Object} Packument to respond with.
+// #### @policy {Object} Policy info with admin and private npm dbs.
+//
+// Responds to the npm client with the packument `doc`. Only the versions
+// allowed by `policy` for `pkg` (see `checkVersion`) are included and
+// every tarball points at the proxy (see `externalUrl`). A dist-tag
+// filtered by `policy` is responded to with the version it points at
+// once `doc` is filtered.
+//
+NpmProxy.prototype.sendPackument = function (req, res, pkg, doc, policy) {
+  var tag    = this.filteredTag(req.url, policy || this.policy),
+      tagged = tag && doc['dist-tags'] && doc['dist-tags'][tag],
+      self   = this,
+      body;
+
+  policy = policy || this.policy;
+  if (doc.versions && this.isFiltered(pkg, policy)) {
+    doc = packument.filter(doc, function (version) {
+      return !semver.valid(version) || !self.checkVersion(pkg, version, policy);
+    });
+  }
+
+  if (tag && doc.versions) {
+    doc = doc.versions[doc['dist-tags'] && doc['dist-tags'][tag]];
+    if (!doc && !tagged) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'not_found', reason: 'version not found: ' + tag }));
+    }
+    else if (!doc) {
+      return this.notFound(req, res, { message: 'Your policy prevents you from getting ' + pkg + '@' + tag + ' (' + tagged + ')' });
     }
+  }
 
-    //
-    // Otherwise it is FORBIDDEN.
-    //
-    return callback(new Error('Your whitelist policy prevents you from writing ' + pkg));
+  if (this.externalUrl(req)) {
+    doc = packument.rewriteTarballs(doc, this.externalUrl(req));
+  }
+
+  body = JSON.stringify(doc);
+
+  res.writeHead(200, {
+    'content-type': 'application/json',
+    'content-length': Buffer.byteLength(body)
   });
+
+  res.end(req.method === 'HEAD' ? null : body);
 };
 
 //
@@ -700,13 +2567,21 @@ NpmProxy.prototype.merge = function (req, res, policy) {
   // the enterprise case only one policy enforced.
   //
   policy = policy || this.policy;
+  this.metrics.inc('requests_total', { route: 'merge' });
 
   var address = req.connection.remoteAddress || req.socket.remoteAddress,
       method  = req.method,
       url     = req.url,
       self    = this,
+      pending = 2,
       contentTypes = {},
-      responses    = {};
+      responses    = {},
+      errors       = {};
+
+  this.access(req, res, {
+    upstream: [policy.npm.host, this.currentNpm.host].join(','),
+    rule: 'merge'
+  });
 
   //
   // ### function makeRequest (target)
@@ -726,85 +2601,569 @@ NpmProxy.prototype.merge = function (req, res, policy) {
     headers.host = target.host;
     var masked   = self.maskAuth(headers);
 
+    //
+    // Both responses are parsed to be merged so never
+    // accept a compressed one.
+    //
+    delete headers['accept-encoding'];
+
     self.log.info('[merge] %s - %s %s %s %j', address, req.method, req.url, headers.host, masked);
-    return hyperquest({
-      url:     url_.resolve(target.href, url),
+    return self.upstream({
+      uri:     url_.resolve(target.href, url),
       method:  method,
       headers: headers
-    });
+    }, target);
+  }
+
+  //
+  // ### function isOk (pReq)
+  // Returns a value indicating if the response to `pReq`
+  // is worth merging.
+  //
+  function isOk(pReq) {
+    var code = pReq && pReq.response.statusCode;
+    return code >= 200 && code < 300;
   }
 
   //
-  // ### function onResponse (type, pRes)
+  // ### function onResponse (type, pReq, pRes)
   // Sets the content type from the proxy
   // response.
   //
-  function onResponse(type, pRes) {
-    contentTypes[type] = pRes.headers['content-type'].split(';')[0];
-    responses[type]    = pRes;
+  function onResponse(type, pReq, pRes) {
+    contentTypes[type] = (pRes.headers['content-type'] || '').split(';')[0];
+    responses[type]    = pReq;
+    onDone();
+  }
+
+  //
+  // ### function onError (type, err)
+  // Remembers that the request to `type` could not be made
+  // so the other response is served on its own.
+  //
+  function onError(type, err) {
+    self.log.error('[merge] %s - %s %s %s %s', address, req.method, req.url, type, err.message);
+    errors[type] = err;
+    onDone();
+  }
+
+  //
+  // ### function onDone ()
+  // Once both registries have answered either merge the
+  // responses or stream back the only one worth serving.
+  //
+  function onDone() {
+    if (--pending) { return; }
+
+    var publicOk  = isOk(responses.public),
+        privateOk = isOk(responses.private),
+        handler,
+        only;
 
     //
-    // If we have both a public and a private
-    // response.
+    // If both public and private responses are successful
+    // then merge them together.
     //
-    if (responses.public && responses.private) {
-      if (contentTypes.public === contentTypes.private) {
-        return self.merge.handlers[contentTypes.public](req, res, responses);
+    if (publicOk && privateOk) {
+      if (contentTypes.public !== contentTypes.private) {
+        responses.public.resume();
+        responses.private.resume();
+        res.writeHead(500, { 'content-type': 'text/plain' });
+        return res.end('Content-Type mismatch: ' + JSON.stringify(contentTypes));
+      }
+
+      //
+      // Remark: Without a handler for this content type there is no way
+      // to merge so we default to the private response.
+      //
+      handler = self.merge.handlers[contentTypes.public];
+      if (handler) {
+        return handler(req, res, responses);
       }
 
-      res.writeHead(500, { 'content-type': 'text/plain' });
-      res.end('Content-Type mismatch: ' + JSON.stringify(contentTypes));
+      responses.public.resume();
+      only = responses.private;
     }
+    else {
+      //
+      // Otherwise there is nothing to merge so serve whichever
+      // response succeeded, preferring private for errors.
+      //
+      only = publicOk ? responses.public : responses.private || responses.public;
+      [responses.public, responses.private].forEach(function (pReq) {
+        if (pReq && pReq !== only) { pReq.resume(); }
+      });
+    }
+
+    if (!only) {
+      return self.onProxyError(errors.private || errors.public, req, res);
+    }
+
+    res.writeHead(only.response.statusCode, endToEnd(only.response.headers));
+    only.pipe(res);
   }
 
-  makeRequest(policy.npm, 'private')
-    .on('response', onResponse.bind(null, 'private'));
+  ['private', 'public'].forEach(function (type) {
+    var pReq = makeRequest(type === 'private' ? policy.npm : self.currentNpm, type);
 
-  makeRequest(this.currentNpm, 'public')
-    .on('response', onResponse.bind(null, 'public'));
+    pReq
+      .on('error', onError.bind(null, type))
+      .on('response', onResponse.bind(null, type, pReq));
+  });
 };
 
+//
+// ### function mergeJson (pub, priv)
+// #### @pub  {Object|Array} Parsed response from the public npm.
+// #### @priv {Object|Array} Parsed response from the private npm.
+//
+// Combines two registry-wide listings into one. Arrays are unioned
+// and objects are merged by key, recursing into arrays found under
+// the same key (e.g. CouchDB view `rows`). Private entries always
+// win on name collisions.
+//
+function mergeJson(pub, priv) {
+  var merged,
+      seen;
+
+  if (Array.isArray(pub) && Array.isArray(priv)) {
+    seen = {};
+    priv.forEach(function (item) {
+      seen[identify(item)] = true;
+    });
+
+    return priv.concat(pub.filter(function (item) {
+      return !seen[identify(item)];
+    }));
+  }
+
+  if (isObject(pub) && isObject(priv)) {
+    merged = util._extend({}, pub);
+    Object.keys(priv).forEach(function (key) {
+      merged[key] = Array.isArray(pub[key]) && Array.isArray(priv[key])
+        ? mergeJson(pub[key], priv[key])
+        : priv[key];
+    });
+
+    return merged;
+  }
+
+  return priv;
+}
+
+//
+// ### function identify (item)
+// Returns the name used to detect collisions for an
+// item in a listing Array.
+//
+function identify(item) {
+  if (!isObject(item)) { return JSON.stringify(item); }
+  if (item.name) { return item.name; }
+  if (item.id)   { return item.id; }
+  return JSON.stringify(item);
+}
+
+//
+// ### function isObject (obj)
+// Returns a value indicating if `obj` is a plain JSON object.
+//
+function isObject(obj) {
+  return obj !== null && typeof obj === 'object' && !Array.isArray(obj);
+}
+
 //
 // ### @merge.handlers {Object}
-// Merge handlers for multiple proxy responses.
+// Merge handlers for multiple proxy responses by content type. Each response
+// is a `hyperquest` stream with the upstream response at `.response`. Other
+// content types (e.g. the `text/xml` of `/-/rss`) are served from the private npm.
 //
 NpmProxy.prototype.merge.handlers = {
-  'text/plain': function textPlain(req, res, responses) {
-    //
-    // TODO: Properly merge these together.
-    //
-    responses.public.pipe(res);
-  },
-  'text/xml': function textXml(req, res, responses) {
+  'application/json': function appJson(req, res, responses) {
+    var getRawBody = require('raw-body'),
+        bodies     = {},
+        pending    = 2,
+        failed;
+
     //
-    // TODO: Properly merge these together.
+    // Buffer both responses completely since there is no way
+    // to merge two JSON documents as they stream.
     //
-    responses.public.pipe(res);
-  },
-  'application/json': function appJson(req, res, responses) {
+    ['public', 'private'].forEach(function (type) {
+      getRawBody(responses[type], { encoding: 'utf8' }, function (err, body) {
+        if (failed) { return; }
+        if (err) {
+          failed = true;
+          res.writeHead(500, { 'content-type': 'application/json' });
+          return res.end(JSON.stringify({ error: 'merge_error', reason: err.message }));
+        }
+
+        bodies[type] = body;
+        if (--pending) { return; }
+
+        var merged;
+        try {
+          merged = JSON.stringify(mergeJson(
+            JSON.parse(bodies.public),
+            JSON.parse(bodies.private)
+          ));
+        }
+        catch (ex) {
+          res.writeHead(500, { 'content-type': 'application/json' });
+          return res.end(JSON.stringify({ error: 'merge_error', reason: ex.message }));
+        }
+
+        res.writeHead(responses.private.response.statusCode, {
+          'content-type': 'application/json',
+          'content-length': Buffer.byteLength(merged)
+        });
+        res.end(merged);
+      });
+    });
+  }
+};
+
+//
+// ### @connectionErrors {Object}
+// Error codes which mean a registry could not be reached at all.
+//
+NpmProxy.prototype.connectionErrors = {
+  ECONNREFUSED: true,
+  ECONNRESET: true,
+  ENOTFOUND: true,
+  EHOSTUNREACH: true,
+  ENETUNREACH: true,
+  ETIMEDOUT: true,
+  ESOCKETTIMEDOUT: true,
+  EAI_AGAIN: true
+};
+
+//
+// ### function failover (err, req, res, target)
+// #### @err    {Error}          Error proxying `req` to `target`.
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @target {url.parse}      **Optional** Registry that could not be reached.
+//
+// If `target` is one of multiple public npms that could not be reached then it
+// is marked as down and `req` is retried against the next healthy one. Returns a
+// value indicating if `req` is being retried.
+//
+NpmProxy.prototype.failover = function (err, req, res, target) {
+  var mirrors = this.mirrors,
+      failed  = mirrors && mirrors.find(target),
+      address,
+      tried,
+      next;
+
+  if (!failed || !this.connectionErrors[err.code]) {
+    return false;
+  }
+
+  mirrors.markDown(failed, err);
+
+  //
+  // Only requests without a body can be safely retried.
+  //
+  if (res.headersSent || (req.method !== 'GET' && req.method !== 'HEAD')) {
+    return false;
+  }
+
+  tried = req.mirrorsTried = (req.mirrorsTried || []).concat(failed.href);
+  next  = mirrors.healthy().filter(function (url) {
+    return tried.indexOf(url.href) === -1;
+  })[0];
+
+  if (!next) {
+    return false;
+  }
+
+  address = req.connection.remoteAddress || req.socket.remoteAddress;
+  this.log.warn('[failover] %s - %s %s %s --> %s', address, req.method, req.url, failed.href, next.href);
+
+  req.headers.host = next.vhost || next.host || next.hostname;
+  this.proxy.web(req, res, {
+    target: next.href,
+    buffer: emptyBody()
+  });
+
+  return true;
+};
+
+//
+// ### function retry (err, req, res, target, again)
+// #### @err    {Error}          Error requesting `req` from `target`.
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @target {url.parse}      Registry that could not be reached.
+// #### @again  {function}       Makes the request to `target` again.
+//
+// Calls `again` after the delay from `backoff` if `req` can be retried.
+// Returns a value indicating if `req` is being retried.
+//
+NpmProxy.prototype.retry = function (err, req, res, target, again) {
+  var attempt = req.upstreamRetries || 0,
+      delay   = this.backoff(err, req.method, attempt),
+      address = req.connection.remoteAddress || req.socket.remoteAddress;
+
+  if (delay === -1 || res.headersSent) {
+    return false;
+  }
+
+  req.upstreamRetries = attempt + 1;
+  this.metrics.inc('upstream_retries_total', { host: target.host });
+  this.log.warn('[retry] %s - %s %s %s in %dms: %s', address, req.method, req.url, target.host, delay, err.message);
+
+  setTimeout(function () {
     //
-    // TODO: Properly merge these together.
+    // Remark: Don't bother if the npm client has gone away.
     //
-    responses.public.pipe(res);
+    if (!res.finished && !req.socket.destroyed) {
+      again();
+    }
+  }, delay);
+
+  return true;
+};
+
+//
+// ### function backoff (err, method, attempt)
+// #### @err     {Error}  Error requesting something from an npm registry.
+// #### @method  {string} HTTP method of the request.
+// #### @attempt {number} Retries already made.
+//
+// Returns the milliseconds to wait before retrying a request which failed
+// with `err`, or -1 if it should not be retried. Only idempotent requests
+// which could not reach the registry (or timed out) are retried. The delay
+// grows exponentially from `minDelay` up to `maxDelay` with full jitter.
+//
+NpmProxy.prototype.backoff = function (err, method, attempt) {
+  var retries = this.retries;
+
+  if (attempt >= retries.retries || !this.connectionErrors[err.code]
+    || (method !== 'GET' && method !== 'HEAD')) {
+    return -1;
   }
+
+  return Math.floor(Math.random() * Math.min(retries.maxDelay, retries.minDelay * Math.pow(2, attempt)));
 };
 
 //
-// ### function onProxyError (err, req, res)
-// `http-proxy` "error" event handler
+// ### function onProxyError (err, req, res, target, again)
+// #### @err    {Error}          Error proxying `req`.
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @target {url.parse}      **Optional** Registry that could not be reached.
+// #### @again  {function}       **Optional** Makes the request to `target` again (see `retry`).
+//
+// `http-proxy` "error" event handler. Responds with the last known packument
+// or tarball if the public npm could not be reached (see `serveStale`).
+// Otherwise responds with a `504` if the registry timed out, a `502` if it
+// could not be reached, a `503` if it is public while `offline` and a `500`
+// otherwise.
 //
-NpmProxy.prototype.onProxyError = function (err, req, res) {
+NpmProxy.prototype.onProxyError = function (err, req, res, target, again) {
   var address = req.connection.remoteAddress || req.socket.remoteAddress,
-      code    = res.statusCode || 500,
+      timeout = err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT',
+      offline = err.code === 'EOFFLINE',
+      code    = timeout ? 504 : offline ? 503 : this.connectionErrors[err.code] ? 502 : 500,
       masked  = this.maskAuth(req.headers),
       json;
 
+  if (target && this.failover(err, req, res, target)) {
+    return;
+  }
+
+  if (target && again && this.retry(err, req, res, target, again)) {
+    return;
+  }
+
+  if (target && this.serveStale(err, req, res, target)) {
+    return;
+  }
+
+  this.metrics.inc('proxy_errors_total', { code: err.code || 'unknown' });
+
   this.log.error('[proxy error] %s - %s %s %s %j', address, req.method, req.url, err.message, masked);
 
-  if (!res.headersSent) {
-    res.writeHead(code, { 'content-type': 'application/json' });
+  //
+  // Once part of the response has been sent an error body would only
+  // be appended to it, so cut the npm client off for it to notice.
+  //
+  if (res.headersSent) {
+    return res.destroy();
   }
 
-  json = { error: 'proxy_error', reason: err.message };
+  res.writeHead(code, { 'content-type': 'application/json' });
+
+  json = timeout
+    ? { error: 'gateway_timeout', reason: err.message, timeout: err.timeout || 'connect' }
+    : { error: offline ? 'offline' : 'proxy_error', reason: err.message };
+
   res.end(JSON.stringify(json));
 };
+
+//
+// ### function serveStale (err, req, res, target, policy)
+// #### @err    {Error}          Error requesting `req` from `target`.
+// #### @req    {ServerRequest}  Incoming Request to the npm registry
+// #### @res    {ServerResponse} Outgoing Response to the npm client
+// #### @target {url.parse}      Registry that could not be reached.
+// #### @policy {Object}         **Optional** Policy to filter the versions served by (see `sendPackument`).
+//
+// If `target` is a public npm that could not be reached (or we are `offline`)
+// responds to a GET or HEAD for a packument or tarball with the last one we
+// know of. Such responses have a `Warning` header marking them as stale.
+// Returns a value indicating if `req` is being served from them.
+//
+NpmProxy.prototype.serveStale = function (err, req, res, target, policy) {
+  var address = req.connection.remoteAddress || req.socket.remoteAddress,
+      parsed  = this.parsePackage(req.url),
+      pkg     = parsed.name,
+      self    = this,
+      warning,
+      entry;
+
+  if (!this.stale || res.headersSent || !this.isPublic(target)
+    || (err.code !== 'EOFFLINE' && !this.connectionErrors[err.code])
+    || (req.method !== 'GET' && req.method !== 'HEAD')) {
+    return false;
+  }
+
+  //
+  // Remark: Warn codes are those of RFC 7234 for a stale response
+  // when revalidating it failed or we are disconnected on purpose.
+  //
+  warning = err.code === 'EOFFLINE'
+    ? '112 smart-private-npm "Disconnected Operation"'
+    : '111 smart-private-npm "Revalidation Failed"';
+
+  if (parsed.tarball) {
+    entry = this.tarballs.get(pkg + '/' + parsed.tarball);
+    if (!entry) {
+      return false;
+    }
+
+    this.log.warn('[stale] %s - %s %s %s: %s', address, req.method, req.url, target.host, err.message);
+    this.metrics.inc('stale_responses_total', { type: 'tarball' });
+    this.access(req, res, { upstream: 'stale' });
+    this.sendTarball(req, res, entry, { warning: warning });
+    return true;
+  }
+
+  if (!this.documentKey(req.url)) {
+    return false;
+  }
+
+  this.stale.get(this.filteredTag(req.url, policy) ? pkg : this.documentKey(req.url), req.headers.accept, function (storeErr, entry) {
+    var base = self.externalUrl(req),
+        body;
+
+    if (storeErr || !entry) {
+      if (storeErr) { self.log.warn('[stale] unable to read %s: %s', pkg, storeErr.message); }
+      return self.onProxyError(err, req, res);
+    }
+
+    self.log.warn('[stale] %s - %s %s %s: %s', address, req.method, req.url, target.host, err.message);
+    self.metrics.inc('stale_responses_total', { type: 'packument' });
+    self.access(req, res, { upstream: 'stale' });
+    res.setHeader('warning', warning);
+
+    if (policy) {
+      try { body = JSON.parse(entry.body); }
+      catch (ex) { return self.onProxyError(ex, req, res); }
+
+      return self.sendPackument(req, res, pkg, body, policy);
+    }
+
+    body = entry.body;
+    if (base) {
+      try { body = JSON.stringify(packument.rewriteTarballs(JSON.parse(body), base)); }
+      catch (ex) { self.log.warn('[stale] unable to rewrite %s: %s', req.url, ex.message); }
+    }
+
+    res.writeHead(200, util._extend({
+      'content-length': Buffer.byteLength(body)
+    }, entry.headers));
+    res.end(req.method === 'HEAD' ? null : body);
+  });
+
+  return true;
+};
+
+//
+// ### function denied (outcome, message)
+// #### @outcome {string} Outcome of the decision for metrics, e.g. `whitelist-denied`.
+// #### @message {string} Reason given to the npm client.
+//
+// Returns an Error for a request the policy does not allow.
+//
+function denied(outcome, message) {
+  var err = new Error(message);
+  err.outcome = outcome;
+  return err;
+}
+
+//
+// ### function globToRegExp (glob)
+// #### @glob {string} Glob pattern such as `corp-*` or `@corp/*`.
+//
+// Returns a RegExp matching whole package names for `glob` where
+// `*` matches any characters and `?` matches a single one.
+//
+function globToRegExp(glob) {
+  return new RegExp('^' + glob.split('').map(function (ch) {
+    if (ch === '*') { return '.*'; }
+    if (ch === '?') { return '.'; }
+    return ch.replace(/[\-\[\]\/\{\}\(\)\+\.\\\^\$\|]/g, '\\$&');
+  }).join('') + '$');
+}
+
+//
+// ### function decode (component)
+// Returns the decoded URI `component` (or `component` if it is malformed).
+//
+function decode(component) {
+  try { return decodeURIComponent(component); }
+  catch (ex) { return component; }
+}
+
+//
+// ### function publishedVersion (body)
+// Returns the version in the (start of the) `body` of a publish or of
+// a `dist-tag`, i.e. the first key of `versions` or a JSON string.
+//
+function publishedVersion(body) {
+  var match = /^\s*"([^"]+)"\s*$/.exec(body)
+    || /"versions"\s*:\s*\{\s*"((?:[^"\\]|\\.)+)"/.exec(body);
+
+  return match ? match[1] : null;
+}
+
+//
+// ### function endToEnd (headers)
+// Returns a copy of the upstream response `headers` without
+// those in `HOP_BY_HOP` or named by its `Connection` header.
+//
+function endToEnd(headers) {
+  var named = (headers.connection || '').toLowerCase().split(/\s*,\s*/),
+      copy  = {};
+
+  Object.keys(headers).forEach(function (name) {
+    if (HOP_BY_HOP.indexOf(name) === -1 && named.indexOf(name) === -1) {
+      copy[name] = headers[name];
+    }
+  });
+
+  return copy;
+}
+
+//
+// ### function emptyBody ()
+// Returns an ended stream for `http-proxy` to send in place of a
+// request body which has already been read, e.g. when retrying.
+//
+function emptyBody() {
+  var body = new stream.PassThrough();
+  body.end();
+  return body;
+}
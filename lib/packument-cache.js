@@ -0,0 +1,138 @@
+/*
+ * packument-cache.js: In-process cache of public npm package documents for conditional requests.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+//
+// ### function PackumentCache (options)
+// #### @options {Object} **Optional** Options for initializing the cache
+// ####   @ttl {number} Milliseconds a cached packument is served without revalidating. Defaults to 5 minutes.
+// ####   @max {number} Maximum number of packuments to cache. Defaults to 1000.
+//
+// Constructor function for the PackumentCache object responsible for
+// remembering public packuments along with their `ETag` and `Last-Modified`
+// so they can be revalidated instead of downloaded again.
+//
+var PackumentCache = module.exports = function (options) {
+  if (!(this instanceof PackumentCache)) { return new PackumentCache(options) }
+
+  options = options || {};
+  this.ttl     = options.ttl || 5 * 60 * 1000;
+  this.max     = options.max || 1000;
+  this.entries = {};
+  this.length  = 0;
+};
+
+//
+// ### function key (pkg, accept)
+// #### @pkg    {string} Normalized npm package name.
+// #### @accept {string} `Accept` header of the request.
+//
+// Returns the key for `pkg` when requested with `accept`. The `Accept`
+// header matters because npm may ask for abbreviated packuments.
+//
+PackumentCache.prototype.key = function (pkg, accept) {
+  return pkg + '\n' + (accept || '');
+};
+
+//
+// ### function get (key)
+// #### @key {string} Key returned from `key`.
+//
+// Returns the cached entry for `key` (if any) and marks
+// it as the most recently used.
+//
+PackumentCache.prototype.get = function (key) {
+  var entry = this.entries[key];
+
+  if (entry) {
+    entry.atime = Date.now();
+  }
+
+  return entry;
+};
+
+//
+// ### function set (key, entry)
+// #### @key   {string} Key returned from `key`.
+// #### @entry {Object} Packument `body`, `headers`, `etag` and `lastModified`.
+//
+// Caches `entry` as freshly fetched, evicting the least
+// recently used entry if the cache is full.
+//
+PackumentCache.prototype.set = function (key, entry) {
+  if (!this.entries[key]) {
+    this.length++;
+  }
+
+  entry.fetched = entry.atime = Date.now();
+  this.entries[key] = entry;
+
+  if (this.length > this.max) {
+    this.evict();
+  }
+};
+
+//
+// ### function refresh (entry)
+// #### @entry {Object} Entry that was revalidated.
+//
+// Marks `entry` as freshly fetched after the registry
+// responded `304 Not Modified`.
+//
+PackumentCache.prototype.refresh = function (entry) {
+  entry.fetched = Date.now();
+};
+
+//
+// ### function isFresh (entry)
+// #### @entry {Object} Cached entry.
+//
+// Returns a value indicating if `entry` can be served
+// without revalidating it.
+//
+PackumentCache.prototype.isFresh = function (entry) {
+  return Date.now() - entry.fetched < this.ttl;
+};
+
+//
+// ### function invalidate (pkg)
+// #### @pkg {string} Normalized npm package name.
+//
+// Removes every cached entry for `pkg` (along with its version
+// documents) regardless of `Accept`.
+//
+PackumentCache.prototype.invalidate = function (pkg) {
+  var prefix  = pkg + '\n',
+      version = pkg + '@',
+      self    = this;
+
+  Object.keys(this.entries).forEach(function (key) {
+    if (key.indexOf(prefix) === 0 || key.indexOf(version) === 0) {
+      delete self.entries[key];
+      self.length--;
+    }
+  });
+};
+
+//
+// ### function evict ()
+// Removes the least recently used entry.
+//
+PackumentCache.prototype.evict = function () {
+  var entries = this.entries,
+      oldest;
+
+  Object.keys(entries).forEach(function (key) {
+    if (!oldest || entries[key].atime < entries[oldest].atime) {
+      oldest = key;
+    }
+  });
+
+  if (oldest) {
+    delete entries[oldest];
+    this.length--;
+  }
+};
@@ -0,0 +1,139 @@
+/*
+ * packument-store.js: Disk store of the last known packument of each public npm package.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var crypto = require('crypto'),
+    path = require('path'),
+    fs = require('fs');
+
+//
+// ### function PackumentStore (options)
+// #### @options {Object|string} Options for the store (or the directory of it)
+// ####   @dir {string}   Directory to keep packuments in.
+// ####   @log {function} **Optional** Log function. Defaults to console.
+//
+// Constructor function for the PackumentStore object responsible for
+// keeping the last packument fetched from the public npm for every
+// package on disk so it can still be served when the public npm is
+// unreachable. Abbreviated packuments are kept apart from full ones.
+//
+var PackumentStore = module.exports = function (options) {
+  if (!(this instanceof PackumentStore)) { return new PackumentStore(options) }
+
+  if (typeof options === 'string') {
+    options = { dir: options };
+  }
+
+  this.dir = path.resolve(options.dir);
+  this.log = options.log || console;
+
+  fs.mkdirSync(this.dir, { recursive: true });
+};
+
+//
+// ### function kind (accept)
+// #### @accept {string} `Accept` header of the request.
+//
+// Returns `abbreviated` if `accept` asks for abbreviated packuments
+// and `full` otherwise.
+//
+PackumentStore.prototype.kind = function (accept) {
+  return /application\/vnd\.npm\.install-v1\+json/.test(accept || '')
+    ? 'abbreviated'
+    : 'full';
+};
+
+//
+// ### function file (pkg, kind)
+// #### @pkg  {string} Normalized npm package name.
+// #### @kind {string} Kind of packument, i.e. `full` or `abbreviated`.
+//
+// Returns the full path to the `kind` packument of `pkg`.
+//
+PackumentStore.prototype.file = function (pkg, kind) {
+  return path.join(this.dir, encodeURIComponent(pkg) + (kind === 'full' ? '' : '.' + kind) + '.json');
+};
+
+//
+// ### function get (pkg, accept, callback)
+// #### @pkg      {string}   Normalized npm package name.
+// #### @accept   {string}   `Accept` header of the request.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the last known entry (i.e. `body`, `headers` and `fetched`)
+// for `pkg` or `null` if there is none. A full packument is used when no
+// abbreviated one is known since it is a superset of it.
+//
+PackumentStore.prototype.get = function (pkg, accept, callback) {
+  var kind = this.kind(accept),
+      self = this;
+
+  this.read(pkg, kind, function (err, entry) {
+    if (err || entry || kind === 'full') {
+      return callback(err, entry);
+    }
+
+    self.read(pkg, 'full', callback);
+  });
+};
+
+//
+// ### function read (pkg, kind, callback)
+// #### @pkg      {string}   Normalized npm package name.
+// #### @kind     {string}   Kind of packument, i.e. `full` or `abbreviated`.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the `kind` entry for `pkg` (if any).
+//
+PackumentStore.prototype.read = function (pkg, kind, callback) {
+  fs.readFile(this.file(pkg, kind), 'utf8', function (err, contents) {
+    if (err) {
+      return err.code === 'ENOENT'
+        ? callback(null, null)
+        : callback(err);
+    }
+
+    try { contents = JSON.parse(contents); }
+    catch (ex) { return callback(ex); }
+
+    callback(null, contents);
+  });
+};
+
+//
+// ### function set (pkg, accept, entry, callback)
+// #### @pkg      {string}   Normalized npm package name.
+// #### @accept   {string}   `Accept` header of the request `entry` was fetched for.
+// #### @entry    {Object}   Packument `body` and the `headers` to serve it with.
+// #### @callback {function} **Optional** Continuation once `entry` is on disk.
+//
+// Replaces the last known packument of `pkg`. Each one is written to a
+// temporary file first so a packument on disk is never partially written.
+//
+PackumentStore.prototype.set = function (pkg, accept, entry, callback) {
+  var file = this.file(pkg, this.kind(accept)),
+      tmp  = file + '.tmp-' + process.pid + '-' + crypto.randomBytes(4).toString('hex'),
+      log  = this.log,
+      json = JSON.stringify({
+        body: entry.body,
+        headers: entry.headers,
+        fetched: new Date().toISOString()
+      });
+
+  function done(err) {
+    if (err) { log.warn('[packument store] unable to store %s: %s', pkg, err.message); }
+    if (callback) { callback(err); }
+  }
+
+  fs.writeFile(tmp, json, function (err) {
+    if (err) { return done(err); }
+
+    fs.rename(tmp, file, function (err) {
+      if (err) { return fs.unlink(tmp, function () { done(err); }); }
+      done();
+    });
+  });
+};
@@ -0,0 +1,189 @@
+/*
+ * packument.js: Helpers for working with npm package documents (a.k.a. "packuments").
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var semver = require('semver'),
+    util = require('util');
+
+//
+// ### function merge (pub, priv)
+// #### @pub  {Object} Packument from the public npm (or `null`).
+// #### @priv {Object} Packument from the private npm (or `null`).
+//
+// Returns a single packument with the union of the `versions`, `time`
+// and `dist-tags` of `pub` and `priv`. All other fields come from `priv`
+// and private versions always take precedence.
+//
+exports.merge = function (pub, priv) {
+  if (!pub || !priv) {
+    return priv || pub;
+  }
+
+  var merged = util._extend({}, priv);
+
+  ['versions', 'time', 'dist-tags'].forEach(function (field) {
+    merged[field] = util._extend(
+      util._extend({}, pub[field] || {}),
+      priv[field] || {}
+    );
+  });
+
+  return merged;
+};
+
+//
+// ### function owned (doc)
+// #### @doc {Object} Packument from a single registry (or `null`).
+//
+// Returns the set of versions and dist-tags defined in `doc`.
+//
+exports.owned = function (doc) {
+  var owned = {};
+
+  if (!doc) {
+    return owned;
+  }
+
+  Object.keys(doc.versions || {})
+    .concat(Object.keys(doc['dist-tags'] || {}))
+    .forEach(function (version) {
+      owned[version] = true;
+    });
+
+  return owned;
+};
+
+//
+// ### function filter (doc, allowed)
+// #### @doc     {Object}   Packument to filter.
+// #### @allowed {function} Returns a value indicating if a version is allowed.
+//
+// Returns a copy of `doc` with only the `versions` (and their `time`) that
+// are `allowed`. Any `dist-tags` for other versions are removed except for
+// `latest` which is moved to the highest remaining version.
+//
+exports.filter = function (doc, allowed) {
+  var filtered = util._extend({}, doc),
+      versions = {},
+      tags     = {},
+      time     = {},
+      latest;
+
+  Object.keys(doc.versions || {}).forEach(function (version) {
+    if (allowed(version)) {
+      versions[version] = doc.versions[version];
+    }
+  });
+
+  Object.keys(doc['dist-tags'] || {}).forEach(function (tag) {
+    if (versions[doc['dist-tags'][tag]]) {
+      tags[tag] = doc['dist-tags'][tag];
+    }
+  });
+
+  if (doc.time) {
+    Object.keys(doc.time).forEach(function (key) {
+      if (versions[key] || !semver.valid(key)) {
+        time[key] = doc.time[key];
+      }
+    });
+
+    filtered.time = time;
+  }
+
+  if (!tags.latest) {
+    latest = exports.latest(Object.keys(versions));
+    if (latest) { tags.latest = latest; }
+  }
+
+  filtered.versions     = versions;
+  filtered['dist-tags'] = tags;
+  return filtered;
+};
+
+//
+// ### function rewriteTarballs (doc, base)
+// #### @doc  {Object} Packument from a single registry (or merged).
+// #### @base {string} External base url of the proxy (e.g. `https://npm.corp.com`).
+//
+// Returns a copy of `doc` with the `dist.tarball` of every version pointing
+// at `base` as `/:pkg/-/:file`, i.e. the path the proxy routes tarballs by,
+// regardless of the host (or path prefix) of the registry that served it.
+// Version documents (e.g. `/:pkg/1.0.0`) have their own `dist` rewritten.
+//
+exports.rewriteTarballs = function (doc, base) {
+  var rewritten,
+      versions = {};
+
+  if (doc.dist && !doc.versions) {
+    return rewriteDist(doc, doc.name, base);
+  }
+
+  rewritten = util._extend({}, doc);
+  Object.keys(doc.versions || {}).forEach(function (version) {
+    var meta = doc.versions[version];
+    versions[version] = meta ? rewriteDist(meta, meta.name || doc.name, base) : meta;
+  });
+
+  rewritten.versions = versions;
+  return rewritten;
+};
+
+//
+// ### function latest (versions)
+// #### @versions {Array} Versions of a package.
+//
+// Returns the highest of `versions`, preferring releases over prereleases.
+//
+exports.latest = function (versions) {
+  versions = versions.filter(function (version) {
+    return semver.valid(version);
+  });
+
+  return semver.maxSatisfying(versions, '*')
+    || semver.sort(versions).pop()
+    || null;
+};
+
+//
+// ### function tarballVersion (pkg, file)
+// #### @pkg  {string} Normalized npm package name.
+// #### @file {string} Tarball file name (e.g. `name-1.0.0.tgz`).
+//
+// Returns the version of `pkg` contained in the tarball `file`
+// or `null` if `file` is not a tarball for `pkg`.
+//
+exports.tarballVersion = function (pkg, file) {
+  var base = pkg.split('/').pop() + '-';
+
+  if (file.indexOf(base) !== 0 || !/\.tgz$/.test(file)) {
+    return null;
+  }
+
+  return file.slice(base.length, -4);
+};
+
+//
+// ### function rewriteDist (meta, name, base)
+// Returns a copy of the version `meta` of `name` with its
+// `dist.tarball` pointing at `base`.
+//
+function rewriteDist(meta, name, base) {
+  var file = meta.dist && meta.dist.tarball
+        && meta.dist.tarball.split('?')[0].split('/').pop(),
+      rewritten;
+
+  if (!file || !name) {
+    return meta;
+  }
+
+  rewritten = util._extend({}, meta);
+  rewritten.dist = util._extend(util._extend({}, meta.dist), {
+    tarball: base + '/' + name + '/-/' + file
+  });
+
+  return rewritten;
+}
@@ -0,0 +1,445 @@
+/*
+ * policy-client.js: Manages the policy on disk or through the admin API of a running smart-private-npm.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var policyStore = require('./policy-store'),
+    hyperquest = require('hyperquest'),
+    path = require('path'),
+    util = require('util');
+
+//
+// Policy lists which can be managed.
+//
+var lists = exports.lists = ['private', 'blacklist', 'whitelist'];
+
+//
+// ### function create (options)
+// #### @options {Object} Options for the client
+// ####   - url    {string} **Optional** Url of a running smart-private-npm to manage through its admin API.
+// ####   - admin  {Object} **Optional** Credentials for the admin API, i.e. `user` and `password` or `token`.
+// ####   - config {Object} **Optional** Configuration to manage the policy of on disk.
+// ####   - file   {string} **Optional** Path to `config`.
+//
+// Returns a RemoteClient if `url` is set and a LocalClient otherwise.
+//
+exports.create = function (options) {
+  return options.url
+    ? new RemoteClient(options)
+    : new LocalClient(options);
+};
+
+//
+// ### function normalize (state)
+// #### @state {Object} Policy to import, e.g. from `policy list --json`.
+//
+// Returns `state` with every list as an Object since
+// lists may also be Arrays of package names.
+//
+exports.normalize = function (state) {
+  var normalized = {};
+
+  lists.forEach(function (list) {
+    var value = state[list];
+
+    if (Array.isArray(value)) {
+      normalized[list] = value.reduce(function (all, pkg) {
+        all[pkg] = true;
+        return all;
+      }, {});
+    }
+    else if (value) {
+      normalized[list] = value;
+    }
+  });
+
+  if (typeof state.transparent === 'boolean') {
+    normalized.transparent = state.transparent;
+  }
+
+  return normalized;
+};
+
+//
+// ### function table (state)
+// #### @state {Object} Policy as responded with by `list`.
+//
+// Returns `state` as a table with one row for every package.
+//
+exports.table = function (state) {
+  var rows   = [['LIST', 'PACKAGE', 'VALUE']],
+      widths = [0, 0];
+
+  lists.forEach(function (list) {
+    Object.keys(state[list] || {}).sort().forEach(function (pkg) {
+      rows.push([list, pkg, JSON.stringify(state[list][pkg])]);
+    });
+  });
+
+  rows.forEach(function (row) {
+    widths[0] = Math.max(widths[0], row[0].length);
+    widths[1] = Math.max(widths[1], row[1].length);
+  });
+
+  return rows.map(function (row) {
+    return pad(row[0], widths[0]) + '  ' + pad(row[1], widths[1]) + '  ' + row[2];
+  }).concat([
+    '',
+    'whitelist:   ' + (state.whitelist ? 'enabled' : 'disabled'),
+    'transparent: ' + !!state.transparent
+  ]).join('\n');
+};
+
+//
+// ### function LocalClient (options)
+// #### @options {Object} Options for the client
+// ####   - config {Object} Configuration with the policy (as `proxy.policy`).
+// ####   - file   {string} **Optional** Path to `config` if it is a JSON file.
+//
+// Constructor function for the LocalClient object responsible for changing
+// the policy on disk. If `config` has a policy store (i.e. `proxy.store`) the
+// state persisted there is changed since it is applied over `proxy.policy` on
+// start. Otherwise `proxy.policy` is changed in the JSON `file` itself.
+//
+var LocalClient = exports.LocalClient = function (options) {
+  if (!(this instanceof LocalClient)) { return new LocalClient(options) }
+
+  var proxy = options.config && options.config.proxy || {};
+
+  this.base  = proxy.policy || {};
+  this.store = policyStore.create(proxy.store);
+
+  if (!this.store) {
+    if (!/\.json$/.test(options.file || '')) {
+      throw new Error('Set proxy.store or use a JSON configuration file to manage the policy on disk');
+    }
+
+    this.config = policyStore.create(path.resolve(options.file));
+  }
+};
+
+//
+// ### function load (callback)
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the policy as it is on disk.
+//
+LocalClient.prototype.load = function (callback) {
+  var self = this;
+
+  if (this.config) {
+    return this.config.load(function (err, config) {
+      if (err) {
+        return callback(err);
+      }
+
+      self.contents = config || {};
+      callback(null, util._extend({}, (self.contents.proxy || {}).policy || {}));
+    });
+  }
+
+  this.store.load(function (err, state) {
+    callback(err, !err && policyStore.apply(self.base, state));
+  });
+};
+
+//
+// ### function save (policy, callback)
+// #### @policy   {Object}   Policy to write to disk.
+// #### @callback {function} Continuation to respond to.
+//
+LocalClient.prototype.save = function (policy, callback) {
+  if (this.config) {
+    this.contents.proxy = this.contents.proxy || {};
+    this.contents.proxy.policy = policy;
+    return this.config.save(this.contents, callback);
+  }
+
+  this.store.save(policyStore.changes(this.base, policy), callback);
+};
+
+//
+// ### function change (fn, callback)
+// #### @fn       {function} Changes the policy it is called with. Returns an error (if any).
+// #### @callback {function} Continuation to respond to.
+//
+// Applies `fn` to the policy on disk and responds with the result.
+//
+LocalClient.prototype.change = function (fn, callback) {
+  var self = this;
+
+  this.load(function (err, policy) {
+    if (err || (err = fn(policy))) {
+      return callback(err);
+    }
+
+    self.save(policy, function (err) {
+      callback(err, !err && policyStore.state(policy));
+    });
+  });
+};
+
+//
+// ### function list (callback)
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the lists of the policy along with `transparent`.
+//
+LocalClient.prototype.list = function (callback) {
+  this.load(function (err, policy) {
+    callback(err, !err && policyStore.state(policy));
+  });
+};
+
+//
+// ### function add (list, pkg, value, callback)
+// #### @list     {string}   Policy list, i.e. `private`, `blacklist` or `whitelist`.
+// #### @pkg      {string}   Package (or pattern) to add.
+// #### @value    {*}        **Optional** Value to store, e.g. a semver range. Defaults to `true`.
+// #### @callback {function} Continuation to respond to.
+//
+LocalClient.prototype.add = function (list, pkg, value, callback) {
+  this.change(function (policy) {
+    if (lists.indexOf(list) === -1) {
+      return new Error('Unknown policy list: ' + list);
+    }
+
+    policy[list] = util._extend({}, policy[list] || {});
+    policy[list][pkg] = value === undefined ? true : value;
+  }, callback);
+};
+
+//
+// ### function remove (list, pkg, callback)
+// #### @list     {string}   Policy list, i.e. `private`, `blacklist` or `whitelist`.
+// #### @pkg      {string}   Package (or pattern) to remove.
+// #### @callback {function} Continuation to respond to.
+//
+LocalClient.prototype.remove = function (list, pkg, callback) {
+  this.change(function (policy) {
+    if (lists.indexOf(list) === -1) {
+      return new Error('Unknown policy list: ' + list);
+    }
+
+    if (!policy[list] || !policy[list].hasOwnProperty(pkg)) {
+      return new Error(pkg + ' is not in ' + list);
+    }
+
+    policy[list] = util._extend({}, policy[list]);
+    delete policy[list][pkg];
+  }, callback);
+};
+
+//
+// ### function importState (state, callback)
+// #### @state    {Object}   Lists (and `transparent`) to import.
+// #### @callback {function} Continuation to respond to.
+//
+// Adds every package in `state` to the policy, keeping
+// any which are already there.
+//
+LocalClient.prototype.importState = function (state, callback) {
+  state = exports.normalize(state);
+  this.change(function (policy) {
+    lists.forEach(function (list) {
+      if (state[list]) {
+        policy[list] = util._extend(util._extend({}, policy[list] || {}), state[list]);
+      }
+    });
+
+    if (state.transparent !== undefined) {
+      policy.transparent = state.transparent;
+    }
+  }, callback);
+};
+
+//
+// ### function RemoteClient (options)
+// #### @options {Object} Options for the client
+// ####   - url   {string} Url of a running smart-private-npm.
+// ####   - admin {Object} Credentials for the admin API, i.e. `user` and `password` or `token`.
+// ####   - timeout {number} **Optional** Milliseconds to wait for each response. Defaults to 10 seconds.
+//
+// Constructor function for the RemoteClient object responsible for
+// changing the policy of a running smart-private-npm through its admin
+// API. Changes are persisted by it if it has a policy store.
+//
+var RemoteClient = exports.RemoteClient = function (options) {
+  if (!(this instanceof RemoteClient)) { return new RemoteClient(options) }
+
+  this.url     = options.url.replace(/\/+$/, '');
+  this.admin   = options.admin || {};
+  this.timeout = options.timeout || 10 * 1000;
+};
+
+//
+// ### function request (method, pathname, body, callback)
+// #### @method   {string}   HTTP method.
+// #### @pathname {string}   Path of the admin route.
+// #### @body     {Object}   **Optional** JSON body to send.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the JSON body of the response to the admin route
+// or an error if there is none within `this.timeout`.
+//
+RemoteClient.prototype.request = function (method, pathname, body, callback) {
+  var getRawBody = require('raw-body'),
+      admin      = this.admin,
+      headers    = { accept: 'application/json' },
+      timeout    = this.timeout,
+      url        = this.url,
+      done       = false,
+      req;
+
+  function respond(err, json) {
+    if (done) { return; }
+    done = true;
+    callback(err, json);
+  }
+
+  if (admin.token) {
+    headers.authorization = 'Bearer ' + admin.token;
+  }
+  else if (admin.user) {
+    headers.authorization = 'Basic ' + new Buffer(admin.user + ':' + admin.password).toString('base64');
+  }
+
+  if (body !== undefined) {
+    headers['content-type'] = 'application/json';
+  }
+
+  req = hyperquest(url + pathname, { method: method, headers: headers, timeout: timeout });
+  req
+    .on('error', respond)
+    .on('request', function (pReq) {
+      pReq.on('timeout', function () {
+        req.destroy(new Error('Timed out after ' + timeout + 'ms waiting for ' + url));
+      });
+    })
+    .on('response', function (res) {
+      getRawBody(req, { encoding: 'utf8' }, function (err, json) {
+        if (err) {
+          return respond(err);
+        }
+
+        try { json = JSON.parse(json); }
+        catch (ex) { return respond(new Error('Unexpected response ' + res.statusCode + ' from ' + pathname)); }
+
+        if (res.statusCode >= 400) {
+          return respond(new Error(json.reason || json.error));
+        }
+
+        respond(null, json);
+      });
+    });
+
+  if (method === 'PUT') {
+    req.end(body !== undefined ? JSON.stringify(body) : undefined);
+  }
+};
+
+//
+// ### function list (callback)
+// #### @callback {function} Continuation to respond to.
+//
+RemoteClient.prototype.list = function (callback) {
+  this.request('GET', '/-/smart/policy', undefined, callback);
+};
+
+//
+// ### function add (list, pkg, value, callback)
+// #### @list     {string}   Policy list, i.e. `private`, `blacklist` or `whitelist`.
+// #### @pkg      {string}   Package (or pattern) to add.
+// #### @value    {*}        **Optional** Value to store, e.g. a semver range. Defaults to `true`.
+// #### @callback {function} Continuation to respond to.
+//
+RemoteClient.prototype.add = function (list, pkg, value, callback) {
+  var self = this;
+
+  this.request('PUT', '/-/smart/policy/' + list + '/' + encode(pkg), value, function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    self.list(callback);
+  });
+};
+
+//
+// ### function remove (list, pkg, callback)
+// #### @list     {string}   Policy list, i.e. `private`, `blacklist` or `whitelist`.
+// #### @pkg      {string}   Package (or pattern) to remove.
+// #### @callback {function} Continuation to respond to.
+//
+RemoteClient.prototype.remove = function (list, pkg, callback) {
+  var self = this;
+
+  this.request('DELETE', '/-/smart/policy/' + list + '/' + encode(pkg), undefined, function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    self.list(callback);
+  });
+};
+
+//
+// ### function importState (state, callback)
+// #### @state    {Object}   Lists (and `transparent`) to import.
+// #### @callback {function} Continuation to respond to.
+//
+// Adds every package in `state` one at a time, keeping any
+// which are already there, and stops at the first failure.
+//
+RemoteClient.prototype.importState = function (state, callback) {
+  var changes = [],
+      self    = this;
+
+  //
+  // Remark: Importing a whitelist is asking for it so it
+  // is enabled on proxies which do not have one yet.
+  //
+  state = exports.normalize(state);
+  lists.forEach(function (list) {
+    Object.keys(state[list] || {}).forEach(function (pkg) {
+      changes.push([
+        '/-/smart/policy/' + list + '/' + encode(pkg) + (list === 'whitelist' ? '?enable=true' : ''),
+        state[list][pkg]
+      ]);
+    });
+  });
+
+  if (state.transparent !== undefined) {
+    changes.push(['/-/smart/policy/transparent', { transparent: state.transparent }]);
+  }
+
+  (function next(err) {
+    var change = changes.shift();
+
+    if (err || !change) {
+      return err ? callback(err) : self.list(callback);
+    }
+
+    self.request('PUT', change[0], change[1], function (err) {
+      next(err);
+    });
+  })();
+};
+
+//
+// ### function encode (pkg)
+// Returns `pkg` as a single path segment, i.e. `@scope%2fname` for scoped packages.
+//
+function encode(pkg) {
+  return encodeURIComponent(pkg).replace(/^%40/, '@');
+}
+
+//
+// ### function pad (str, width)
+// Returns `str` padded with spaces to `width`.
+//
+function pad(str, width) {
+  return str + new Array(Math.max(width - str.length, 0) + 1).join(' ');
+}
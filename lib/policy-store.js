@@ -0,0 +1,268 @@
+/*
+ * policy-store.js: Persistence for the parts of a policy which change at runtime.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var path = require('path'),
+    util = require('util'),
+    fs = require('fs');
+
+//
+// ### function create (options)
+// #### @options {Object|string} Options for a JSON file store, its path,
+// ####   or any object implementing `load(callback)` and `save(state, callback)`.
+//
+// Returns the store for `options` (if any).
+//
+exports.create = function (options) {
+  if (!options || typeof options.load === 'function') {
+    return options || null;
+  }
+
+  return new JsonFileStore(typeof options === 'string'
+    ? { file: options }
+    : options);
+};
+
+//
+// ### function state (policy)
+// #### @policy {Object} Policy to describe.
+//
+// Returns the parts of the `policy` which can change at runtime.
+// A `null` whitelist means the whitelist is disabled.
+//
+exports.state = function (policy) {
+  return {
+    'private':   policy.private || {},
+    blacklist:   policy.blacklist || {},
+    whitelist:   policy.whitelist || null,
+    transparent: !!policy.transparent
+  };
+};
+
+//
+// ### function snapshot (policy)
+// #### @policy {Object} Policy from the configuration.
+//
+// Returns a copy of `policy` whose lists are never changed along with it.
+//
+exports.snapshot = function (policy) {
+  var copy = util._extend({}, policy);
+
+  ['private', 'blacklist', 'whitelist'].forEach(function (list) {
+    if (copy[list]) {
+      copy[list] = util._extend({}, copy[list]);
+    }
+  });
+
+  return copy;
+};
+
+//
+// ### function changes (base, policy)
+// #### @base   {Object} Policy from the configuration.
+// #### @policy {Object} Policy as changed at runtime.
+//
+// Returns what changed from `base` to `policy`, i.e. the state to persist.
+// Only the packages of each list which were added, changed or removed
+// (as `null`) are kept so everything else still comes from the configuration.
+// A `null` whitelist means it was disabled and `transparent` is only kept if
+// it was flipped. Known private packages are only ever added.
+//
+exports.changes = function (base, policy) {
+  var changes = { 'private': {} },
+      known   = base.private || {};
+
+  Object.keys(policy.private || {}).forEach(function (pkg) {
+    if (!known.hasOwnProperty(pkg)) {
+      changes.private[pkg] = policy.private[pkg];
+    }
+  });
+
+  changes.blacklist = diff(base.blacklist, policy.blacklist);
+
+  if (policy.whitelist) {
+    changes.whitelist = diff(base.whitelist, policy.whitelist);
+  }
+  else if (base.whitelist) {
+    changes.whitelist = null;
+  }
+
+  if (!!policy.transparent !== !!base.transparent) {
+    changes.transparent = !!policy.transparent;
+  }
+
+  return changes;
+};
+
+//
+// ### function apply (policy, state)
+// #### @policy {Object} Policy from the configuration.
+// #### @state  {Object} State previously loaded from a store (see `changes`).
+//
+// Returns a new policy with the persisted `state` applied to `policy` one
+// package at a time. Known private packages are the union of both since
+// `policy.private` is usually read from the private npm on start.
+//
+exports.apply = function (policy, state) {
+  policy = util._extend({}, policy);
+  policy.private = util._extend({}, policy.private || {});
+
+  if (!state) {
+    return policy;
+  }
+
+  util._extend(policy.private, state.private || {});
+
+  if (state.blacklist) {
+    policy.blacklist = merge(policy.blacklist, state.blacklist);
+  }
+
+  if (state.whitelist === null) {
+    delete policy.whitelist;
+  }
+  else if (state.whitelist && (policy.whitelist || Object.keys(state.whitelist).length)) {
+    policy.whitelist = merge(policy.whitelist, state.whitelist);
+  }
+
+  if (typeof state.transparent === 'boolean') {
+    policy.transparent = state.transparent;
+  }
+
+  return policy;
+};
+
+//
+// ### function JsonFileStore (options)
+// #### @options {Object} Options for the store
+// ####   @file {string} Path to the JSON file holding the policy state.
+//
+// Constructor function for the JsonFileStore object responsible for
+// reading and writing the policy state to a single JSON file.
+//
+var JsonFileStore = exports.JsonFileStore = function (options) {
+  if (!(this instanceof JsonFileStore)) { return new JsonFileStore(options) }
+
+  this.file      = path.resolve(options.file);
+  this.saving    = false;
+  this.pending   = null;
+  this.callbacks = [];
+};
+
+//
+// ### function load (callback)
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the state stored in `this.file` or
+// `null` if nothing has been stored yet.
+//
+JsonFileStore.prototype.load = function (callback) {
+  fs.readFile(this.file, 'utf8', function (err, json) {
+    if (err) {
+      return err.code === 'ENOENT'
+        ? callback(null, null)
+        : callback(err);
+    }
+
+    try { json = JSON.parse(json); }
+    catch (ex) { return callback(ex); }
+
+    callback(null, json);
+  });
+};
+
+//
+// ### function save (state, callback)
+// #### @state    {Object}   State of the policy to store.
+// #### @callback {function} **Optional** Continuation to respond to.
+//
+// Writes `state` to `this.file` atomically. Concurrent saves are
+// coalesced so only the latest state is ever written and every
+// `callback` responds once it is on disk.
+//
+JsonFileStore.prototype.save = function (state, callback) {
+  this.pending = JSON.stringify(state, null, 2);
+  if (callback) {
+    this.callbacks.push(callback);
+  }
+
+  if (!this.saving) {
+    this.flush();
+  }
+};
+
+//
+// ### function flush ()
+// Writes the pending state to disk.
+//
+JsonFileStore.prototype.flush = function () {
+  var tmp       = this.file + '.tmp',
+      json      = this.pending,
+      callbacks = this.callbacks,
+      self      = this;
+
+  this.saving    = true;
+  this.pending   = null;
+  this.callbacks = [];
+
+  fs.writeFile(tmp, json, function (err) {
+    if (err) { return onSaved(err); }
+    fs.rename(tmp, self.file, onSaved);
+  });
+
+  function onSaved(err) {
+    self.saving = false;
+    callbacks.forEach(function (callback) {
+      callback(err);
+    });
+
+    if (self.pending) { self.flush(); }
+  }
+};
+
+//
+// ### function diff (base, list)
+// Returns the packages added to, changed in or removed (as `null`)
+// from the `base` list in `list`.
+//
+function diff(base, list) {
+  var changed = {};
+
+  base = base || {};
+  list = list || {};
+
+  Object.keys(list).forEach(function (pkg) {
+    if (!base.hasOwnProperty(pkg) || JSON.stringify(base[pkg]) !== JSON.stringify(list[pkg])) {
+      changed[pkg] = list[pkg];
+    }
+  });
+
+  Object.keys(base).forEach(function (pkg) {
+    if (!list.hasOwnProperty(pkg)) {
+      changed[pkg] = null;
+    }
+  });
+
+  return changed;
+}
+
+//
+// ### function merge (list, changes)
+// Returns `list` with the `changes` made by `diff` applied to it.
+//
+function merge(list, changes) {
+  var merged = util._extend({}, list || {});
+
+  Object.keys(changes).forEach(function (pkg) {
+    if (changes[pkg] === null) {
+      delete merged[pkg];
+    }
+    else {
+      merged[pkg] = changes[pkg];
+    }
+  });
+
+  return merged;
+}
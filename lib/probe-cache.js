@@ -0,0 +1,142 @@
+/*
+ * probe-cache.js: In-process cache of whether packages exist on the public npm.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+//
+// ### function ProbeCache (options)
+// #### @options {Object} **Optional** Options for initializing the cache
+// ####   @positiveTtl {number} Milliseconds a package is remembered as existing. Defaults to 10 minutes.
+// ####   @negativeTtl {number} Milliseconds a package is remembered as not existing. Defaults to 1 minute.
+// ####   @max         {number} Maximum number of packages to remember. Defaults to 10000.
+//
+// Constructor function for the ProbeCache object responsible for remembering
+// the status of each package on the public npm when deciding where a write
+// goes. Concurrent probes for the same package share a single request.
+//
+var ProbeCache = module.exports = function (options) {
+  if (!(this instanceof ProbeCache)) { return new ProbeCache(options) }
+
+  options = options || {};
+  this.positiveTtl = options.positiveTtl !== undefined ? options.positiveTtl : 10 * 60 * 1000;
+  this.negativeTtl = options.negativeTtl !== undefined ? options.negativeTtl : 60 * 1000;
+  this.max         = options.max || 10000;
+  this.entries     = {};
+  this.pending     = {};
+  this.length      = 0;
+};
+
+//
+// ### function lookup (pkg, probe, callback)
+// #### @pkg      {string}   Normalized npm package name.
+// #### @probe    {function} Responds with the status code of `pkg` on the public npm.
+// #### @callback {function} Continuation to respond to.
+//
+// Responds with the cached status code of `pkg` while it is fresh. Otherwise
+// calls `probe` unless a probe for `pkg` is already in flight, in which case
+// `callback` responds along with it.
+//
+ProbeCache.prototype.lookup = function (pkg, probe, callback) {
+  var status = this.get(pkg),
+      self   = this;
+
+  if (status !== undefined) {
+    return callback(null, status);
+  }
+
+  if (this.pending[pkg]) {
+    return this.pending[pkg].push(callback);
+  }
+
+  this.pending[pkg] = [callback];
+  probe(function (err, status) {
+    var callbacks = self.pending[pkg];
+
+    delete self.pending[pkg];
+    if (!err) {
+      self.set(pkg, status);
+    }
+
+    callbacks.forEach(function (fn) {
+      fn(err, status);
+    });
+  });
+};
+
+//
+// ### function get (pkg)
+// #### @pkg {string} Normalized npm package name.
+//
+// Returns the status code of `pkg` if it is cached and fresh.
+//
+ProbeCache.prototype.get = function (pkg) {
+  var entry = this.entries[pkg];
+
+  if (!entry) {
+    return undefined;
+  }
+
+  if (Date.now() >= entry.expires) {
+    delete this.entries[pkg];
+    this.length--;
+    return undefined;
+  }
+
+  entry.atime = Date.now();
+  return entry.status;
+};
+
+//
+// ### function set (pkg, status)
+// #### @pkg    {string} Normalized npm package name.
+// #### @status {number} Status code of `pkg` on the public npm.
+//
+// Caches `status` for `pkg` with the positive TTL if it exists and
+// the negative TTL if it does not. Any other status (e.g. a `5xx`)
+// says nothing about `pkg` so it is never cached.
+//
+ProbeCache.prototype.set = function (pkg, status) {
+  var ttl = status === 404
+    ? this.negativeTtl
+    : status < 400 ? this.positiveTtl : 0;
+
+  if (!ttl) {
+    return;
+  }
+
+  if (!this.entries[pkg]) {
+    this.length++;
+  }
+
+  this.entries[pkg] = {
+    status: status,
+    expires: Date.now() + ttl,
+    atime: Date.now()
+  };
+
+  if (this.length > this.max) {
+    this.evict();
+  }
+};
+
+//
+// ### function evict ()
+// Removes the least recently used entry.
+//
+ProbeCache.prototype.evict = function () {
+  var entries = this.entries,
+      oldest;
+
+  Object.keys(entries).forEach(function (key) {
+    if (!oldest || entries[key].atime < entries[oldest].atime) {
+      oldest = key;
+    }
+  });
+
+  if (oldest) {
+    delete entries[oldest];
+    this.length--;
+  }
+};
@@ -0,0 +1,351 @@
+/*
+ * tarball-cache.js: Content-addressed, size-limited disk cache for public npm tarballs.
+ *
+ * (C) 2013, Nodejitsu Inc.
+ *
+ */
+
+var crypto = require('crypto'),
+    EE = require('events').EventEmitter,
+    path = require('path'),
+    util = require('util'),
+    fs = require('fs');
+
+//
+// ### function TarballCache (options)
+// #### @options {Object} Options for initializing the cache
+// ####   @dir     {string}   Directory to store tarballs in.
+// ####   @maxSize {number}   **Optional** Maximum size of the cache in bytes. Defaults to 1GB.
+// ####   @log     {function} **Optional** Log function. Defaults to console.
+//
+// Constructor function for the TarballCache object responsible for
+// storing verified tarballs by their `sha512` and evicting the least
+// recently used ones once the cache grows beyond `maxSize`.
+//
+var TarballCache = module.exports = function (options) {
+  if (!(this instanceof TarballCache)) { return new TarballCache(options) }
+  EE.call(this);
+
+  this.dir     = options.dir;
+  this.maxSize = options.maxSize || 1024 * 1024 * 1024;
+  this.log     = options.log || console;
+
+  //
+  // Tarballs are addressed by `<pkg>/<file>` in `keys` which
+  // point to the content `blobs` on disk.
+  //
+  this.keys    = {};
+  this.blobs   = {};
+  this.size    = 0;
+  this.filling = {};
+
+  this.load();
+};
+
+util.inherits(TarballCache, EE);
+
+//
+// ### function load ()
+// Synchronously creates the cache directory, removes any partially
+// written tarballs and reads the index of everything already cached.
+//
+TarballCache.prototype.load = function () {
+  var self = this,
+      index;
+
+  fs.mkdirSync(this.dir, { recursive: true });
+
+  fs.readdirSync(this.dir).forEach(function (file) {
+    if (/^tmp-/.test(file)) {
+      fs.unlinkSync(path.join(self.dir, file));
+    }
+  });
+
+  try { index = JSON.parse(fs.readFileSync(this.indexFile(), 'utf8')); }
+  catch (ex) { index = { keys: {}, blobs: {} }; }
+
+  this.keys  = index.keys || {};
+  this.blobs = index.blobs || {};
+  Object.keys(this.blobs).forEach(function (hash) {
+    self.size += self.blobs[hash].size;
+  });
+};
+
+//
+// ### function indexFile ()
+// Returns the full path to the index of this cache.
+//
+TarballCache.prototype.indexFile = function () {
+  return path.join(this.dir, 'index.json');
+};
+
+//
+// ### function blobFile (hash)
+// Returns the full path to the tarball with the `sha512` of `hash`.
+//
+TarballCache.prototype.blobFile = function (hash) {
+  return path.join(this.dir, hash + '.tgz');
+};
+
+//
+// ### function get (key)
+// #### @key {string} Key for the tarball, i.e. `<pkg>/<file>`.
+//
+// Returns the cached entry for `key` (if any) and marks
+// it as the most recently used. Tarballs removed from disk
+// by anything but this cache are dropped from it.
+//
+TarballCache.prototype.get = function (key) {
+  var hash = this.keys[key],
+      blob = hash && this.blobs[hash],
+      file;
+
+  if (!blob) {
+    return null;
+  }
+
+  file = this.blobFile(hash);
+  if (!fs.existsSync(file)) {
+    this.log.warn('[tarball cache] %s is missing from %s', key, this.dir);
+    this.remove(hash);
+    this.save();
+    return null;
+  }
+
+  blob.atime = Date.now();
+  return { hash: hash, size: blob.size, file: file };
+};
+
+//
+// ### function createReadStream (entry)
+// #### @entry {Object} Cached entry returned from `get`.
+//
+// Returns a readable stream of the tarball for `entry`.
+//
+TarballCache.prototype.createReadStream = function (entry) {
+  return fs.createReadStream(entry.file);
+};
+
+//
+// ### function fill (key, source, dist, callback)
+// #### @key      {string}   Key for the tarball, i.e. `<pkg>/<file>`.
+// #### @source   {Stream}   Readable stream of the tarball from the npm registry.
+// #### @dist     {function} Responds with the expected `dist` (i.e. `shasum` and `integrity`).
+// #### @callback {function} **Optional** Continuation to respond to.
+//
+// Writes `source` to disk while it streams. Once it ends it is verified against
+// the `dist` of that version and only then added to the cache.
+//
+TarballCache.prototype.fill = function (key, source, dist, callback) {
+  var tmp     = path.join(this.dir, 'tmp-' + process.pid + '-' + crypto.randomBytes(8).toString('hex')),
+      sha1    = crypto.createHash('sha1'),
+      sha512  = crypto.createHash('sha512'),
+      file    = fs.createWriteStream(tmp),
+      pending = 2,
+      self    = this,
+      size    = 0,
+      expected,
+      failed;
+
+  callback = callback || function () {};
+
+  //
+  // Only fill a given key once at a time.
+  //
+  if (this.filling[key]) {
+    source.resume();
+    return callback();
+  }
+
+  this.filling[key] = true;
+
+  function done(err) {
+    if (failed) { return; }
+    if (err) {
+      failed = true;
+      delete self.filling[key];
+      file.destroy();
+      return fs.unlink(tmp, function () {
+        self.emit('fill', key, err);
+        callback(err);
+      });
+    }
+
+    if (--pending) { return; }
+    self.commit(key, tmp, {
+      size: size,
+      sha1: sha1.digest('hex'),
+      sha512: sha512.digest('base64')
+    }, expected, function (err) {
+      delete self.filling[key];
+      self.emit('fill', key, err);
+      callback(err);
+    });
+  }
+
+  source
+    .on('data', function (chunk) {
+      size += chunk.length;
+      sha1.update(chunk);
+      sha512.update(chunk);
+    })
+    .on('error', done)
+    .pipe(file)
+    .on('error', done)
+    .on('finish', function () { done(); });
+
+  dist(function (err, value) {
+    if (err) { return done(err); }
+    expected = value;
+    done();
+  });
+};
+
+//
+// ### function commit (key, tmp, actual, expected, callback)
+// #### @key      {string}   Key for the tarball, i.e. `<pkg>/<file>`.
+// #### @tmp      {string}   Path to the temporary file of the tarball.
+// #### @actual   {Object}   Size and hashes of `tmp`.
+// #### @expected {Object}   `dist` of the tarball from its packument.
+// #### @callback {function} Continuation to respond to.
+//
+// Verifies `tmp` against the `expected` shasum or integrity
+// and moves it into the cache.
+//
+TarballCache.prototype.commit = function (key, tmp, actual, expected, callback) {
+  var hash = new Buffer(actual.sha512, 'base64').toString('hex'),
+      self = this,
+      err;
+
+  if (!this.verify(actual, expected)) {
+    err = new Error('Integrity check failed for ' + key);
+  }
+  else if (actual.size > this.maxSize) {
+    err = new Error('Tarball is larger than the cache: ' + key);
+  }
+
+  if (err) {
+    return fs.unlink(tmp, function () { callback(err); });
+  }
+
+  fs.rename(tmp, this.blobFile(hash), function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!self.blobs[hash]) {
+      self.blobs[hash] = { size: actual.size };
+      self.size += actual.size;
+    }
+
+    self.blobs[hash].atime = Date.now();
+    self.keys[key] = hash;
+    self.log.info('[tarball cache] cached %s (%d bytes)', key, actual.size);
+
+    self.evict();
+    self.save();
+    callback();
+  });
+};
+
+//
+// ### function verify (actual, expected)
+// #### @actual   {Object} Hashes of a downloaded tarball.
+// #### @expected {Object} `dist` of the tarball from its packument.
+//
+// Returns a value indicating if `actual` matches the `integrity`
+// (preferred) or `shasum` that is `expected`.
+//
+TarballCache.prototype.verify = function (actual, expected) {
+  if (!expected) {
+    return false;
+  }
+
+  if (expected.integrity) {
+    return expected.integrity.split(/\s+/).some(function (sri) {
+      var parts = /^(sha1|sha512)-(.*)$/.exec(sri);
+      if (!parts) { return false; }
+
+      return parts[1] === 'sha1'
+        ? new Buffer(parts[2], 'base64').toString('hex') === actual.sha1
+        : parts[2] === actual.sha512;
+    });
+  }
+
+  return expected.shasum === actual.sha1;
+};
+
+//
+// ### function evict ()
+// Removes the least recently used tarballs until the
+// cache is no larger than `maxSize`.
+//
+TarballCache.prototype.evict = function () {
+  var self = this;
+
+  function byAtime(a, b) {
+    return self.blobs[a].atime - self.blobs[b].atime;
+  }
+
+  var hashes = Object.keys(this.blobs).sort(byAtime);
+  while (this.size > this.maxSize && hashes.length) {
+    this.remove(hashes.shift());
+  }
+};
+
+//
+// ### function remove (hash)
+// #### @hash {string} Content address of the tarball to remove.
+//
+// Removes the tarball for `hash` and all keys that refer to it.
+//
+TarballCache.prototype.remove = function (hash) {
+  var self = this;
+
+  Object.keys(this.keys).forEach(function (key) {
+    if (self.keys[key] === hash) {
+      self.log.info('[tarball cache] evicting %s', key);
+      delete self.keys[key];
+    }
+  });
+
+  this.size -= this.blobs[hash].size;
+  delete this.blobs[hash];
+
+  fs.unlink(this.blobFile(hash), function (err) {
+    if (err && err.code !== 'ENOENT') {
+      self.log.warn('[tarball cache] unable to remove %s: %s', hash, err.message);
+    }
+  });
+};
+
+//
+// ### function save ()
+// Writes the index of this cache to disk. Concurrent saves
+// are coalesced so only the latest index is ever written.
+//
+TarballCache.prototype.save = function () {
+  var tmp  = this.indexFile() + '.tmp',
+      self = this,
+      json;
+
+  if (this.saving) {
+    this.dirty = true;
+    return;
+  }
+
+  this.saving = true;
+  this.dirty  = false;
+  json = JSON.stringify({ keys: this.keys, blobs: this.blobs });
+
+  fs.writeFile(tmp, json, function (err) {
+    if (err) { return onSaved(err); }
+    fs.rename(tmp, self.indexFile(), onSaved);
+  });
+
+  function onSaved(err) {
+    self.saving = false;
+    if (err) { self.log.error('[tarball cache] unable to save index: %s', err.message); }
+    if (self.dirty) { self.save(); }
+  }
+};
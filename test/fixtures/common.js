@@ -1,4 +1,5 @@
 var util = require('util')
+  , zlib = require('zlib')
 
 var privateRegistry = {}
   , publicRegistry = {}
@@ -32,6 +33,18 @@ exports.json = function(res, code, body) {
   res.end(JSON.stringify(body))
 }
 
+exports.gzipJson = function(req, res, code, body) {
+  if (!/\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+    return exports.json(res, code, body)
+  }
+
+  res.writeHead(code, {
+    'Content-Type': 'application/json',
+    'Content-Encoding': 'gzip'
+  })
+  res.end(zlib.gzipSync(JSON.stringify(body)))
+}
+
 exports.wrongStatusCode = function(rec, exp, done) {
   var msg = util.format('Status Code: %d, but should have been %d',
     rec, exp)
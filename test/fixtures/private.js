@@ -13,8 +13,23 @@ exports.stop = function(cb) {
   exports.server.close()
 }
 
+// `since` of every request to the _changes feed
+exports.since = []
+
 function handle(req, res) {
   var u = common.url(req.url)
+  if (url.parse(u).pathname === '/registry/_changes') {
+    return changes(req, res)
+  }
+
+  if (u === '/_session' && /AuthSession=/.test(req.headers.cookie || '')) {
+    return session(req, res)
+  }
+
+  if (u === '/_session' && /^Basic /.test(req.headers.authorization || '')) {
+    return basic(req, res)
+  }
+
   switch (u) {
     case '/priv-basic-ok':
     case '/priv-wl-ok-get':
@@ -22,6 +37,8 @@ function handle(req, res) {
     case '/wl-ok-put-priv':
     case '/_session':
     case '/priv-basic-ok/0.0.1':
+    case '/priv-basic-ok/-rev/1-abc':
+    case '/-/package/priv-basic-ok/dist-tags/beta':
     case '/-/jsonp/jsonp_blah':
     case '/-/all/since':
     case '/-/rss':
@@ -38,8 +55,52 @@ function handle(req, res) {
     case '/-/_view/all':
     case '/-/_list/all':
     case '/-/_show/all':
+    case '/@corp%2fwidget':
+    case '/@corp/widget/-/widget-1.0.0.tgz':
+    case '/-/package/@corp%2fwidget/dist-tags':
+    case '/@other%2fthing':
+    case '/@new%2fpkg':
+    case '/overlay-pkg/-/overlay-pkg-1.0.0-fork.tgz':
       pkgOk(req, res)
       break
+    case '/overlay-pkg':
+      common.json(res, 200, {
+        name: 'overlay-pkg',
+        versions: {
+          '1.0.0': { version: '1.0.0', server: 'private' },
+          '1.0.0-fork': { version: '1.0.0-fork', server: 'private' }
+        },
+        time: { '1.0.0-fork': '2016-02-01T00:00:00.000Z' },
+        'dist-tags': { latest: '1.0.0-fork' },
+        server: 'private'
+      })
+      break
+    case '/priv-tarball-pkg':
+      common.json(res, 200, {
+        name: 'priv-tarball-pkg',
+        versions: {
+          '2.0.0': {
+            name: 'priv-tarball-pkg',
+            version: '2.0.0',
+            dist: {
+              tarball: common.private.url
+                + '/registry/_design/app/_rewrite/priv-tarball-pkg/-/priv-tarball-pkg-2.0.0.tgz'
+            }
+          }
+        },
+        'dist-tags': { latest: '2.0.0' },
+        server: 'private'
+      })
+      break
+    case '/priv-tarball-pkg/-/priv-tarball-pkg-2.0.0.tgz':
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' })
+      res.end('private tarball')
+      break
+    case '/merge-all':
+    case '/merge-short':
+    case '/merge-rss':
+      pkgMerge(req, res)
+      break
     case '/priv-basic-error':
       pkgError(req, res)
       break
@@ -56,6 +117,23 @@ function pkgOk(req, res) {
   })
 }
 
+function pkgMerge(req, res) {
+  if (common.url(req.url) === '/merge-rss') {
+    res.writeHead(200, { 'Content-Type': 'text/xml' })
+    return res.end('<rss server="private"/>')
+  }
+
+  if (common.url(req.url) === '/merge-short') {
+    return common.json(res, 200, ['shared', 'priv-only'])
+  }
+
+  common.gzipJson(req, res, 200, {
+    server: 'private',
+    shared: { name: 'shared', server: 'private' },
+    'priv-only': { name: 'priv-only', server: 'private' }
+  })
+}
+
 function pkgNotFound(req, res) {
   common.json(res, 404, {
     server: 'private',
@@ -68,3 +146,55 @@ function pkgError(req, res) {
     server: 'private'
   })
 }
+
+function changes(req, res) {
+  var since = url.parse(req.url, true).query.since
+    , rows = [
+        { seq: 1, id: 'followed-pkg' }
+      , { seq: 2, id: '_design/app' }
+      , { seq: 3, id: 'excluded-pkg' }
+      , { seq: 4, id: 'gone-pkg', deleted: true }
+      , { seq: 5, id: 'filtered-pkg' }
+    ]
+
+  exports.since.push(since)
+  res.writeHead(200, { 'Content-Type': 'application/json' })
+  rows.filter(function(row) {
+    return row.seq > since
+  }).forEach(function(row) {
+    res.write(JSON.stringify(row) + '\n')
+  })
+
+  // heartbeat
+  res.write('\n')
+  res.end(JSON.stringify({ last_seq: 5 }) + '\n')
+}
+
+// `AuthSession` cookies of every request to _session
+exports.sessions = []
+
+// Basic auth is accepted for every password but `wrong`
+function basic(req, res) {
+  var credentials = new Buffer(req.headers.authorization.slice(6), 'base64').toString().split(':')
+
+  if (credentials[1] === 'wrong') {
+    return common.json(res, 401, { error: 'unauthorized', reason: 'Name or password is incorrect.' })
+  }
+
+  common.json(res, 200, {
+    ok: true,
+    userCtx: { name: credentials[0], roles: [] },
+    server: 'private'
+  })
+}
+
+function session(req, res) {
+  var cookie = /AuthSession=([^;]*)/.exec(req.headers.cookie)[1]
+
+  exports.sessions.push(cookie)
+  common.json(res, 200, {
+    ok: true,
+    userCtx: { name: cookie === 'contractor-session' ? 'contractor' : null, roles: [] },
+    server: 'private'
+  })
+}
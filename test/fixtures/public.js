@@ -1,7 +1,24 @@
 var http = require('http')
   , url = require('url')
+  , crypto = require('crypto')
   , common = require('./common')
 
+//
+// Number of requests for each url so tests can
+// tell whether something was served from a cache.
+//
+exports.hits = {}
+
+//
+// Last request headers for each url.
+//
+exports.headers = {}
+
+//
+// Number of HEAD requests for each url.
+//
+exports.heads = {}
+
 exports.start = function(cb) {
   exports.server = http.createServer(handle)
                        .on('error', cb)
@@ -15,6 +32,9 @@ exports.stop = function(cb) {
 
 function handle(req, res) {
   var u = common.url(req.url)
+  exports.hits[u] = (exports.hits[u] || 0) + 1
+  exports.headers[u] = req.headers
+  if (req.method === 'HEAD') exports.heads[u] = (exports.heads[u] || 0) + 1
   switch (u) {
     case '/pub-basic-ok':
     case '/basic-ok':
@@ -32,8 +52,117 @@ function handle(req, res) {
     case '/-/user/user_blah':
     case '/_users/user_blah':
     case '/public_users/user_blah':
+    case '/@pub%2fthing':
+    case '/overlay-pkg/-/overlay-pkg-0.9.0.tgz':
+    case '/range-pkg/-/range-pkg-1.5.0.tgz':
+    case '/range-pkg/-/range-pkg-2.0.0.tgz':
+    case '/range-pkg/1.5.0':
+    case '/range-pkg/2.0.0':
+    case '/blocked-pkg/-/blocked-pkg-1.0.0.tgz':
+    case '/blocked-pkg/-/blocked-pkg-1.0.1.tgz':
       pkgOk(req, res)
       break
+    case '/blocked-pkg':
+      common.json(res, 200, {
+        name: 'blocked-pkg',
+        versions: {
+          '1.0.0': { version: '1.0.0' },
+          '1.0.1': { version: '1.0.1' },
+          '1.1.0': { version: '1.1.0' }
+        },
+        time: {
+          '1.0.0': '2015-01-01T00:00:00.000Z',
+          '1.0.1': '2015-02-01T00:00:00.000Z',
+          '1.1.0': '2015-03-01T00:00:00.000Z'
+        },
+        'dist-tags': { latest: '1.1.0', stable: '1.0.0' },
+        server: 'public'
+      })
+      break
+    case '/range-pkg':
+      common.json(res, 200, {
+        name: 'range-pkg',
+        versions: {
+          '1.0.0': { version: '1.0.0' },
+          '1.5.0': { version: '1.5.0' },
+          '2.0.0': { version: '2.0.0' },
+          '2.1.0-beta': { version: '2.1.0-beta' }
+        },
+        time: {
+          created: '2015-01-01T00:00:00.000Z',
+          '1.0.0': '2015-01-01T00:00:00.000Z',
+          '1.5.0': '2015-06-01T00:00:00.000Z',
+          '2.0.0': '2016-01-01T00:00:00.000Z',
+          '2.1.0-beta': '2016-02-01T00:00:00.000Z'
+        },
+        'dist-tags': { latest: '2.0.0', beta: '2.1.0-beta', legacy: '1.0.0' },
+        server: 'public'
+      })
+      break
+    case '/overlay-pkg':
+      common.json(res, 200, {
+        name: 'overlay-pkg',
+        versions: {
+          '0.9.0': { version: '0.9.0', server: 'public' },
+          '1.0.0': { version: '1.0.0', server: 'public' }
+        },
+        time: { '0.9.0': '2015-01-01T00:00:00.000Z' },
+        'dist-tags': { latest: '1.0.0', beta: '0.9.0' },
+        server: 'public'
+      })
+      break
+    case '/meta-pkg':
+      pkgMeta(req, res)
+      break
+    case '/tarball-pkg':
+      common.json(res, 200, {
+        name: 'tarball-pkg',
+        versions: {
+          '1.0.0': {
+            name: 'tarball-pkg',
+            version: '1.0.0',
+            dist: { tarball: common.public.url + '/tarball-pkg/-/tarball-pkg-1.0.0.tgz' }
+          }
+        },
+        'dist-tags': { latest: '1.0.0' },
+        server: 'public'
+      })
+      break
+    case '/tarball-pkg/1.0.0':
+      common.json(res, 200, {
+        name: 'tarball-pkg',
+        version: '1.0.0',
+        dist: { tarball: common.public.url + '/tarball-pkg/-/tarball-pkg-1.0.0.tgz' },
+        server: 'public'
+      })
+      break
+    case '/tarball-pkg/-/tarball-pkg-1.0.0.tgz':
+      tarball(req, res)
+      break
+    case '/cache-pkg':
+      pkgCache(req, res)
+      break
+    case '/cache-pkg/-/cache-pkg-1.0.0.tgz':
+    case '/cache-pkg/-/cache-pkg-2.0.0.tgz':
+    case '/cache-pkg/-/cache-pkg-6.6.6.tgz':
+      tarball(req, res)
+      break
+    case '/cache-pkg/-/cache-pkg-3.0.0.tgz':
+      truncatedTarball(req, res)
+      break
+    case '/merge-all':
+    case '/merge-short':
+    case '/merge-rss':
+      pkgMerge(req, res)
+      break
+    case '/merge-hop':
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Connection': 'keep-alive, x-upstream-hop',
+        'X-Upstream-Hop': '1'
+      })
+      res.end(JSON.stringify({ server: 'public' }))
+      break
     case '/pub-error':
       pkgError(req, res)
       break
@@ -50,6 +179,93 @@ function pkgOk(req, res) {
   })
 }
 
+function pkgMerge(req, res) {
+  if (common.url(req.url) === '/merge-rss') {
+    res.writeHead(200, { 'Content-Type': 'text/xml' })
+    return res.end('<rss server="public"/>')
+  }
+
+  if (common.url(req.url) === '/merge-short') {
+    return common.json(res, 200, ['pub-only', 'shared'])
+  }
+
+  common.gzipJson(req, res, 200, {
+    server: 'public',
+    shared: { name: 'shared', server: 'public' },
+    'pub-only': { name: 'pub-only', server: 'public' }
+  })
+}
+
+function tarballFor(version) {
+  return new Buffer(new Array(1025).join(version.charAt(0)))
+}
+
+function tarball(req, res) {
+  var body = tarballFor(/-([0-9.]+)\.tgz$/.exec(req.url)[1])
+  res.writeHead(200, {
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': body.length
+  })
+  res.end(body)
+}
+
+//
+// Sends the first 100 bytes of the tarball then goes away.
+//
+function truncatedTarball(req, res) {
+  var body = tarballFor('3.0.0')
+  res.writeHead(200, {
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': body.length,
+    'Connection': 'keep-alive, x-upstream-hop',
+    'X-Upstream-Hop': '1'
+  })
+  res.write(body.slice(0, 100))
+  setTimeout(function() {
+    res.socket.destroy()
+  }, 20)
+}
+
+function pkgCache(req, res) {
+  var versions = {}
+
+  ;['1.0.0', '2.0.0', '3.0.0', '6.6.6'].forEach(function(version) {
+    var body = tarballFor(version === '6.6.6' ? '0.0.0' : version)
+    versions[version] = {
+      version: version,
+      dist: {
+        shasum: crypto.createHash('sha1').update(body).digest('hex'),
+        integrity: 'sha512-' + crypto.createHash('sha512').update(body).digest('base64')
+      }
+    }
+  })
+
+  common.json(res, 200, {
+    name: 'cache-pkg',
+    versions: versions,
+    'dist-tags': { latest: '2.0.0' }
+  })
+}
+
+function pkgMeta(req, res) {
+  var headers = {
+    'Content-Type': 'application/json',
+    'ETag': '"v1"',
+    'Last-Modified': 'Mon, 01 Feb 2016 00:00:00 GMT'
+  }
+
+  if (req.headers['if-none-match'] === headers.ETag) {
+    res.writeHead(304, headers)
+    return res.end()
+  }
+
+  res.writeHead(200, headers)
+  res.end(JSON.stringify({
+    name: 'meta-pkg',
+    server: 'public'
+  }))
+}
+
 function pkgNotFound(req, res) {
   common.json(res, 404, {
     server: 'public',
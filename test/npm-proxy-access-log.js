@@ -0,0 +1,206 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var file = path.join(os.tmpdir(), 'spnpm-access-' + process.pid + '.log')
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  accessLog: { file: file },
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      'priv-basic-ok': 1
+    },
+    blacklist: {
+      'pub-blacklisted': 1
+    },
+    transparent: false
+  },
+  policies: {
+    whitelisted: {
+      whitelist: { 'pub-wl-ok': 1 }
+    }
+  },
+  resolvePolicy: function(user, req, callback) {
+    callback(null, req.headers['x-policy'])
+  },
+  log: log
+})
+
+var router = spnpm.createRouter({
+  proxy: proxy,
+  log: log
+})
+
+//
+// Waits for the entry of the last request to be written.
+//
+function last(count, done) {
+  var lines = fs.existsSync(file)
+    ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)
+    : []
+
+  if (lines.length < count) {
+    return setTimeout(last.bind(null, count, done), 10)
+  }
+
+  done(JSON.parse(lines[count - 1]))
+}
+
+function logged(method, path, headers, count, check) {
+  return function(done) {
+    request({
+      uri: common.host + path,
+      method: method,
+      headers: headers,
+      json: true
+    }, function(err) {
+      if (err) return done(err)
+      last(count, function(entry) {
+        check(entry)
+        done()
+      })
+    })
+  }
+}
+
+function cleanup() {
+  [file, file + '.1', file + '.2', file + '.3'].forEach(function(f) {
+    try { fs.unlinkSync(f) }
+    catch (ex) {}
+  })
+}
+
+describe('access log', function() {
+  before(function(done) {
+    server = http
+                .createServer(router.dispatch.bind(router))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    cleanup()
+    server.on('close', done)
+    server.close()
+  })
+
+  it('should record known private packages', logged('GET', '/priv-basic-ok', {}, 1, function(entry) {
+    assert.equal(entry.method, 'GET')
+    assert.equal(entry.url, '/priv-basic-ok')
+    assert.equal(entry.pkg, 'priv-basic-ok')
+    assert.equal(entry.upstream, url.parse(common.private.url).host)
+    assert.equal(entry.rule, 'private')
+    assert.equal(entry.status, 200)
+    assert.equal(entry.bytes, JSON.stringify({ server: 'private' }).length)
+    assert.equal(typeof entry.duration, 'number')
+    assert.ok(entry.address)
+    assert.ok(!isNaN(Date.parse(entry.time)))
+  }))
+
+  it('should record public packages', logged('GET', '/pub-basic-ok', {}, 2, function(entry) {
+    assert.equal(entry.upstream, url.parse(common.public.url).host)
+    assert.equal(entry.rule, 'public')
+  }))
+
+  it('should record blacklisted packages', logged('GET', '/pub-blacklisted', {}, 3, function(entry) {
+    assert.equal(entry.upstream, url.parse(common.private.url).host)
+    assert.equal(entry.rule, 'blacklist')
+    assert.equal(entry.status, 404)
+  }))
+
+  it('should record publishes not found on the public npm', logged('PUT', '/priv-basic-notfound', {}, 4, function(entry) {
+    assert.equal(entry.upstream, url.parse(common.private.url).host)
+    assert.equal(entry.rule, 'public-404')
+  }))
+
+  it('should record whitelisted packages', logged('GET', '/pub-wl-ok', { 'x-policy': 'whitelisted' }, 5, function(entry) {
+    assert.equal(entry.upstream, url.parse(common.public.url).host)
+    assert.equal(entry.rule, 'whitelist')
+  }))
+
+  it('should record why packages are denied', logged('GET', '/pub-basic-ok', { 'x-policy': 'whitelisted' }, 6, function(entry) {
+    assert.equal(entry.upstream, null)
+    assert.equal(entry.rule, 'whitelist-denied')
+    assert.ok(/whitelist policy/.test(entry.reason))
+    assert.equal(entry.status, 400)
+  }))
+
+  it('should record list merges', logged('GET', '/-/all', {}, 7, function(entry) {
+    assert.equal(entry.rule, 'merge')
+  }))
+
+  describe('rotation', function() {
+    var rotated = path.join(os.tmpdir(), 'spnpm-rotate-' + process.pid + '.log')
+
+    after(function() {
+      [rotated, rotated + '.1', rotated + '.2'].forEach(function(f) {
+        try { fs.unlinkSync(f) }
+        catch (ex) {}
+      })
+    })
+
+    it('should rotate the log once it is too large', function(done) {
+      var accessLog = new spnpm.AccessLog({ file: rotated, maxSize: 30, maxFiles: 2 })
+
+      accessLog.write({ n: 1, pad: 'xxxxxxxxxx' })
+      accessLog.write({ n: 2, pad: 'xxxxxxxxxx' })
+      accessLog.write({ n: 3, pad: 'xxxxxxxxxx' })
+      accessLog.write({ n: 4, pad: 'xxxxxxxxxx' })
+      accessLog.close(function() {
+        assert.equal(JSON.parse(fs.readFileSync(rotated, 'utf8')).n, 4)
+        assert.equal(JSON.parse(fs.readFileSync(rotated + '.1', 'utf8')).n, 3)
+        assert.equal(JSON.parse(fs.readFileSync(rotated + '.2', 'utf8')).n, 2)
+        assert.ok(!fs.existsSync(rotated + '.3'))
+        done()
+      })
+    })
+
+    it('should keep writing to the log when it cannot be rotated', function(done) {
+      var stuck = path.join(os.tmpdir(), 'spnpm-stuck-' + process.pid + '.log')
+        , errors = []
+        , accessLog
+
+      fs.mkdirSync(stuck + '.1')
+      fs.writeFileSync(path.join(stuck + '.1', 'keep'), '')
+
+      accessLog = new spnpm.AccessLog({
+        file: stuck,
+        maxSize: 30,
+        maxFiles: 1,
+        log: { error: function(msg) { errors.push(msg) } }
+      })
+
+      accessLog.write({ n: 1, pad: 'xxxxxxxxxx' })
+      accessLog.write({ n: 2, pad: 'xxxxxxxxxx' })
+      accessLog.close(function() {
+        var lines = fs.readFileSync(stuck, 'utf8').split('\n').filter(Boolean)
+
+        fs.unlinkSync(stuck)
+        fs.unlinkSync(path.join(stuck + '.1', 'keep'))
+        fs.rmdirSync(stuck + '.1')
+
+        assert.equal(lines.length, 2)
+        assert.equal(errors.length, 1)
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,142 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var options = {
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    blockedVersions: {
+      'blocked-pkg': ['1.1.0', '>=1.0.0 <1.0.1']
+    },
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+describe('blocked versions', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('packument', function() {
+    it('should remove blocked versions and repoint latest', function(done) {
+      var opts = {
+        uri: common.host+'/blocked-pkg',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        assert.deepEqual(Object.keys(body.versions), ['1.0.1'])
+        assert.deepEqual(Object.keys(body.time), ['1.0.1'])
+        assert.deepEqual(body['dist-tags'], { latest: '1.0.1' })
+        done()
+      })
+    })
+
+    it('should serve other packages as-is', function(done) {
+      var opts = {
+        uri: common.host+'/pub-basic-ok',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+  })
+
+  describe('dist-tags', function() {
+    it('should resolve latest to the repointed version', function(done) {
+      var opts = {
+        uri: common.host+'/blocked-pkg/latest',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        assert.deepEqual(body, { version: '1.0.1' })
+        done()
+      })
+    })
+
+    it('should reject a tag pointing at a blocked version', function(done) {
+      var opts = {
+        uri: common.host+'/blocked-pkg/stable',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 400) {
+          return common.wrongStatusCode(res.statusCode, 400, done)
+        }
+        assert.ok(/blocked-pkg@stable \(1\.0\.0\)/.test(body.reason))
+        done()
+      })
+    })
+
+    it('should respond with a 404 for unknown tags', function(done) {
+      var opts = {
+        uri: common.host+'/blocked-pkg/unknown',
+        json: true
+      }
+      request.get(opts, function(err, res) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 404)
+        done()
+      })
+    })
+  })
+
+  describe('tarballs', function() {
+    it('should proxy an allowed tarball to public registry', function(done) {
+      var opts = {
+        uri: common.host+'/blocked-pkg/-/blocked-pkg-1.0.1.tgz',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+
+    it('should reject a blocked tarball with the reason', function(done) {
+      var opts = {
+        uri: common.host+'/blocked-pkg/-/blocked-pkg-1.0.0.tgz',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 400) {
+          return common.wrongStatusCode(res.statusCode, 400, done)
+        }
+        assert.ok(/blocks blocked-pkg@1\.0\.0/.test(body.reason))
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,124 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var deadPort = 8025
+
+var options = {
+  npm: [url.parse('http://localhost:' + deadPort),
+        url.parse(common.public.url)],
+  probe: false,
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+  , dead = options.npm[0]
+
+describe('failover', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    clearInterval(proxy.intervalId)
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('onProxyError', function() {
+    it('should retry GET /pub-basic-ok on the next healthy mirror', function(done) {
+      proxy.currentNpm = dead
+      var opts = {
+        uri: common.host+'/pub-basic-ok',
+        json: true
+      }
+      request.get(opts, common.publicOk(function(err) {
+        if (err) return done(err)
+        if (proxy.mirrors.isUp(dead)) {
+          return done(new Error('Mirror should have been marked down'))
+        }
+        if (proxy.currentNpm === dead) {
+          return done(new Error('Current public npm should have moved off the dead mirror'))
+        }
+        done()
+      }))
+    })
+  })
+
+  describe('probe', function() {
+    it('should keep a mirror down while it is unreachable', function(done) {
+      proxy.mirrors.probeAll(function() {
+        if (proxy.mirrors.isUp(dead)) {
+          return done(new Error('Mirror should still be down'))
+        }
+        done()
+      })
+    })
+
+    it('should bring a mirror back once it recovers', function(done) {
+      var revived = http.createServer(function(req, res) {
+        common.json(res, 200, {})
+      }).listen(deadPort, function() {
+        proxy.mirrors.probeAll(function() {
+          revived.close()
+          if (!proxy.mirrors.isUp(dead)) {
+            return done(new Error('Mirror should be back up'))
+          }
+          done()
+        })
+      })
+    })
+
+    it('should probe the path under the url of the mirror', function(done) {
+      var paths = []
+        , prefixed = http.createServer(function(req, res) {
+            paths.push(req.url)
+            common.json(res, 200, {})
+          })
+
+      prefixed.listen(deadPort, function() {
+        proxy.mirrors.probe(url.parse('http://localhost:' + deadPort + '/npm/'), function(err) {
+          prefixed.close()
+          if (err) return done(err)
+          assert.deepEqual(paths, ['/npm/-/ping'])
+          done()
+        })
+      })
+    })
+  })
+
+  describe('without probing', function() {
+    it('should bring a mirror back after a backoff', function(done) {
+      proxy.mirrors.interval = 20
+      proxy.mirrors.markDown(dead, new Error('unreachable'))
+      assert.ok(!proxy.mirrors.isUp(dead))
+
+      setTimeout(function() {
+        assert.ok(proxy.mirrors.isUp(dead))
+        done()
+      }, 50)
+    })
+  })
+})
@@ -0,0 +1,87 @@
+var common = require('./fixtures/common')
+  , privServer = require('./fixtures/private')
+  , assert = require('assert')
+  , url = require('url')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var file = path.join(os.tmpdir(), 'spnpm-seq-' + process.pid + '.json')
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: { 'gone-pkg': 1 },
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+})
+
+function follower() {
+  return new spnpm.Follower({
+    proxy: proxy,
+    exclude: ['excluded-pkg'],
+    filter: function(pkg) {
+      return pkg !== 'filtered-pkg'
+    },
+    sequence: file,
+    since: 0,
+    retry: 10000,
+    log: log
+  })
+}
+
+describe('follower', function() {
+  var feed
+
+  after(function() {
+    if (feed) feed.stop()
+    try { fs.unlinkSync(file) }
+    catch (ex) {}
+  })
+
+  it('should keep private packages in sync with _changes', function(done) {
+    var changes = []
+
+    feed = follower()
+    feed.on('change', function(pkg, deleted) {
+      changes.push([pkg, deleted])
+    })
+    feed.on('seq', function(seq) {
+      if (seq !== 5) return
+
+      feed.stop()
+      assert.deepEqual(changes, [['followed-pkg', false], ['gone-pkg', true]])
+      assert.deepEqual(proxy.policy.private, { 'followed-pkg': true })
+      assert.equal(privServer.since.pop(), '0')
+
+      // wait for the sequence to be written
+      feed.sequence.save({ seq: seq }, done)
+    })
+    feed.start()
+  })
+
+  it('should resume from the stored sequence', function(done) {
+    feed = follower()
+    feed.on('seq', function(seq) {
+      feed.stop()
+      assert.equal(seq, 5)
+      assert.equal(privServer.since.pop(), '5')
+      feed.sequence.save({ seq: seq }, done)
+    })
+    feed.start()
+  })
+})
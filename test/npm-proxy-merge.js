@@ -0,0 +1,146 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var options = {
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+describe('merge', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.merge.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('application/json', function() {
+    it('should merge objects with private entries winning', function(done) {
+      var opts = {
+        uri: common.host+'/merge-all',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        if (body.server !== 'private'
+          || body.shared.server !== 'private'
+          || !body['priv-only']
+          || !body['pub-only']) {
+          return common.invalidRes(body, done)
+        }
+        done()
+      })
+    })
+
+    it('should merge responses to clients which accept gzip', function(done) {
+      var opts = {
+        uri: common.host+'/merge-all',
+        headers: { 'accept-encoding': 'gzip' },
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        if (body.server !== 'private' || !body['pub-only']) {
+          return common.invalidRes(body, done)
+        }
+        done()
+      })
+    })
+
+    it('should union arrays without duplicates', function(done) {
+      var opts = {
+        uri: common.host+'/merge-short',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        if (body.join() !== 'shared,priv-only,pub-only') {
+          return common.invalidRes(body, done)
+        }
+        done()
+      })
+    })
+  })
+
+  describe('text/xml', function() {
+    it('should serve the private response', function(done) {
+      request.get(common.host+'/merge-rss', function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        if (body !== '<rss server="private"/>') {
+          return common.invalidRes(body, done)
+        }
+        done()
+      })
+    })
+  })
+
+  describe('single response', function() {
+    it('should serve GET /-/all from private when public 404s', function(done) {
+      var opts = {
+        uri: common.host+'/-/all',
+        json: true
+      }
+      request.get(opts, common.privateOk(done))
+    })
+
+    it('should not forward hop-by-hop headers', function(done) {
+      var opts = {
+        uri: common.host+'/merge-hop',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.headers['x-upstream-hop']) {
+          return done(new Error('Hop-by-hop headers should not be forwarded'))
+        }
+        common.publicOk(done)(err, res, body)
+      })
+    })
+
+    it('should serve GET /pub-basic-ok from public when private 404s', function(done) {
+      var opts = {
+        uri: common.host+'/pub-basic-ok',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+  })
+})
@@ -0,0 +1,232 @@
+var common = require('./fixtures/common')
+  , assert = require('assert')
+  , crypto = require('crypto')
+  , url = require('url')
+  , http = require('http')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , upstream
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var dir = path.join(os.tmpdir(), 'spnpm-mirror-' + process.pid)
+
+//
+// Upstream npm with a few packages which responds slowly
+// so the number of concurrent requests can be counted.
+//
+var upstreamUrl = 'http://localhost:8027'
+  , hits = {}
+  , active = 0
+  , maxActive = 0
+
+function tgz(pkg, version) {
+  return new Buffer(pkg + '@' + version)
+}
+
+function packument(pkg, versions) {
+  var doc = { name: pkg, versions: {} }
+  versions.forEach(function(version) {
+    doc.versions[version] = {
+      name: pkg,
+      version: version,
+      dist: {
+        shasum: crypto.createHash('sha1').update(tgz(pkg, version)).digest('hex'),
+        tarball: 'https://registry.example.com/' + pkg + '/-/' + pkg + '-' + version + '.tgz'
+      }
+    }
+  })
+  return doc
+}
+
+var docs = {
+  '/mirror-a': packument('mirror-a', ['1.0.0', '1.1.0', '2.0.0']),
+  '/mirror-b': packument('mirror-b', ['0.1.0', '0.2.0'])
+}
+
+function handle(req, res) {
+  var tarball = /^\/(mirror-[a-z]+)\/-\/mirror-[a-z]+-(.*)\.tgz$/.exec(req.url)
+
+  hits[req.url] = (hits[req.url] || 0) + 1
+  active++
+  maxActive = Math.max(active, maxActive)
+  res.on('finish', function() { active-- })
+
+  setTimeout(function() {
+    if (tarball) {
+      return res.end(tgz(tarball[1], tarball[2]))
+    }
+
+    return docs[req.url]
+      ? common.json(res, 200, docs[req.url])
+      : common.json(res, 404, { error: 'not_found' })
+  }, 10)
+}
+
+function createMirror(whitelist, options) {
+  var proxy = new spnpm.Proxy({
+    npm: url.parse(upstreamUrl),
+    degraded: { dir: dir },
+    retry: false,
+    policy: {
+      npm: url.parse(common.private.url),
+      private: {},
+      blacklist: {},
+      whitelist: whitelist,
+      blockedVersions: {
+        'mirror-b': '0.1.0'
+      },
+      transparent: false
+    },
+    log: log
+  })
+
+  return new spnpm.Mirror(Object.keys(options || {}).reduce(function(all, key) {
+    all[key] = options[key]
+    return all
+  }, { proxy: proxy, log: log }))
+}
+
+function tarballHits() {
+  return Object.keys(hits).filter(function(url) {
+    return /\.tgz$/.test(url)
+  }).reduce(function(sum, url) {
+    return sum + hits[url]
+  }, 0)
+}
+
+function rmrf(file) {
+  if (!fs.existsSync(file)) return
+  if (fs.statSync(file).isDirectory()) {
+    fs.readdirSync(file).forEach(function(child) {
+      rmrf(path.join(file, child))
+    })
+    return fs.rmdirSync(file)
+  }
+  fs.unlinkSync(file)
+}
+
+describe('mirror', function() {
+  var whitelist = {
+    'mirror-a': '^1.0.0',
+    'mirror-b': true,
+    'mirror-missing': true,
+    'mirror-*': true,
+    '@corp': true
+  }
+
+  before(function(done) {
+    upstream = http.createServer(handle).listen(8027, done)
+  })
+
+  after(function(done) {
+    rmrf(dir)
+    upstream.close(done)
+  })
+
+  it('should require a degraded store', function() {
+    assert.throws(function() {
+      new spnpm.Mirror({ proxy: new spnpm.Proxy({ npm: url.parse(upstreamUrl), log: log }) })
+    }, /degraded/)
+  })
+
+  describe('first run', function() {
+    var summary
+      , packages = []
+
+    before(function(done) {
+      var mirror = createMirror(whitelist, { concurrency: 2 })
+      mirror.on('package', function(pkg, info) {
+        packages.push(pkg + ':' + info.versions)
+      })
+      mirror.run(function(err, result) {
+        summary = result
+        done(err)
+      })
+    })
+
+    it('should mirror the allowed versions of every whitelisted package', function() {
+      assert.deepEqual(packages.sort(), ['mirror-a:2', 'mirror-b:1'])
+      assert.equal(summary.packages, 3)
+      assert.equal(summary.mirrored, 2)
+      assert.equal(summary.versions, 3)
+      assert.deepEqual(summary.tarballs, { fetched: 3, cached: 0, failed: 0 })
+      assert.equal(summary.bytes, tgz('mirror-a', '1.0.0').length * 3)
+      assert.equal(hits['/mirror-a/-/mirror-a-2.0.0.tgz'], undefined)
+      assert.equal(hits['/mirror-b/-/mirror-b-0.1.0.tgz'], undefined)
+      assert.equal(typeof summary.elapsed, 'number')
+    })
+
+    it('should skip patterns and scopes', function() {
+      assert.deepEqual(summary.skipped, ['mirror-*', '@corp'])
+    })
+
+    it('should report packages which could not be mirrored', function() {
+      assert.deepEqual(summary.failed, [{ pkg: 'mirror-missing', reason: 'mirror-missing is not on the public npm' }])
+    })
+
+    it('should store the packuments and tarballs', function() {
+      var stored = JSON.parse(fs.readFileSync(path.join(dir, 'mirror-a.json'), 'utf8'))
+      assert.deepEqual(JSON.parse(stored.body), docs['/mirror-a'])
+      assert.ok(fs.existsSync(path.join(dir, 'tarballs', 'index.json')))
+    })
+
+    it('should never exceed the concurrency', function() {
+      assert.ok(maxActive <= 2, 'max concurrent requests: ' + maxActive)
+    })
+  })
+
+  describe('resumed run', function() {
+    var summary
+      , before_
+
+    before(function(done) {
+      before_ = tarballHits()
+      createMirror(whitelist).run(function(err, result) {
+        summary = result
+        done(err)
+      })
+    })
+
+    it('should skip packages mirrored by the interrupted run', function() {
+      assert.equal(summary.resumed, 2)
+      assert.equal(summary.mirrored, 0)
+      assert.equal(hits['/mirror-a'], 1)
+      assert.equal(tarballHits(), before_)
+      assert.equal(summary.failed.length, 1)
+    })
+  })
+
+  describe('fresh run', function() {
+    var summary
+      , progress = path.join(dir, 'mirror-progress.json')
+
+    before(function(done) {
+      createMirror({ 'mirror-a': '^1.0.0', 'mirror-b': true }, { fresh: true }).run(function(err, result) {
+        summary = result
+        done(err)
+      })
+    })
+
+    it('should refresh packuments without fetching cached tarballs again', function() {
+      assert.equal(summary.resumed, 0)
+      assert.equal(summary.mirrored, 2)
+      assert.equal(hits['/mirror-a'], 2)
+      assert.deepEqual(summary.tarballs, { fetched: 0, cached: 3, failed: 0 })
+    })
+
+    it('should forget the progress once everything is mirrored', function() {
+      assert.deepEqual(JSON.parse(fs.readFileSync(progress, 'utf8')), { done: {} })
+    })
+  })
+})
@@ -0,0 +1,275 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , crypto = require('crypto')
+  , url = require('url')
+  , http = require('http')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , server
+  , upstream
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var dir = path.join(os.tmpdir(), 'spnpm-degraded-' + process.pid)
+
+//
+// Upstream npm which hangs up on every request while `down`.
+//
+var upstreamUrl = 'http://localhost:8026'
+  , tarball = new Buffer('stale tarball')
+  , down = false
+  , hits = {}
+
+var doc = {
+  name: 'stale-pkg',
+  'dist-tags': { latest: '1.0.1' },
+  versions: {
+    '1.0.0': {
+      name: 'stale-pkg',
+      version: '1.0.0',
+      dist: {
+        shasum: crypto.createHash('sha1').update(tarball).digest('hex'),
+        tarball: upstreamUrl + '/stale-pkg/-/stale-pkg-1.0.0.tgz'
+      }
+    },
+    '1.0.1': {
+      name: 'stale-pkg',
+      version: '1.0.1',
+      dist: { tarball: upstreamUrl + '/stale-pkg/-/stale-pkg-1.0.1.tgz' }
+    }
+  }
+}
+
+function handle(req, res) {
+  hits[req.url] = (hits[req.url] || 0) + 1
+  if (down) {
+    return req.socket.destroy()
+  }
+
+  switch (req.url) {
+    case '/stale-pkg':
+    case '/filtered-pkg':
+      return common.json(res, 200, doc)
+    case '/stale-pkg/1.0.0':
+      return common.json(res, 200, doc.versions['1.0.0'])
+    case '/stale-pkg/-/stale-pkg-1.0.0.tgz':
+      res.writeHead(200, { 'content-length': tarball.length })
+      return res.end(tarball)
+    default:
+      common.json(res, 404, { error: 'not_found' })
+  }
+}
+
+var proxy = new Proxy({
+  npm: url.parse(upstreamUrl),
+  degraded: { dir: dir },
+  packuments: { ttl: 1 },
+  retry: false,
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    blockedVersions: {
+      'filtered-pkg': '1.0.1'
+    },
+    transparent: false
+  },
+  log: log
+})
+
+function get(path, callback) {
+  request.get({ uri: common.host + path, json: true }, callback)
+}
+
+function rmrf(file) {
+  if (!fs.existsSync(file)) return
+  if (fs.statSync(file).isDirectory()) {
+    fs.readdirSync(file).forEach(function(child) {
+      rmrf(path.join(file, child))
+    })
+    return fs.rmdirSync(file)
+  }
+  fs.unlinkSync(file)
+}
+
+describe('degraded and offline modes', function() {
+  before(function(done) {
+    upstream = http.createServer(handle).listen(8026, function() {
+      server = http
+                  .createServer(function(req, res) { proxy.decide(req, res) })
+                  .listen(common.port, done)
+    })
+  })
+
+  after(function(done) {
+    rmrf(dir)
+    server.close()
+    upstream.close(done)
+  })
+
+  describe('while the public npm is up', function() {
+    it('should store the packuments it serves', function(done) {
+      get('/stale-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.headers.warning, undefined)
+        assert.deepEqual(Object.keys(body.versions), ['1.0.0', '1.0.1'])
+        setTimeout(function() {
+          assert.ok(fs.existsSync(path.join(dir, 'stale-pkg.json')))
+          done()
+        }, 50)
+      })
+    })
+
+    it('should store the version documents it serves', function(done) {
+      get('/stale-pkg/1.0.0', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(body.version, '1.0.0')
+        setTimeout(function() {
+          assert.ok(fs.existsSync(path.join(dir, 'stale-pkg%401.0.0.json')))
+          done()
+        }, 50)
+      })
+    })
+
+    it('should store filtered packuments before filtering them', function(done) {
+      get('/filtered-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.deepEqual(Object.keys(body.versions), ['1.0.0'])
+        setTimeout(done, 50)
+      })
+    })
+
+    it('should cache the tarballs it serves', function(done) {
+      proxy.tarballs.once('fill', function(key, err) {
+        assert.equal(key, 'stale-pkg/stale-pkg-1.0.0.tgz')
+        done(err)
+      })
+      get('/stale-pkg/-/stale-pkg-1.0.0.tgz', function(err) {
+        if (err) return done(err)
+      })
+    })
+  })
+
+  describe('while the public npm is down', function() {
+    before(function() { down = true })
+    after(function() { down = false })
+
+    it('should serve the last known packument marked as stale', function(done) {
+      var before = hits['/stale-pkg']
+      get('/stale-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.headers.warning, '111 smart-private-npm "Revalidation Failed"')
+        assert.deepEqual(body, doc)
+        assert.equal(hits['/stale-pkg'], before + 1)
+        assert.ok(/stale_responses_total\{type="packument"\} 1/.test(proxy.metrics.render()))
+        done()
+      })
+    })
+
+    it('should serve the last known version document marked as stale', function(done) {
+      get('/stale-pkg/1.0.0', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.headers.warning, '111 smart-private-npm "Revalidation Failed"')
+        assert.deepEqual(body, doc.versions['1.0.0'])
+        done()
+      })
+    })
+
+    it('should filter the last known packument by the policy', function(done) {
+      get('/filtered-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.headers.warning, '111 smart-private-npm "Revalidation Failed"')
+        assert.deepEqual(Object.keys(body.versions), ['1.0.0'])
+        done()
+      })
+    })
+
+    it('should serve cached tarballs', function(done) {
+      request.get({
+        uri: common.host + '/stale-pkg/-/stale-pkg-1.0.0.tgz',
+        encoding: null
+      }, function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(body.toString(), 'stale tarball')
+        done()
+      })
+    })
+
+    it('should serve cached tarballs marked as stale when transparent', function(done) {
+      proxy.policy.transparent = true
+      request.get({
+        uri: common.host + '/stale-pkg/-/stale-pkg-1.0.0.tgz',
+        encoding: null
+      }, function(err, res, body) {
+        proxy.policy.transparent = false
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.headers.warning, '111 smart-private-npm "Revalidation Failed"')
+        assert.equal(body.toString(), 'stale tarball')
+        done()
+      })
+    })
+
+    it('should respond with a 502 for unknown packages', function(done) {
+      get('/unknown-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 502)
+        assert.equal(body.error, 'proxy_error')
+        done()
+      })
+    })
+  })
+
+  describe('offline', function() {
+    before(function() { proxy.offline = true })
+    after(function() { proxy.offline = false })
+
+    it('should serve the last known packument without contacting the public npm', function(done) {
+      var before = hits['/stale-pkg']
+      get('/stale-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.headers.warning, '112 smart-private-npm "Disconnected Operation"')
+        assert.deepEqual(body, doc)
+        assert.equal(hits['/stale-pkg'], before)
+        done()
+      })
+    })
+
+    it('should respond with a 503 for unknown packages', function(done) {
+      get('/unknown-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 503)
+        assert.equal(body.error, 'offline')
+        assert.equal(hits['/unknown-pkg'], 1)
+        done()
+      })
+    })
+
+    it('should still proxy to the private npm', function(done) {
+      proxy.policy.private['priv-basic-ok'] = 1
+      get('/priv-basic-ok', function(err, res) {
+        delete proxy.policy.private['priv-basic-ok']
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,89 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var options = {
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      'overlay-pkg': 1
+    },
+    blacklist: {},
+    overlay: {
+      'overlay-pkg': 1
+    },
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+describe('overlay', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('tarballs', function() {
+    it('should proxy a private version tarball to private registry', function(done) {
+      var opts = {
+        uri: common.host+'/overlay-pkg/-/overlay-pkg-1.0.0-fork.tgz',
+        json: true
+      }
+      request.get(opts, common.privateOk(done))
+    })
+
+    it('should proxy a public version tarball to public registry', function(done) {
+      var opts = {
+        uri: common.host+'/overlay-pkg/-/overlay-pkg-0.9.0.tgz',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+  })
+
+  describe('packument', function() {
+    it('should union versions with private taking precedence', function(done) {
+      var opts = {
+        uri: common.host+'/overlay-pkg',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        if (Object.keys(body.versions).sort().join() !== '0.9.0,1.0.0,1.0.0-fork'
+          || body.versions['1.0.0'].server !== 'private'
+          || body['dist-tags'].latest !== '1.0.0-fork'
+          || body['dist-tags'].beta !== '0.9.0'
+          || !body.time['0.9.0']
+          || !body.time['1.0.0-fork']) {
+          return common.invalidRes(body, done)
+        }
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,107 @@
+var common = require('./fixtures/common')
+  , pubServer = require('./fixtures/public')
+  , request = require('request')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var options = {
+  npm: url.parse(common.public.url),
+  packuments: {
+    ttl: 100
+  },
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+function hits() {
+  return pubServer.hits['/meta-pkg'] || 0
+}
+
+describe('packument cache', function() {
+  var opts = {
+    uri: common.host+'/meta-pkg',
+    json: true
+  }
+
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  it('should fetch GET /meta-pkg from public registry', function(done) {
+    request.get(opts, common.publicOk(function(err) {
+      if (err) return done(err)
+      if (!proxy.packuments.get(proxy.packuments.key('meta-pkg', 'application/json'))) {
+        return done(new Error('meta-pkg should be cached'))
+      }
+      done()
+    }))
+  })
+
+  it('should serve GET /meta-pkg from the cache while fresh', function(done) {
+    var before = hits()
+    request.get(opts, common.publicOk(function(err) {
+      if (err) return done(err)
+      if (hits() !== before) {
+        return done(new Error('Request should have been served from the cache'))
+      }
+      done()
+    }))
+  })
+
+  it('should respond 304 to a matching If-None-Match', function(done) {
+    var conditional = {
+      uri: opts.uri,
+      json: true,
+      headers: { 'if-none-match': '"v1"' }
+    }
+    request.get(conditional, function(err, res) {
+      if (err) return done(err)
+      if (res.statusCode !== 304) {
+        return common.wrongStatusCode(res.statusCode, 304, done)
+      }
+      done()
+    })
+  })
+
+  it('should revalidate with If-None-Match once stale', function(done) {
+    var before = hits()
+    setTimeout(function() {
+      request.get(opts, common.publicOk(function(err) {
+        if (err) return done(err)
+        if (hits() !== before + 1) {
+          return done(new Error('Request should have been revalidated'))
+        }
+        if (pubServer.headers['/meta-pkg']['if-none-match'] !== '"v1"') {
+          return done(new Error('Revalidation should send If-None-Match'))
+        }
+        done()
+      }))
+    }, 150)
+  })
+})
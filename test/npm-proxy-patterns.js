@@ -0,0 +1,112 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var options = {
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      'corp-*': 1,
+      '/^int-[a-z]+$/i': 1,
+      '/[invalid/': 1
+    },
+    blacklist: {
+      '@corp/*': 1,
+      'evil-?': 1
+    },
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+describe('patterns', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('lookup', function() {
+    it('should match globs against whole package names', function() {
+      var list = options.policy.private
+      assert.equal(proxy.lookup(list, 'corp-widget'), 1)
+      assert.equal(proxy.lookup(list, 'my-corp-widget'), undefined)
+      assert.equal(proxy.lookup(options.policy.blacklist, 'evil-1'), 1)
+      assert.equal(proxy.lookup(options.policy.blacklist, 'evil-12'), undefined)
+    })
+
+    it('should match regexes with their flags', function() {
+      assert.equal(proxy.lookup(options.policy.private, 'INT-Tools'), 1)
+      assert.equal(proxy.lookup(options.policy.private, 'int-tools-2'), undefined)
+    })
+
+    it('should match globs for scoped packages', function() {
+      assert.equal(proxy.lookup(options.policy.blacklist, '@corp/widget'), 1)
+      assert.equal(proxy.lookup(options.policy.blacklist, '@other/widget'), undefined)
+    })
+
+    it('should prefer exact entries over patterns', function() {
+      var list = { 'semver-*': '^1.0.0', 'semver-utils': '^2.0.0' }
+      proxy.compile(list)
+      assert.equal(proxy.lookup(list, 'semver-utils'), '^2.0.0')
+      assert.equal(proxy.lookup(list, 'semver-tools'), '^1.0.0')
+    })
+
+    it('should not serialize compiled patterns', function() {
+      assert.deepEqual(Object.keys(options.policy.blacklist), ['@corp/*', 'evil-?'])
+      assert.equal(JSON.stringify(options.policy.blacklist), '{"@corp/*":1,"evil-?":1}')
+    })
+
+    it('should compile lists which were not set with setPolicy', function() {
+      assert.equal(proxy.lookup({ 'lazy-*': true }, 'lazy-pkg'), true)
+    })
+  })
+
+  describe('routing', function() {
+    it('should proxy GET /corp-widget to private registry', function(done) {
+      var opts = {
+        uri: common.host+'/corp-widget',
+        json: true
+      }
+      request.get(opts, common.privateNotFound(done))
+    })
+
+    it('should proxy GET /@corp%2fwidget to private registry', function(done) {
+      var opts = {
+        uri: common.host+'/@corp%2fwidget',
+        json: true
+      }
+      request.get(opts, common.privateOk(done))
+    })
+
+    it('should proxy GET /pub-basic-ok to public registry', function(done) {
+      var opts = {
+        uri: common.host+'/pub-basic-ok',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+  })
+})
@@ -0,0 +1,155 @@
+var common = require('./fixtures/common')
+  , privServer = require('./fixtures/private')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      'priv-basic-ok': 1
+    },
+    blacklist: {},
+    transparent: false
+  },
+  policies: {
+    contractors: {
+      whitelist: { 'pub-wl-ok': 1 }
+    },
+    platform: {
+      blacklist: { 'pub-basic-ok': 1 }
+    }
+  },
+  resolvePolicy: resolvePolicy,
+  log: log
+})
+
+function resolvePolicy(user, req, callback) {
+  if (!user) return callback()
+  if (user.name === 'contractor') return callback(null, 'contractors')
+  if (user.token === 'platform-token') return callback(null, 'platform')
+  if (user.name === 'nobody') return callback(null, 'missing')
+  callback()
+}
+
+var router = spnpm.createRouter({
+  proxy: proxy,
+  log: log
+})
+
+function get(path, auth, headers) {
+  return {
+    uri: common.host + path,
+    json: true,
+    auth: auth,
+    headers: headers
+  }
+}
+
+describe('policies', function() {
+  before(function(done) {
+    server = http
+                .createServer(router.dispatch.bind(router))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('default', function() {
+    it('should proxy GET /pub-basic-ok to public registry without a user', function(done) {
+      request.get(get('/pub-basic-ok'), common.publicOk(done))
+    })
+
+    it('should proxy GET /pub-basic-ok to public registry for other users', function(done) {
+      request.get(get('/pub-basic-ok', { user: 'someone', pass: 'secret' }), common.publicOk(done))
+    })
+  })
+
+  describe('basic auth', function() {
+    it('should apply the whitelist of contractors', function(done) {
+      request.get(get('/pub-basic-ok', { user: 'contractor', pass: 'secret' }), common.error(done))
+    })
+
+    it('should proxy GET /pub-wl-ok to public registry for contractors', function(done) {
+      request.get(get('/pub-wl-ok', { user: 'contractor', pass: 'secret' }), common.publicOk(done))
+    })
+
+    it('should share private packages with the default policy', function(done) {
+      request.get(get('/priv-basic-ok', { user: 'contractor', pass: 'secret' }), common.privateOk(done))
+    })
+
+    it('should use the default policy when the password is wrong', function(done) {
+      request.get(get('/pub-basic-ok', { user: 'contractor', pass: 'wrong' }), common.publicOk(done))
+    })
+
+    it('should refuse users resolved to an unknown policy', function(done) {
+      request.get(get('/pub-basic-ok', { user: 'nobody', pass: 'secret' }), common.error(done))
+    })
+  })
+
+  describe('bearer token', function() {
+    it('should apply the blacklist of the platform team', function(done) {
+      request.get(get('/pub-basic-ok', { bearer: 'platform-token' }), common.privateNotFound(done))
+    })
+
+    it('should not name the user of a combo token with the wrong password', function(done) {
+      var combo = new Buffer('contractor:wrong').toString('base64') + ';other-token'
+      request.get(get('/pub-basic-ok', { bearer: combo }), common.publicOk(done))
+    })
+  })
+
+  describe('couchdb session', function() {
+    it('should apply the whitelist of contractors', function(done) {
+      var opts = get('/pub-basic-ok', null, { cookie: 'AuthSession=contractor-session' })
+      request.get(opts, common.error(done))
+    })
+
+    it('should remember the session', function(done) {
+      var opts = get('/pub-wl-ok', null, { cookie: 'AuthSession=contractor-session' })
+      request.get(opts, common.publicOk(function(err) {
+        if (err) return done(err)
+        assert.deepEqual(privServer.sessions, ['contractor-session'])
+        done()
+      }))
+    })
+
+    it('should use the default policy for anonymous sessions', function(done) {
+      var opts = get('/pub-basic-ok', null, { cookie: 'AuthSession=anonymous' })
+      request.get(opts, common.publicOk(done))
+    })
+  })
+
+  describe('lookup', function() {
+    it('should resolve the default policy without a resolver', function(done) {
+      var plain = new spnpm.Proxy({
+        npm: url.parse(common.public.url),
+        policy: { npm: url.parse(common.private.url), private: {} },
+        log: log
+      })
+
+      plain.resolvePolicy({ headers: {} }, function(err, policy) {
+        if (err) return done(err)
+        assert.equal(policy, plain.policy)
+        done()
+      })
+    })
+  })
+})
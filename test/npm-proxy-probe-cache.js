@@ -0,0 +1,155 @@
+var common = require('./fixtures/common')
+  , pubServer = require('./fixtures/public')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+function createProxy(options) {
+  return new Proxy(Object.keys(options).reduce(function(all, key) {
+    all[key] = options[key]
+    return all
+  }, {
+    npm: url.parse(common.public.url),
+    policy: {
+      npm: url.parse(common.private.url),
+      private: {},
+      blacklist: {},
+      transparent: false
+    },
+    writePrivateOk: function() {
+      return new Error('New private packages are not allowed')
+    },
+    log: log
+  }))
+}
+
+var proxy
+
+function put(path, callback) {
+  request.put({ uri: common.host + path, json: true }, callback)
+}
+
+function heads(path) {
+  return pubServer.heads[path] || 0
+}
+
+describe('public probe cache', function() {
+  before(function(done) {
+    server = http
+                .createServer(function(req, res) { proxy.decide(req, res) })
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  beforeEach(function() {
+    pubServer.heads = {}
+    proxy = createProxy({})
+  })
+
+  it('should probe the public npm with HEAD', function(done) {
+    put('/pub-basic-ok', common.publicOk(function(err) {
+      if (err) return done(err)
+      assert.equal(heads('/pub-basic-ok'), 1)
+      done()
+    }))
+  })
+
+  it('should remember packages which exist', function(done) {
+    put('/pub-basic-ok', function(err) {
+      if (err) return done(err)
+      put('/pub-basic-ok', common.publicOk(function(err) {
+        if (err) return done(err)
+        assert.equal(heads('/pub-basic-ok'), 1)
+        done()
+      }))
+    })
+  })
+
+  it('should remember packages which do not exist', function(done) {
+    put('/pub-basic-notfound', function(err, res) {
+      if (err) return done(err)
+      assert.equal(res.statusCode, 400)
+      put('/pub-basic-notfound', function(err, res) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 400)
+        assert.equal(heads('/pub-basic-notfound'), 1)
+        done()
+      })
+    })
+  })
+
+  it('should share a single probe between concurrent writes', function(done) {
+    var pending = 5
+
+    for (var i = 0; i < 5; i++) {
+      put('/pub-wl-ok', common.publicOk(function(err) {
+        if (err) return done(err)
+        if (--pending) return
+        assert.equal(heads('/pub-wl-ok'), 1)
+        done()
+      }))
+    }
+  })
+
+  it('should probe again once the result expires', function(done) {
+    proxy = createProxy({ probeCache: { positiveTtl: 10 } })
+    put('/pub-basic-ok', function(err) {
+      if (err) return done(err)
+      setTimeout(function() {
+        put('/pub-basic-ok', function(err) {
+          if (err) return done(err)
+          assert.equal(heads('/pub-basic-ok'), 2)
+          done()
+        })
+      }, 20)
+    })
+  })
+
+  it('should probe every time when disabled', function(done) {
+    proxy = createProxy({ probeCache: false })
+    put('/pub-basic-ok', function(err) {
+      if (err) return done(err)
+      put('/pub-basic-ok', function(err) {
+        if (err) return done(err)
+        assert.equal(heads('/pub-basic-ok'), 2)
+        done()
+      })
+    })
+  })
+
+  describe('cache', function() {
+    it('should not remember errors', function() {
+      proxy.probes.set('broken-pkg', 503)
+      assert.equal(proxy.probes.get('broken-pkg'), undefined)
+    })
+
+    it('should evict the least recently used package', function() {
+      proxy = createProxy({ probeCache: { max: 2 } })
+      proxy.probes.set('a', 200)
+      proxy.probes.set('b', 404)
+      proxy.probes.entries.a.atime = 0
+      proxy.probes.set('c', 200)
+
+      assert.equal(proxy.probes.get('a'), undefined)
+      assert.equal(proxy.probes.get('b'), 404)
+      assert.equal(proxy.probes.get('c'), 200)
+    })
+  })
+})
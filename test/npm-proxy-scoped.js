@@ -0,0 +1,121 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var options = {
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      '@corp': 1,
+      '@other/thing': 1
+    },
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+describe('scoped', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('packageName', function() {
+    it('should normalize scoped package names', function() {
+      var names = [
+          proxy.packageName('/@corp%2fwidget')
+        , proxy.packageName('/@corp%2Fwidget?write=true')
+        , proxy.packageName('/@corp/widget/-/widget-1.0.0.tgz')
+        , proxy.packageName('/@corp%2fwidget/1.0.0')
+        , proxy.packageName('/-/package/@corp%2fwidget/dist-tags')
+      ]
+
+      names.forEach(function(name) {
+        if (name !== '@corp/widget') {
+          throw new Error('Expected @corp/widget, got ' + name)
+        }
+      })
+    })
+  })
+
+  describe('private', function() {
+    it('should proxy GET /@corp%2fwidget to private registry', function(done) {
+      var opts = {
+        uri: common.host+'/@corp%2fwidget',
+        json: true
+      }
+      request.get(opts, common.privateOk(done))
+    })
+
+    it('should proxy GET of a scoped tarball to private registry', function(done) {
+      var opts = {
+        uri: common.host+'/@corp/widget/-/widget-1.0.0.tgz',
+        json: true
+      }
+      request.get(opts, common.privateOk(done))
+    })
+
+    it('should proxy GET of scoped dist-tags to private registry', function(done) {
+      var opts = {
+        uri: common.host+'/-/package/@corp%2fwidget/dist-tags',
+        json: true
+      }
+      request.get(opts, common.privateOk(done))
+    })
+
+    it('should proxy GET /@other%2fthing to private registry', function(done) {
+      var opts = {
+        uri: common.host+'/@other%2fthing',
+        json: true
+      }
+      request.get(opts, common.privateOk(done))
+    })
+
+    it('should remember PUT /@new%2fpkg as private', function(done) {
+      var opts = {
+        uri: common.host+'/@new%2fpkg',
+        json: true
+      }
+      request.put(opts, common.privateOk(function(err) {
+        if (err) return done(err)
+        if (!options.policy.private['@new/pkg']) {
+          return done(new Error('@new/pkg should be a known private package'))
+        }
+        done()
+      }))
+    })
+  })
+
+  describe('public', function() {
+    it('should proxy GET /@pub%2fthing to public registry', function(done) {
+      var opts = {
+        uri: common.host+'/@pub%2fthing',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+  })
+})
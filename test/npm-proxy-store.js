@@ -0,0 +1,164 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var file = path.join(os.tmpdir(), 'spnpm-policy-' + process.pid + '.json')
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  store: { file: file },
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+})
+
+function stored() {
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+describe('policy store', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    try { fs.unlinkSync(file) }
+    catch (ex) {}
+
+    server.on('close', done)
+    server.close()
+  })
+
+  it('should not write the initial policy', function() {
+    assert.ok(!fs.existsSync(file))
+  })
+
+  it('should persist a new private package before proxying its publish', function(done) {
+    var opts = {
+      uri: common.host+'/priv-basic-ok',
+      json: true
+    }
+    request.put(opts, common.privateOk(function(err) {
+      if (err) return done(err)
+      assert.deepEqual(stored().private, { 'priv-basic-ok': true })
+      done()
+    }))
+  })
+
+  it('should persist changes made with setPolicy', function(done) {
+    var policy = spnpm.policyStore.apply(proxy.policy, {
+      blacklist: { 'bad-pkg': true }
+    })
+
+    proxy.setPolicy(policy)
+    proxy.persist(function() {
+      var state = stored()
+      assert.deepEqual(state.blacklist, { 'bad-pkg': true })
+      assert.deepEqual(state.private, { 'priv-basic-ok': true })
+      assert.ok(!('whitelist' in state))
+      assert.ok(!('transparent' in state))
+      done()
+    })
+  })
+
+  it('should load the persisted state', function(done) {
+    spnpm.policyStore.create(file).load(function(err, state) {
+      if (err) return done(err)
+
+      var policy = spnpm.policyStore.apply({
+        npm: url.parse(common.private.url),
+        private: { 'from-registry': 1 },
+        whitelist: { 'wl-pkg': true }
+      }, state)
+
+      assert.deepEqual(policy.private, { 'from-registry': 1, 'priv-basic-ok': true })
+      assert.deepEqual(policy.blacklist, { 'bad-pkg': true })
+      assert.deepEqual(policy.whitelist, { 'wl-pkg': true })
+      assert.ok(!policy.transparent)
+      done()
+    })
+  })
+
+  it('should keep applying the configured lists along with the changes', function() {
+    var base = {
+      private: { 'from-registry': 1 },
+      blacklist: { 'old-bad': true, 'unblocked': true },
+      whitelist: { 'wl-pkg': true },
+      transparent: false
+    }
+
+    var changed = spnpm.policyStore.snapshot(base)
+    delete changed.blacklist.unblocked
+    changed.blacklist['bad-pkg'] = true
+    changed.private['learned'] = true
+    changed.transparent = true
+
+    var state = spnpm.policyStore.changes(base, changed)
+    assert.deepEqual(state, {
+      private: { learned: true },
+      blacklist: { unblocked: null, 'bad-pkg': true },
+      whitelist: {},
+      transparent: true
+    })
+
+    var policy = spnpm.policyStore.apply({
+      private: {},
+      blacklist: { 'new-bad': true, 'unblocked': true },
+      whitelist: { 'wl-pkg': true, 'new-wl': '^1.0.0' },
+      transparent: false
+    }, state)
+
+    assert.deepEqual(policy.private, { learned: true })
+    assert.deepEqual(policy.blacklist, { 'new-bad': true, 'bad-pkg': true })
+    assert.deepEqual(policy.whitelist, { 'wl-pkg': true, 'new-wl': '^1.0.0' })
+    assert.equal(policy.transparent, true)
+    assert.deepEqual(base.blacklist, { 'old-bad': true, 'unblocked': true })
+  })
+
+  it('should load nothing from a missing file', function(done) {
+    spnpm.policyStore.create({ file: file + '.missing' }).load(function(err, state) {
+      if (err) return done(err)
+      assert.equal(state, null)
+      done()
+    })
+  })
+
+  it('should coalesce concurrent saves', function(done) {
+    var store = spnpm.policyStore.create(file)
+      , pending = 3
+
+    function saved(err) {
+      if (err) return done(err)
+      if (--pending) return
+      assert.deepEqual(stored(), { private: { c: true } })
+      done()
+    }
+
+    store.save({ private: { a: true } }, saved)
+    store.save({ private: { b: true } }, saved)
+    store.save({ private: { c: true } }, saved)
+  })
+})
@@ -0,0 +1,195 @@
+var common = require('./fixtures/common')
+  , pubServer = require('./fixtures/public')
+  , request = require('request')
+  , url = require('url')
+  , http = require('http')
+  , util = require('util')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var dir = path.join(os.tmpdir(), 'spnpm-tarballs-' + process.pid)
+
+var options = {
+  npm: url.parse(common.public.url),
+  tarballs: {
+    dir: dir,
+    maxSize: 1500
+  },
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+function getTarball(version, done) {
+  var opts = {
+    uri: common.host+'/cache-pkg/-/cache-pkg-'+version+'.tgz',
+    encoding: null
+  }
+  request.get(opts, function(err, res, body) {
+    if (err) return done(err)
+    if (res.statusCode !== 200) {
+      return common.wrongStatusCode(res.statusCode, 200, done)
+    }
+    if (body.length !== 1024) {
+      return common.invalidRes(body.length, done)
+    }
+    done()
+  })
+}
+
+function getAndFill(version, done) {
+  proxy.tarballs.once('fill', function(key, err) {
+    done(null, err)
+  })
+  getTarball(version, function(err) {
+    if (err) return done(err)
+  })
+}
+
+function hits(version) {
+  return pubServer.hits['/cache-pkg/-/cache-pkg-'+version+'.tgz'] || 0
+}
+
+describe('tarball cache', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    fs.readdirSync(dir).forEach(function(file) {
+      fs.unlinkSync(path.join(dir, file))
+    })
+    fs.rmdirSync(dir)
+    server.on('close', done)
+    server.close()
+  })
+
+  it('should fill the cache on the first download', function(done) {
+    getAndFill('1.0.0', function(err, fillErr) {
+      if (err || fillErr) return done(err || fillErr)
+      if (!proxy.tarballs.get('cache-pkg/cache-pkg-1.0.0.tgz')) {
+        return done(new Error('cache-pkg-1.0.0.tgz should be cached'))
+      }
+      done()
+    })
+  })
+
+  it('should serve the second download from the cache', function(done) {
+    var before = hits('1.0.0')
+    getTarball('1.0.0', function(err) {
+      if (err) return done(err)
+      if (hits('1.0.0') !== before) {
+        return done(new Error('Request should have been served from the cache'))
+      }
+      done()
+    })
+  })
+
+  it('should not cache a tarball that fails verification', function(done) {
+    getAndFill('6.6.6', function(err, fillErr) {
+      if (err) return done(err)
+      if (!fillErr || proxy.tarballs.get('cache-pkg/cache-pkg-6.6.6.tgz')) {
+        return done(new Error('cache-pkg-6.6.6.tgz should not be cached'))
+      }
+      done()
+    })
+  })
+
+  it('should cut off and not cache a tarball the public npm stops sending', function(done) {
+    var pending = 2
+      , fillErr
+
+    function next() {
+      if (--pending) return
+      if (!fillErr || proxy.tarballs.get('cache-pkg/cache-pkg-3.0.0.tgz')) {
+        return done(new Error('cache-pkg-3.0.0.tgz should not be cached'))
+      }
+      done()
+    }
+
+    proxy.tarballs.once('fill', function(key, err) {
+      fillErr = err
+      next()
+    })
+
+    http.get(common.host+'/cache-pkg/-/cache-pkg-3.0.0.tgz', function(res) {
+      var body = ''
+
+      if (res.headers['x-upstream-hop']) {
+        return done(new Error('Hop-by-hop headers should not be forwarded'))
+      }
+
+      res.setEncoding('utf8')
+      res.on('data', function(chunk) { body += chunk })
+      res.on('error', function() {})
+      res.on('close', function() {
+        if (res.complete || body.length !== 100 || /\{/.test(body)) {
+          return done(new Error('Response should be cut off after 100 bytes'))
+        }
+        next()
+      })
+    }).on('error', done)
+  })
+
+  it('should evict the least recently used tarball', function(done) {
+    getAndFill('2.0.0', function(err, fillErr) {
+      if (err || fillErr) return done(err || fillErr)
+      if (proxy.tarballs.get('cache-pkg/cache-pkg-1.0.0.tgz')) {
+        return done(new Error('cache-pkg-1.0.0.tgz should have been evicted'))
+      }
+      if (!proxy.tarballs.get('cache-pkg/cache-pkg-2.0.0.tgz')) {
+        return done(new Error('cache-pkg-2.0.0.tgz should be cached'))
+      }
+      done()
+    })
+  })
+
+  it('should fetch a tarball again once its file is removed', function(done) {
+    var before = hits('2.0.0')
+
+    fs.unlinkSync(proxy.tarballs.get('cache-pkg/cache-pkg-2.0.0.tgz').file)
+    getAndFill('2.0.0', function(err, fillErr) {
+      if (err || fillErr) return done(err || fillErr)
+      if (hits('2.0.0') !== before + 1) {
+        return done(new Error('Request should have been proxied to the public npm'))
+      }
+      if (!proxy.tarballs.get('cache-pkg/cache-pkg-2.0.0.tgz')) {
+        return done(new Error('cache-pkg-2.0.0.tgz should be cached again'))
+      }
+      done()
+    })
+  })
+
+  it('should create missing parents of the cache directory', function() {
+    var nested = path.join(dir, 'nested', 'tarballs')
+      , other = new Proxy(util._extend(util._extend({}, options), { tarballs: { dir: nested } }))
+
+    if (!other.tarballs || !fs.existsSync(nested)) {
+      throw new Error(nested + ' should have been created')
+    }
+
+    fs.rmdirSync(nested)
+    fs.rmdirSync(path.dirname(nested))
+  })
+})
@@ -0,0 +1,150 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+function createProxy(options) {
+  return new Proxy(Object.keys(options).reduce(function(all, key) {
+    all[key] = options[key]
+    return all
+  }, {
+    npm: url.parse(common.public.url),
+    policy: {
+      npm: url.parse(common.private.url),
+      private: {
+        'priv-tarball-pkg': 1
+      },
+      blacklist: {},
+      transparent: false
+    },
+    log: log
+  }))
+}
+
+var proxy = createProxy({ baseUrl: common.host + '/' })
+  , cached = createProxy({ baseUrl: common.host, packuments: { ttl: 1000 } })
+  , current = proxy
+
+function tarball(path, version, callback) {
+  request.get({ uri: common.host + path, json: true }, function(err, res, body) {
+    if (err) return callback(err)
+    if (res.statusCode !== 200) {
+      return common.wrongStatusCode(res.statusCode, 200, callback)
+    }
+    callback(null, body.versions[version].dist.tarball)
+  })
+}
+
+describe('tarball urls', function() {
+  before(function(done) {
+    server = http
+                .createServer(function(req, res) { current.decide(req, res) })
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  it('should point public tarballs at the proxy', function(done) {
+    tarball('/tarball-pkg', '1.0.0', function(err, href) {
+      if (err) return done(err)
+      assert.equal(href, common.host + '/tarball-pkg/-/tarball-pkg-1.0.0.tgz')
+      done()
+    })
+  })
+
+  it('should point private tarballs at the proxy', function(done) {
+    tarball('/priv-tarball-pkg', '2.0.0', function(err, href) {
+      if (err) return done(err)
+      assert.equal(href, common.host + '/priv-tarball-pkg/-/priv-tarball-pkg-2.0.0.tgz')
+      done()
+    })
+  })
+
+  it('should point the tarball of version documents at the proxy', function(done) {
+    request.get({ uri: common.host + '/tarball-pkg/1.0.0', json: true }, function(err, res, body) {
+      if (err) return done(err)
+      assert.equal(res.statusCode, 200)
+      assert.equal(body.dist.tarball, common.host + '/tarball-pkg/-/tarball-pkg-1.0.0.tgz')
+      done()
+    })
+  })
+
+  it('should serve public tarballs from the public npm', function(done) {
+    request.get({ uri: common.host + '/tarball-pkg/-/tarball-pkg-1.0.0.tgz', encoding: null }, function(err, res, body) {
+      if (err) return done(err)
+      assert.equal(res.statusCode, 200)
+      assert.equal(body.length, 1024)
+      done()
+    })
+  })
+
+  it('should serve private tarballs from the private npm', function(done) {
+    request.get(common.host + '/priv-tarball-pkg/-/priv-tarball-pkg-2.0.0.tgz', function(err, res, body) {
+      if (err) return done(err)
+      assert.equal(res.statusCode, 200)
+      assert.equal(body, 'private tarball')
+      done()
+    })
+  })
+
+  it('should point cached tarballs at the proxy', function(done) {
+    current = cached
+    tarball('/tarball-pkg', '1.0.0', function(err) {
+      if (err) return done(err)
+      assert.ok(cached.packuments.get(cached.packuments.key('tarball-pkg', 'application/json')))
+      tarball('/tarball-pkg', '1.0.0', function(err, href) {
+        current = proxy
+        if (err) return done(err)
+        assert.equal(href, common.host + '/tarball-pkg/-/tarball-pkg-1.0.0.tgz')
+        done()
+      })
+    })
+  })
+
+  it('should point cached version documents at the proxy', function(done) {
+    current = cached
+    request.get({ uri: common.host + '/tarball-pkg/1.0.0', json: true }, function(err, res, body) {
+      current = proxy
+      if (err) return done(err)
+      assert.equal(body.dist.tarball, common.host + '/tarball-pkg/-/tarball-pkg-1.0.0.tgz')
+      assert.ok(cached.packuments.get(cached.packuments.key('tarball-pkg@1.0.0', 'application/json')))
+      done()
+    })
+  })
+
+  describe('externalUrl', function() {
+    it('should use the url of each listener', function() {
+      var both = createProxy({
+        baseUrl: { http: 'http://npm.corp.com', https: 'https://npm.corp.com/' }
+      })
+
+      assert.equal(both.externalUrl({ connection: {} }), 'http://npm.corp.com')
+      assert.equal(both.externalUrl({ connection: { encrypted: true } }), 'https://npm.corp.com')
+    })
+
+    it('should fall back to the url of the other listener', function() {
+      var https = createProxy({ baseUrl: { https: 'https://npm.corp.com' } })
+      assert.equal(https.externalUrl({ connection: {} }), 'https://npm.corp.com')
+    })
+
+    it('should not rewrite without a base url', function() {
+      assert.equal(createProxy({}).externalUrl({ connection: {} }), null)
+    })
+  })
+})
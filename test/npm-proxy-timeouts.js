@@ -0,0 +1,198 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+  , upstream
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+//
+// Upstream npm which hangs up on (or never answers)
+// the first `failures` requests for each url.
+//
+var upstreamUrl = 'http://localhost:8025'
+  , failures = 0
+  , mode = 'hangup'
+  , seen = {}
+
+function handle(req, res) {
+  seen[req.url] = (seen[req.url] || 0) + 1
+  if (seen[req.url] <= failures) {
+    return mode === 'hangup'
+      ? req.socket.destroy()
+      : null
+  }
+
+  common.json(res, /new-pkg/.test(req.url) ? 404 : 200, { server: 'upstream' })
+}
+
+function createProxy(options) {
+  return new Proxy(Object.keys(options).reduce(function(all, key) {
+    all[key] = options[key]
+    return all
+  }, {
+    npm: url.parse(upstreamUrl),
+    policy: {
+      npm: url.parse(common.private.url),
+      private: {},
+      blacklist: {},
+      transparent: false
+    },
+    log: log
+  }))
+}
+
+var proxy
+
+function reset(options, fails, how) {
+  return function() {
+    proxy = createProxy(options)
+    failures = fails
+    mode = how || 'hangup'
+    seen = {}
+  }
+}
+
+function get(method, path, callback) {
+  request({ uri: common.host + path, method: method, json: true }, callback)
+}
+
+describe('upstream timeouts and retries', function() {
+  before(function(done) {
+    upstream = http.createServer(handle).listen(8025, function() {
+      server = http
+                  .createServer(function(req, res) { proxy.decide(req, res) })
+                  .listen(common.port, done)
+    })
+  })
+
+  after(function(done) {
+    server.close()
+    upstream.close(done)
+  })
+
+  describe('retry', function() {
+    beforeEach(reset({ retry: { retries: 2, minDelay: 10, maxDelay: 20 } }, 2))
+
+    it('should retry GET requests that fail to reach the registry', function(done) {
+      get('GET', '/retry-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(body.server, 'upstream')
+        assert.equal(seen['/retry-pkg'], 3)
+        assert.ok(/upstream_retries_total\{host="localhost:8025"\} 2/.test(proxy.metrics.render()))
+        done()
+      })
+    })
+
+    it('should give up with a 502 once out of retries', function(done) {
+      failures = 3
+      get('GET', '/retry-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 502)
+        assert.equal(body.error, 'proxy_error')
+        assert.equal(seen['/retry-pkg'], 3)
+        done()
+      })
+    })
+
+    it('should never retry writes', function(done) {
+      proxy.policy.private['retry-pkg'] = true
+      proxy.policy.npm = url.parse(upstreamUrl)
+      get('PUT', '/retry-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 502)
+        assert.equal(body.error, 'proxy_error')
+        assert.equal(seen['/retry-pkg'], 1)
+        done()
+      })
+    })
+
+    it('should retry looking for new packages on the public npm', function(done) {
+      get('PUT', '/new-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(seen['/new-pkg'], 3)
+        assert.equal(body.server, 'private')
+        done()
+      })
+    })
+
+    it('should not retry when disabled', function(done) {
+      reset({ retry: false }, 1)()
+      get('GET', '/retry-pkg', function(err, res) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 502)
+        assert.equal(seen['/retry-pkg'], 1)
+        done()
+      })
+    })
+  })
+
+  describe('timeouts', function() {
+    beforeEach(reset({ timeouts: { response: 50 }, retry: false }, 1, 'hang'))
+
+    it('should respond with a 504 when the registry does not respond', function(done) {
+      get('GET', '/slow-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 504)
+        assert.equal(body.error, 'gateway_timeout')
+        assert.equal(body.timeout, 'response')
+        assert.ok(/waiting for localhost:8025/.test(body.reason))
+        done()
+      })
+    })
+
+    it('should retry GET requests that time out', function(done) {
+      reset({ timeouts: { response: 50 }, retry: { minDelay: 10 } }, 1, 'hang')()
+      get('GET', '/slow-pkg', function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(body.server, 'upstream')
+        done()
+      })
+    })
+
+    it('should use the timeouts of each registry', function() {
+      var timeouts = createProxy({
+        timeouts: {
+          connect: 1000,
+          upstreams: { 'localhost:8025': { response: 5000 } }
+        }
+      })
+
+      assert.deepEqual(timeouts.timeoutsFor(url.parse(upstreamUrl)), { connect: 1000, response: 5000 })
+      assert.deepEqual(timeouts.timeoutsFor(common.private.url), { connect: 1000, response: 60000 })
+    })
+
+    it('should tell connect timeouts apart', function(done) {
+      var res = {
+        headersSent: false,
+        writeHead: function(code) { this.statusCode = code },
+        end: function(body) {
+          assert.equal(this.statusCode, 504)
+          assert.deepEqual(JSON.parse(body), {
+            error: 'gateway_timeout',
+            reason: 'connect ETIMEDOUT',
+            timeout: 'connect'
+          })
+          done()
+        }
+      }
+      var err = new Error('connect ETIMEDOUT')
+
+      err.code = 'ETIMEDOUT'
+      proxy.onProxyError(err, { method: 'GET', url: '/', headers: {}, connection: {}, socket: {} }, res)
+    })
+  })
+})
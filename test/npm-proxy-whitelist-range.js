@@ -0,0 +1,144 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var Proxy = process.env.SPNPM_COV
+  ? require('../lib-cov').Proxy
+  : require('../lib').Proxy
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var options = {
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    transparent: false,
+    whitelist: {
+      'pub-wl-ok': 1,
+      'range-pkg': '^1.0.0'
+    }
+  },
+  log: log
+}
+
+var proxy = new Proxy(options)
+
+describe('whitelist ranges', function() {
+  before(function(done) {
+    server = http
+                .createServer(proxy.decide.bind(proxy))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('packument', function() {
+    it('should only include versions in the range', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        assert.deepEqual(Object.keys(body.versions), ['1.0.0', '1.5.0'])
+        assert.deepEqual(Object.keys(body.time), ['created', '1.0.0', '1.5.0'])
+        done()
+      })
+    })
+
+    it('should move latest into the range and drop other dist-tags', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        assert.deepEqual(body['dist-tags'], { legacy: '1.0.0', latest: '1.5.0' })
+        done()
+      })
+    })
+
+    it('should serve packages whitelisted without a range as-is', function(done) {
+      var opts = {
+        uri: common.host+'/pub-wl-ok',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+  })
+
+  describe('versions', function() {
+    it('should proxy GET /range-pkg/1.5.0 to public registry', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg/1.5.0',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+
+    it('should refuse GET /range-pkg/2.0.0', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg/2.0.0',
+        json: true
+      }
+      request.get(opts, common.error(done))
+    })
+
+    it('should resolve GET /range-pkg/latest within the range', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg/latest',
+        json: true
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        assert.deepEqual(body, { version: '1.5.0' })
+        done()
+      })
+    })
+
+    it('should refuse GET /range-pkg/beta outside the range', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg/beta',
+        json: true
+      }
+      request.get(opts, common.error(done))
+    })
+  })
+
+  describe('tarballs', function() {
+    it('should proxy a tarball in the range to public registry', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg/-/range-pkg-1.5.0.tgz',
+        json: true
+      }
+      request.get(opts, common.publicOk(done))
+    })
+
+    it('should refuse a tarball outside the range', function(done) {
+      var opts = {
+        uri: common.host+'/range-pkg/-/range-pkg-2.0.0.tgz',
+        json: true
+      }
+      request.get(opts, common.error(done))
+    })
+  })
+})
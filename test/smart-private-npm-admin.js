@@ -0,0 +1,199 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {},
+    blacklist: {},
+    transparent: false
+  },
+  log: log
+})
+
+var router = spnpm.createRouter({
+  proxy: proxy,
+  admin: {
+    user: 'admin',
+    password: 'secret',
+    token: 'admin-token'
+  },
+  log: log
+})
+
+function admin(method, path, body) {
+  return {
+    uri: common.host + path,
+    method: method,
+    json: body === undefined ? true : body,
+    auth: { user: 'admin', pass: 'secret' }
+  }
+}
+
+describe('smart-private-npm admin', function() {
+  before(function(done) {
+    server = http
+                .createServer(router.dispatch.bind(router))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('auth', function() {
+    it('should respond 401 without credentials', function(done) {
+      request.get({ uri: common.host + '/-/smart/policy', json: true }, function(err, res) {
+        if (err) return done(err)
+        if (res.statusCode !== 401) {
+          return common.wrongStatusCode(res.statusCode, 401, done)
+        }
+        done()
+      })
+    })
+
+    it('should accept a Bearer token', function(done) {
+      var opts = {
+        uri: common.host + '/-/smart/policy',
+        json: true,
+        headers: { authorization: 'Bearer admin-token' }
+      }
+      request.get(opts, function(err, res, body) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        if (body.transparent !== false || body.whitelist !== null) {
+          return common.invalidRes(body, done)
+        }
+        done()
+      })
+    })
+  })
+
+  describe('lists', function() {
+    it('should add /pub-basic-ok to the blacklist', function(done) {
+      request(admin('put', '/-/smart/policy/blacklist/pub-basic-ok'), function(err, res) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        if (!proxy.policy.blacklist['pub-basic-ok']) {
+          return done(new Error('pub-basic-ok should be blacklisted'))
+        }
+        request.get({ uri: common.host + '/pub-basic-ok', json: true }, common.privateNotFound(done))
+      })
+    })
+
+    it('should add a scoped package to the private list', function(done) {
+      request(admin('put', '/-/smart/policy/private/@corp%2fwidget'), function(err, res, body) {
+        if (err) return done(err)
+        if (!body['@corp/widget']) {
+          return common.invalidRes(body, done)
+        }
+        done()
+      })
+    })
+
+    it('should remove /pub-basic-ok from the blacklist', function(done) {
+      request(admin('delete', '/-/smart/policy/blacklist/pub-basic-ok'), function(err, res) {
+        if (err) return done(err)
+        if (res.statusCode !== 200) {
+          return common.wrongStatusCode(res.statusCode, 200, done)
+        }
+        request.get({ uri: common.host + '/pub-basic-ok', json: true }, common.publicOk(done))
+      })
+    })
+
+    it('should respond 400 for a value which is not a semver range', function(done) {
+      request(admin('put', '/-/smart/policy/blacklist/pub-basic-ok', { range: '*' }), function(err, res) {
+        if (err) return done(err)
+        if (res.statusCode !== 400) {
+          return common.wrongStatusCode(res.statusCode, 400, done)
+        }
+        request(admin('put', '/-/smart/policy/blacklist/pub-basic-ok', 'not a range'), function(err, res) {
+          if (err) return done(err)
+          if (res.statusCode !== 400) {
+            return common.wrongStatusCode(res.statusCode, 400, done)
+          }
+          if (proxy.policy.blacklist['pub-basic-ok']) {
+            return done(new Error('pub-basic-ok should not be blacklisted'))
+          }
+          done()
+        })
+      })
+    })
+
+    it('should not enable the whitelist unless asked to', function(done) {
+      request(admin('put', '/-/smart/policy/whitelist/pub-basic-ok'), function(err, res) {
+        if (err) return done(err)
+        if (res.statusCode !== 409) {
+          return common.wrongStatusCode(res.statusCode, 409, done)
+        }
+        if (proxy.policy.whitelist) {
+          return done(new Error('The whitelist should not be enabled'))
+        }
+        request(admin('put', '/-/smart/policy/whitelist/pub-basic-ok?enable=true', '^1.0.0'), function(err, res, body) {
+          if (err) return done(err)
+          if (res.statusCode !== 200) {
+            return common.wrongStatusCode(res.statusCode, 200, done)
+          }
+          if (body['pub-basic-ok'] !== '^1.0.0') {
+            return common.invalidRes(body, done)
+          }
+          request(admin('delete', '/-/smart/policy/whitelist'), function(err) {
+            done(err)
+          })
+        })
+      })
+    })
+
+    it('should respond 404 for an unknown list', function(done) {
+      request(admin('get', '/-/smart/policy/graylist'), function(err, res) {
+        if (err) return done(err)
+        if (res.statusCode !== 404) {
+          return common.wrongStatusCode(res.statusCode, 404, done)
+        }
+        done()
+      })
+    })
+  })
+
+  describe('transparent', function() {
+    it('should toggle transparent mode on', function(done) {
+      request(admin('put', '/-/smart/policy/transparent', { transparent: true }), function(err, res) {
+        if (err) return done(err)
+        if (!proxy.policy.transparent) {
+          return done(new Error('Proxy should be transparent'))
+        }
+        request.get({ uri: common.host + '/priv-basic-ok', json: true }, common.publicNotFound(done))
+      })
+    })
+
+    it('should toggle transparent mode off', function(done) {
+      request(admin('put', '/-/smart/policy/transparent', { transparent: false }), function(err, res) {
+        if (err) return done(err)
+        if (proxy.policy.transparent) {
+          return done(new Error('Proxy should not be transparent'))
+        }
+        request.get({ uri: common.host + '/-/ping', json: true }, common.privateNotFound(done))
+      })
+    })
+  })
+})
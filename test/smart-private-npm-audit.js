@@ -0,0 +1,229 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var file = path.join(os.tmpdir(), 'spnpm-audit-' + process.pid + '.jsonl')
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  audit: { file: file },
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      'priv-basic-ok': 1
+    },
+    blacklist: {},
+    transparent: false
+  },
+  writePrivateOk: function() {
+    return new Error('New private packages are not allowed')
+  },
+  log: log
+})
+
+var router = spnpm.createRouter({
+  proxy: proxy,
+  admin: {
+    user: 'admin',
+    password: 'secret'
+  },
+  log: log
+})
+
+function write(method, path, user, body) {
+  return function(done) {
+    request({
+      uri: common.host + path,
+      method: method,
+      json: body === undefined ? true : body,
+      auth: { user: user, pass: 'pass' }
+    }, function(err) {
+      if (err) return done(err)
+      proxy.auditLog.flush(done)
+    })
+  }
+}
+
+function query(qs, callback) {
+  request.get({
+    uri: common.host + '/-/smart/audit' + qs,
+    json: true,
+    auth: { user: 'admin', pass: 'secret' }
+  }, function(err, res, body) {
+    if (err) return callback(err)
+    if (res.statusCode !== 200) {
+      return common.wrongStatusCode(res.statusCode, 200, callback)
+    }
+    callback(null, body.records)
+  })
+}
+
+describe('smart-private-npm audit', function() {
+  before(function(done) {
+    server = http
+                .createServer(router.dispatch.bind(router))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    try { fs.unlinkSync(file) }
+    catch (ex) {}
+
+    server.on('close', done)
+    server.close()
+  })
+
+  describe('writes', function() {
+    before(write('PUT', '/priv-basic-ok', 'alice', {
+      name: 'priv-basic-ok',
+      'dist-tags': { latest: '1.2.3' },
+      versions: { '1.2.3': { name: 'priv-basic-ok', version: '1.2.3' } },
+      _attachments: {}
+    }))
+    before(write('PUT', '/-/package/priv-basic-ok/dist-tags/beta', 'bob', '1.2.3'))
+    before(write('DELETE', '/priv-basic-ok/-rev/1-abc', 'alice'))
+    before(write('PUT', '/priv-basic-notfound', 'mallory', { name: 'priv-basic-notfound' }))
+    before(write('GET', '/priv-basic-ok', 'alice'))
+
+    it('should record publishes', function(done) {
+      query('?action=publish&pkg=priv-basic-ok', function(err, records) {
+        if (err) return done(err)
+        assert.equal(records.length, 1)
+        assert.equal(records[0].actor, 'alice')
+        assert.equal(records[0].pkg, 'priv-basic-ok')
+        assert.equal(records[0].version, '1.2.3')
+        assert.equal(records[0].target, url.parse(common.private.url).host)
+        assert.equal(records[0].outcome, 'ok')
+        assert.equal(records[0].status, 200)
+        assert.ok(!isNaN(Date.parse(records[0].time)))
+        done()
+      })
+    })
+
+    it('should record dist-tags', function(done) {
+      query('?action=dist-tag', function(err, records) {
+        if (err) return done(err)
+        assert.equal(records.length, 1)
+        assert.equal(records[0].actor, 'bob')
+        assert.equal(records[0].tag, 'beta')
+        assert.equal(records[0].version, '1.2.3')
+        done()
+      })
+    })
+
+    it('should record unpublishes', function(done) {
+      query('?action=unpublish', function(err, records) {
+        if (err) return done(err)
+        assert.equal(records.length, 1)
+        assert.equal(records[0].actor, 'alice')
+        assert.equal(records[0].pkg, 'priv-basic-ok')
+        done()
+      })
+    })
+
+    it('should record denied writes', function(done) {
+      query('?user=mallory', function(err, records) {
+        if (err) return done(err)
+        assert.equal(records.length, 1)
+        assert.equal(records[0].pkg, 'priv-basic-notfound')
+        assert.equal(records[0].outcome, 'write-denied')
+        assert.equal(records[0].reason, 'New private packages are not allowed')
+        assert.equal(records[0].target, null)
+        done()
+      })
+    })
+
+    it('should not record reads', function(done) {
+      query('?pkg=priv-basic-ok', function(err, records) {
+        if (err) return done(err)
+        assert.deepEqual(records.map(function(r) { return r.action }), ['publish', 'dist-tag', 'unpublish'])
+        done()
+      })
+    })
+
+    it('should respond with the most recent records', function(done) {
+      query('?limit=2', function(err, records) {
+        if (err) return done(err)
+        assert.deepEqual(records.map(function(r) { return r.seq }), [3, 4])
+        done()
+      })
+    })
+  })
+
+  describe('chain', function() {
+    function verify(callback) {
+      request.get({
+        uri: common.host + '/-/smart/audit/verify',
+        json: true,
+        auth: { user: 'admin', pass: 'secret' }
+      }, function(err, res, body) {
+        if (err) return callback(err)
+        callback(null, body)
+      })
+    }
+
+    it('should verify an intact chain', function(done) {
+      verify(function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result, { valid: true, count: 4, broken: null })
+        done()
+      })
+    })
+
+    it('should continue the chain when reopened', function(done) {
+      var auditLog = new spnpm.AuditLog(file)
+
+      auditLog.record({ actor: 'carol', action: 'publish', pkg: 'other' }, function(err, record) {
+        if (err) return done(err)
+        assert.equal(record.seq, 5)
+        auditLog.close(function() {
+          auditLog.verify(function(err, result) {
+            if (err) return done(err)
+            assert.deepEqual(result, { valid: true, count: 5, broken: null })
+            done()
+          })
+        })
+      })
+    })
+
+    it('should detect tampered records', function(done) {
+      var lines = fs.readFileSync(file, 'utf8').split('\n')
+
+      lines[1] = lines[1].replace('"actor":"bob"', '"actor":"alice"')
+      fs.writeFileSync(file, lines.join('\n'))
+
+      verify(function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result, { valid: false, count: 5, broken: 2 })
+        done()
+      })
+    })
+  })
+
+  it('should require admin credentials', function(done) {
+    request.get({ uri: common.host + '/-/smart/audit', json: true }, function(err, res) {
+      if (err) return done(err)
+      if (res.statusCode !== 401) {
+        return common.wrongStatusCode(res.statusCode, 401, done)
+      }
+      done()
+    })
+  })
+})
@@ -3,6 +3,7 @@ var common = require('./fixtures/common')
   , url = require('url')
   , http = require('http')
   , util = require('util')
+  , servers
 
 var spnpm = process.env.SPNPM_COV
   ? require('../lib-cov')
@@ -42,7 +43,15 @@ console.log = function() {
 
 describe('smart-private-npm basic', function() {
   before(function(done) {
-    spnpm.createServer(options, done)
+    spnpm.createServer(options, function(err, created) {
+      servers = created
+      done(err)
+    })
+  })
+
+  after(function(done) {
+    servers.http.on('close', done)
+    servers.http.close()
   })
 
   // this doesn't actually reach the notFound handler
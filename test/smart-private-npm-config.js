@@ -0,0 +1,188 @@
+var assert = require('assert')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+
+var config = process.env.SPNPM_COV
+  ? require('../lib-cov').config
+  : require('../lib').config
+
+var dir = path.join(os.tmpdir(), 'spnpm-config-' + process.pid)
+
+var defaults = {
+  exclude: ['_design/app'],
+  http: 8044,
+  proxy: {
+    npm: 'https://registry.npmjs.org',
+    policy: {
+      npm: 'http://localhost:5984',
+      blacklist: { evil: true },
+      transparent: false
+    }
+  }
+}
+
+function write(file, contents) {
+  file = path.join(dir, file)
+  fs.writeFileSync(file, contents)
+  return file
+}
+
+describe('configuration', function() {
+  before(function() {
+    fs.mkdirSync(dir)
+  })
+
+  after(function() {
+    fs.readdirSync(dir).forEach(function(file) {
+      fs.unlinkSync(path.join(dir, file))
+    })
+    fs.rmdirSync(dir)
+  })
+
+  describe('load', function() {
+    it('should parse the npm urls', function() {
+      var loaded = config.load({ defaults: defaults })
+      assert.equal(loaded.proxy.npm.host, 'registry.npmjs.org')
+      assert.equal(loaded.proxy.policy.npm.href, 'http://localhost:5984/')
+    })
+
+    it('should deep merge the file over the defaults', function() {
+      var loaded = config.load({
+        defaults: defaults,
+        file: write('merge.json', JSON.stringify({
+          proxy: { policy: { whitelist: { lodash: '^4.0.0' } } }
+        }))
+      })
+
+      assert.deepEqual(loaded.proxy.policy.whitelist, { lodash: '^4.0.0' })
+      assert.deepEqual(loaded.proxy.policy.blacklist, { evil: true })
+      assert.equal(loaded.proxy.policy.npm.host, 'localhost:5984')
+      assert.equal(loaded.http, 8044)
+      assert.equal(defaults.proxy.policy.whitelist, undefined)
+    })
+
+    it('should read YAML files', function() {
+      var loaded = config.load({
+        defaults: defaults,
+        file: write('config.yml', [
+          'http: 8080',
+          'proxy:',
+          '  npm:',
+          '    read: http://read.example.com',
+          '    write: http://write.example.com'
+        ].join('\n'))
+      })
+
+      assert.equal(loaded.http, 8080)
+      assert.equal(loaded.proxy.npm.read.host, 'read.example.com')
+      assert.equal(loaded.proxy.npm.write.host, 'write.example.com')
+    })
+
+    it('should move the top-level public and private urls', function() {
+      var loaded = config.load({
+        defaults: defaults,
+        file: write('urls.json', JSON.stringify({
+          public: 'http://public.example.com',
+          private: 'http://private.example.com'
+        }))
+      })
+
+      assert.equal(loaded.proxy.npm.host, 'public.example.com')
+      assert.equal(loaded.proxy.policy.npm.host, 'private.example.com')
+      assert.equal(loaded.public, undefined)
+      assert.equal(loaded.private, undefined)
+    })
+
+    it('should prefer flags over the environment over the file', function() {
+      var loaded = config.load({
+        defaults: defaults,
+        file: write('precedence.json', JSON.stringify({
+          http: 1111,
+          proxy: { npm: 'http://file.example.com', policy: { npm: 'http://file.example.com' } }
+        })),
+        env: {
+          SPNPM_HTTP: '2222',
+          SPNPM_PUBLIC: 'http://env.example.com',
+          SPNPM_PRIVATE: 'http://env.example.com'
+        },
+        argv: { private: 'http://flag.example.com', transparent: false }
+      })
+
+      assert.equal(loaded.http, 2222)
+      assert.equal(loaded.proxy.npm.host, 'env.example.com')
+      assert.equal(loaded.proxy.policy.npm.host, 'flag.example.com')
+      assert.equal(loaded.proxy.policy.transparent, false)
+    })
+
+    it('should read the file named by SPNPM_CONFIG', function() {
+      var loaded = config.load({
+        defaults: defaults,
+        env: { SPNPM_CONFIG: write('env.json', JSON.stringify({ metrics: false })) }
+      })
+
+      assert.equal(loaded.metrics, false)
+    })
+
+    it('should list every invalid option', function() {
+      assert.throws(function() {
+        config.load({
+          defaults: defaults,
+          file: write('invalid.json', JSON.stringify({
+            http: 99999,
+            proxy: {
+              npm: 'registry.npmjs.org',
+              policy: { whitelist: { lodash: 'not a range' } }
+            }
+          })),
+          env: { SPNPM_PROXY__POLICY__TRANSPARENT: 'maybe' }
+        })
+      }, function(err) {
+        assert.deepEqual(err.errors, [
+          path.join(dir, 'invalid.json') + ': http must be a port or an object with a port (got 99999)',
+          path.join(dir, 'invalid.json') + ': proxy.npm must be an http(s) url, an Array of them or an object with read and write urls (got "registry.npmjs.org")',
+          path.join(dir, 'invalid.json') + ': proxy.policy.whitelist must be an object whose semver ranges are valid (got {"lodash":"not a range"})',
+          'environment: proxy.policy.transparent must be true or false (got "maybe")'
+        ])
+        return /^Invalid configuration:/.test(err.message)
+      })
+    })
+
+    it('should require the npm urls', function() {
+      assert.throws(function() {
+        config.load({})
+      }, /proxy\.npm is required/)
+    })
+
+    it('should report files which cannot be parsed', function() {
+      assert.throws(function() {
+        config.load({ defaults: defaults, file: write('broken.json', '{ "http": ') })
+      }, /broken\.json/)
+    })
+  })
+
+  describe('fromEnv', function() {
+    it('should map nested and multi-word variables', function() {
+      assert.deepEqual(config.fromEnv({
+        SPNPM_PROXY__BASE_URL: 'https://npm.corp.com',
+        SPNPM_PROXY__POLICY__BLOCKED_VERSIONS: '{"event-stream":"3.3.6"}',
+        SPNPM_ADMIN__PASSWORD: '12345',
+        SPNPM_METRICS: 'false',
+        HOME: '/root'
+      }), {
+        proxy: {
+          baseUrl: 'https://npm.corp.com',
+          policy: { blockedVersions: { 'event-stream': '3.3.6' } }
+        },
+        admin: { password: '12345' },
+        metrics: false
+      })
+    })
+  })
+
+  describe('merge', function() {
+    it('should replace Arrays rather than merging them', function() {
+      assert.deepEqual(config.merge({ exclude: ['a', 'b'] }, { exclude: ['c'] }), { exclude: ['c'] })
+    })
+  })
+})
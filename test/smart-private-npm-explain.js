@@ -0,0 +1,272 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      'priv-basic-ok': 1
+    },
+    blacklist: {
+      'black-pkg': 1
+    },
+    blockedVersions: {
+      'blocked-pkg': '1.0.1'
+    },
+    transparent: false
+  },
+  policies: {
+    contractors: {
+      whitelist: { 'pub-wl-ok': 1, 'range-pkg': '^1.0.0' },
+      limits: { private: 1 }
+    }
+  },
+  resolvePolicy: function(user, req, callback) {
+    if (!user) return callback()
+    if (user.name === 'contractor') return callback(null, 'contractors')
+    if (user.name === 'nobody') return callback(null, 'missing')
+    callback()
+  },
+  log: log
+})
+
+var router = spnpm.createRouter({
+  proxy: proxy,
+  admin: {
+    user: 'admin',
+    password: 'secret'
+  },
+  log: log
+})
+
+var privateHost = url.parse(common.private.url).host
+  , publicHost = url.parse(common.public.url).host
+
+function explain(path, callback) {
+  request.get({
+    uri: common.host + '/-/smart/explain/' + path,
+    json: true,
+    auth: { user: 'admin', pass: 'secret' }
+  }, function(err, res, body) {
+    if (err) return callback(err)
+    if (res.statusCode !== 200) {
+      return common.wrongStatusCode(res.statusCode, 200, callback)
+    }
+    callback(null, body)
+  })
+}
+
+function rules(result) {
+  return result.rules.map(function(rule) {
+    return rule.rule + (rule.matched ? '+' : '-')
+  })
+}
+
+describe('smart-private-npm explain', function() {
+  before(function(done) {
+    server = http
+                .createServer(router.dispatch.bind(router))
+                .listen(common.port, done)
+  })
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  it('should require admin credentials', function(done) {
+    request.get({
+      uri: common.host + '/-/smart/explain/priv-basic-ok',
+      json: true
+    }, function(err, res) {
+      if (err) return done(err)
+      assert.equal(res.statusCode, 401)
+      done()
+    })
+  })
+
+  describe('reads', function() {
+    it('should explain known private packages', function(done) {
+      explain('priv-basic-ok', function(err, result) {
+        if (err) return done(err)
+        assert.equal(result.pkg, 'priv-basic-ok')
+        assert.equal(result.method, 'GET')
+        assert.equal(result.policy, 'default')
+        assert.deepEqual(result.decision, { outcome: 'private', rule: 'private', upstream: privateHost })
+        assert.deepEqual(rules(result), ['transparent-', 'overlay-', 'private+'])
+        assert.equal(result.lists.private, true)
+        assert.equal(result.lists.blacklist, false)
+        assert.equal(result.lists.whitelist, null)
+        done()
+      })
+    })
+
+    it('should explain blacklisted packages', function(done) {
+      explain('black-pkg', function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result.decision, { outcome: 'private', rule: 'blacklist', upstream: privateHost })
+        assert.deepEqual(rules(result), ['transparent-', 'overlay-', 'private-', 'blacklist+'])
+        done()
+      })
+    })
+
+    it('should explain public packages', function(done) {
+      explain('pub-basic-ok', function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result.decision, { outcome: 'public', rule: 'public', upstream: publicHost })
+        assert.equal(result.probe.runs, false)
+        done()
+      })
+    })
+
+    it('should explain blocked versions', function(done) {
+      explain('blocked-pkg?version=1.0.1', function(err, result) {
+        if (err) return done(err)
+        assert.equal(result.version, '1.0.1')
+        assert.equal(result.lists.blockedVersions, '1.0.1')
+        assert.equal(result.decision.outcome, 'version-blocked')
+        assert.equal(result.decision.upstream, null)
+        assert.deepEqual(rules(result), ['transparent-', 'overlay-', 'private-', 'blacklist-', 'versions+'])
+        done()
+      })
+    })
+
+    it('should explain allowed versions', function(done) {
+      explain('blocked-pkg?version=1.0.0', function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result.decision, { outcome: 'public', rule: 'public', upstream: publicHost })
+        done()
+      })
+    })
+
+    it('should normalize scoped packages', function(done) {
+      explain('@pub%2fthing', function(err, result) {
+        if (err) return done(err)
+        assert.equal(result.pkg, '@pub/thing')
+        assert.equal(result.decision.outcome, 'public')
+        done()
+      })
+    })
+  })
+
+  describe('writes', function() {
+    it('should report a probe when the public npm has not been probed', function(done) {
+      explain('not-probed-pkg?method=PUT', function(err, result) {
+        if (err) return done(err)
+        assert.equal(result.method, 'PUT')
+        assert.deepEqual(result.probe, { runs: true, cached: null })
+        assert.equal(result.decision.outcome, 'unknown')
+        assert.deepEqual(rules(result), ['transparent-', 'private-', 'blacklist-', 'public-404-'])
+        assert.equal(proxy.probes.get('not-probed-pkg'), undefined)
+        done()
+      })
+    })
+
+    it('should use cached probes of the public npm', function(done) {
+      proxy.probes.set('new-pkg', 404)
+      explain('new-pkg?method=put', function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result.probe, { runs: false, cached: 404 })
+        assert.deepEqual(result.decision, { outcome: 'private', rule: 'public-404', upstream: privateHost })
+        assert.equal(proxy.lookup(proxy.policy.private, 'new-pkg'), undefined)
+        done()
+      })
+    })
+
+    it('should never invoke writePrivateOk', function(done) {
+      var calls = 0
+
+      proxy.writePrivateOk = function() { calls++ }
+      explain('new-pkg?method=PUT', function(err, result) {
+        delete proxy.writePrivateOk
+        if (err) return done(err)
+        assert.equal(calls, 0)
+        assert.equal(result.decision.outcome, 'private')
+        assert.equal(result.decision.reason, 'Unless writePrivateOk denies it')
+        done()
+      })
+    })
+
+    it('should explain writes to existing public packages', function(done) {
+      proxy.probes.set('pub-basic-ok', 200)
+      explain('pub-basic-ok?method=PUT', function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result.decision, { outcome: 'public', rule: 'public', upstream: publicHost })
+        done()
+      })
+    })
+  })
+
+  describe('per-user policies', function() {
+    it('should explain whitelisted packages', function(done) {
+      explain('range-pkg?user=contractor&version=2.0.0', function(err, result) {
+        if (err) return done(err)
+        assert.equal(result.user, 'contractor')
+        assert.equal(result.policy, 'contractors')
+        assert.equal(result.lists.whitelist, true)
+        assert.equal(result.decision.outcome, 'whitelist-denied')
+        assert.deepEqual(result.rules.pop(), { rule: 'versions', matched: true, detail: '^1.0.0' })
+        done()
+      })
+    })
+
+    it('should explain packages outside the whitelist', function(done) {
+      explain('pub-basic-ok?user=contractor', function(err, result) {
+        if (err) return done(err)
+        assert.equal(result.lists.whitelist, false)
+        assert.equal(result.decision.outcome, 'whitelist-denied')
+        assert.equal(result.decision.upstream, null)
+        done()
+      })
+    })
+
+    it('should explain the limits', function(done) {
+      proxy.probes.set('limited-pkg', 404)
+      explain('limited-pkg?user=contractor&method=PUT', function(err, result) {
+        if (err) return done(err)
+        assert.deepEqual(result.limits, { private: 1, used: 1 })
+        assert.equal(result.decision.outcome, 'limit-exceeded')
+        assert.deepEqual(result.rules.pop(), { rule: 'limits', matched: true })
+        done()
+      })
+    })
+
+    it('should use the default policy for other users', function(done) {
+      explain('pub-wl-ok?user=someone', function(err, result) {
+        if (err) return done(err)
+        assert.equal(result.policy, 'default')
+        assert.equal(result.decision.outcome, 'public')
+        done()
+      })
+    })
+
+    it('should respond with 400 for unknown policies', function(done) {
+      request.get({
+        uri: common.host + '/-/smart/explain/pub-basic-ok?user=nobody',
+        json: true,
+        auth: { user: 'admin', pass: 'secret' }
+      }, function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 400)
+        assert.equal(body.reason, 'Unknown policy: missing')
+        done()
+      })
+    })
+  })
+})
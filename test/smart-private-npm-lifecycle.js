@@ -0,0 +1,241 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , util = require('util')
+  , url = require('url')
+  , http = require('http')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , upstream
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+//
+// Public npm which responds to `/` after `delay` milliseconds.
+//
+var upstreamUrl = 'http://localhost:8028'
+  , delay = 0
+  , served = 0
+
+function handle(req, res) {
+  setTimeout(function() {
+    served++
+    common.json(res, 200, { db_name: 'registry' })
+  }, delay)
+}
+
+function options(overrides) {
+  var opts = {
+    proxy: {
+      npm: [url.parse(upstreamUrl), url.parse(common.public.url)],
+      probe: false,
+      policy: {
+        npm: url.parse(common.private.url),
+        private: {},
+        blacklist: {},
+        transparent: false
+      },
+      log: log
+    },
+    log: log,
+    http: common.port
+  }
+
+  Object.keys(overrides || {}).forEach(function(key) {
+    opts[key] = overrides[key]
+  })
+
+  return opts
+}
+
+function start(opts, callback) {
+  spnpm.createServer(opts, function(err, servers, server) {
+    callback(err, server)
+  })
+}
+
+describe('smart-private-npm lifecycle', function() {
+  before(function(done) {
+    upstream = http.createServer(handle).listen(8028, done)
+  })
+
+  after(function(done) {
+    upstream.close(done)
+  })
+
+  describe('reload', function() {
+    var server
+
+    before(function(done) {
+      start(options(), function(err, created) {
+        server = created
+        server.proxy.policy.private['learned-pkg'] = 1
+        done(err)
+      })
+    })
+
+    after(function(done) {
+      server.close({ timeout: 100 }, done)
+    })
+
+    it('should apply the new policy to the running proxy', function(done) {
+      var next = options({
+        admin: { token: 'reloaded-token' }
+      })
+
+      next.proxy.npm = url.parse(upstreamUrl)
+      next.proxy.policy.blacklist = { evil: true }
+
+      server.reload(next, function(err) {
+        assert.ifError(err)
+        assert.deepEqual(server.proxy.policy.blacklist, { evil: true })
+        assert.equal(server.proxy.currentNpm.href, upstreamUrl + '/')
+        done()
+      })
+    })
+
+    it('should keep the known private packages', function() {
+      assert.equal(server.proxy.policy.private['learned-pkg'], 1)
+    })
+
+    it('should stop cycling through the previous public npms', function() {
+      assert.equal(server.proxy.intervalId, null)
+      assert.equal(server.proxy.mirrors, null)
+    })
+
+    it('should replace the routes without closing the server', function(done) {
+      request.get({
+        uri: common.host + '/-/smart/policy',
+        headers: { authorization: 'Bearer reloaded-token' },
+        json: true
+      }, function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.deepEqual(body.blacklist, { evil: true })
+        done()
+      })
+    })
+  })
+
+  describe('reload with a policy store', function() {
+    var file = path.join(os.tmpdir(), 'spnpm-lifecycle-' + process.pid + '.json')
+      , server
+
+    function configured(whitelist) {
+      var opts = options()
+      opts.proxy.npm = url.parse(upstreamUrl)
+      opts.proxy.store = file
+      opts.proxy.policy.whitelist = whitelist
+      return opts
+    }
+
+    before(function(done) {
+      start(configured({ 'old-pkg': true }), function(err, created) {
+        if (err) return done(err)
+        server = created
+
+        var policy = util._extend({}, server.proxy.policy)
+        policy.blacklist = { 'runtime-bad': true }
+        server.proxy.setPolicy(policy)
+        server.proxy.persist(done)
+      })
+    })
+
+    after(function(done) {
+      try { fs.unlinkSync(file) }
+      catch (ex) {}
+
+      server.close({ timeout: 100 }, done)
+    })
+
+    it('should apply the new whitelist of the configuration', function(done) {
+      server.reload(configured({ 'new-pkg': '^1.0.0' }), function(err) {
+        assert.ifError(err)
+        assert.deepEqual(server.proxy.policy.whitelist, { 'new-pkg': '^1.0.0' })
+        done()
+      })
+    })
+
+    it('should keep the changes made at runtime', function() {
+      assert.deepEqual(server.proxy.policy.blacklist, { 'runtime-bad': true })
+    })
+  })
+
+  describe('close', function() {
+    var server
+
+    beforeEach(function(done) {
+      var opts = options()
+      opts.proxy.npm = url.parse(upstreamUrl)
+      start(opts, function(err, created) {
+        server = created
+        done(err)
+      })
+    })
+
+    afterEach(function() {
+      delay = 0
+    })
+
+    it('should finish the requests being served', function(done) {
+      var before = served
+        , pending = 2
+
+      function next() {
+        if (!--pending) done()
+      }
+
+      delay = 100
+      request.get({ uri: common.host + '/', json: true }, function(err, res, body) {
+        if (err) return done(err)
+        assert.equal(res.statusCode, 200)
+        assert.equal(body.db_name, 'registry')
+        next()
+      })
+
+      setTimeout(function() {
+        server.close({ timeout: 1000 }, function(err, dropped) {
+          assert.ifError(err)
+          assert.equal(dropped, 0)
+          assert.equal(served, before + 1)
+          assert.equal(server.proxy.intervalId, null)
+
+          request.get({ uri: common.host + '/' }, function(err) {
+            assert.equal(err && err.code, 'ECONNREFUSED')
+            next()
+          })
+        })
+      }, 20)
+    })
+
+    it('should cut off requests still being served after the timeout', function(done) {
+      var failed
+
+      delay = 500
+      request.get({ uri: common.host + '/' }, function(err) {
+        failed = err
+      })
+
+      setTimeout(function() {
+        server.close({ timeout: 50 }, function(err, dropped) {
+          assert.ifError(err)
+          assert.equal(dropped, 1)
+          setTimeout(function() {
+            assert.ok(failed)
+            done()
+          }, 20)
+        })
+      }, 20)
+    })
+  })
+})
@@ -0,0 +1,140 @@
+var common = require('./fixtures/common')
+  , request = require('request')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var proxy = new spnpm.Proxy({
+  npm: url.parse(common.public.url),
+  policy: {
+    npm: url.parse(common.private.url),
+    private: {
+      'priv-basic-ok': 1
+    },
+    blacklist: {},
+    whitelist: {
+      'pub-wl-ok': 1,
+      'range-pkg': '^1.0.0'
+    },
+    transparent: false
+  },
+  log: log
+})
+
+var router = spnpm.createRouter({
+  proxy: proxy,
+  admin: { token: 'admin-token' },
+  log: log
+})
+
+function metrics(callback) {
+  var opts = {
+    uri: common.host + '/-/smart/metrics',
+    headers: { authorization: 'Bearer admin-token' }
+  }
+  request.get(opts, function(err, res, body) {
+    if (err) return callback(err)
+    assert.equal(res.statusCode, 200)
+    assert.ok(/^text\/plain/.test(res.headers['content-type']))
+    callback(null, body)
+  })
+}
+
+function get(path) {
+  return function(done) {
+    request.get({ uri: common.host + path, json: true }, function(err) {
+      done(err)
+    })
+  }
+}
+
+describe('smart-private-npm metrics', function() {
+  before(function(done) {
+    server = http
+                .createServer(router.dispatch.bind(router))
+                .listen(common.port, done)
+  })
+
+  before(get('/pub-wl-ok'))
+  before(get('/priv-basic-ok'))
+  before(get('/pub-basic-ok'))
+  before(get('/range-pkg/-/range-pkg-1.5.0.tgz'))
+  before(get('/range-pkg/-/range-pkg-2.0.0.tgz'))
+  before(get('/-/all'))
+
+  after(function(done) {
+    server.on('close', done)
+    server.close()
+  })
+
+  it('should require admin credentials', function(done) {
+    request.get(common.host + '/-/smart/metrics', function(err, res) {
+      if (err) return done(err)
+      assert.equal(res.statusCode, 401)
+      done()
+    })
+  })
+
+  it('should count requests by route type', function(done) {
+    metrics(function(err, body) {
+      if (err) return done(err)
+      assert.ok(/smart_private_npm_requests_total\{route="decide"\} 5/.test(body))
+      assert.ok(/smart_private_npm_requests_total\{route="merge"\} 1/.test(body))
+      done()
+    })
+  })
+
+  it('should count decisions by outcome', function(done) {
+    metrics(function(err, body) {
+      if (err) return done(err)
+      assert.ok(/smart_private_npm_decisions_total\{outcome="public"\} 2/.test(body))
+      assert.ok(/smart_private_npm_decisions_total\{outcome="private"\} 1/.test(body))
+      assert.ok(/smart_private_npm_decisions_total\{outcome="whitelist-denied"\} 2/.test(body))
+      done()
+    })
+  })
+
+  it('should observe upstream latency by host', function(done) {
+    metrics(function(err, body) {
+      if (err) return done(err)
+      var host = url.parse(common.public.url).host
+      assert.ok(body.indexOf('# TYPE smart_private_npm_upstream_duration_seconds histogram') !== -1)
+      assert.ok(body.indexOf('smart_private_npm_upstream_duration_seconds_bucket{host="' + host + '",le="+Inf"}') !== -1)
+      assert.ok(body.indexOf('smart_private_npm_upstream_duration_seconds_count{host="' + host + '"}') !== -1)
+      done()
+    })
+  })
+
+  it('should count tarball bytes served', function(done) {
+    metrics(function(err, body) {
+      if (err) return done(err)
+      assert.ok(/smart_private_npm_tarball_bytes_total\{source="public"\} [1-9]/.test(body))
+      done()
+    })
+  })
+
+  it('should count proxy errors', function() {
+    proxy.onProxyError({ code: 'ECONNRESET', message: 'socket hang up' }, {
+      connection: {},
+      socket: {},
+      headers: {}
+    }, {
+      writeHead: function() {},
+      end: function() {}
+    })
+
+    assert.ok(/smart_private_npm_proxy_errors_total\{code="ECONNRESET"\} 1/.test(proxy.metrics.render()))
+  })
+})
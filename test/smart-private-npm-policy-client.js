@@ -0,0 +1,258 @@
+var common = require('./fixtures/common')
+  , assert = require('assert')
+  , url = require('url')
+  , http = require('http')
+  , path = require('path')
+  , os = require('os')
+  , fs = require('fs')
+  , server
+
+var spnpm = process.env.SPNPM_COV
+  ? require('../lib-cov')
+  : require('../lib')
+
+var policyClient = spnpm.policyClient
+
+// noop log
+var log = {
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+}
+
+var dir = path.join(os.tmpdir(), 'spnpm-policy-client-' + process.pid)
+
+function read(file) {
+  return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+}
+
+function write(file, json) {
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(json))
+}
+
+describe('policy client', function() {
+  before(function() {
+    fs.mkdirSync(dir)
+  })
+
+  after(function() {
+    fs.readdirSync(dir).forEach(function(file) {
+      fs.unlinkSync(path.join(dir, file))
+    })
+    fs.rmdirSync(dir)
+  })
+
+  describe('normalize', function() {
+    it('should accept lists of package names', function() {
+      assert.deepEqual(policyClient.normalize({
+        whitelist: ['a', 'b'],
+        blacklist: { c: true },
+        transparent: 'yes'
+      }), {
+        whitelist: { a: true, b: true },
+        blacklist: { c: true }
+      })
+    })
+  })
+
+  describe('table', function() {
+    it('should print one row for every package', function() {
+      assert.equal(policyClient.table({
+        private: { 'my-pkg': true },
+        blacklist: {},
+        whitelist: null,
+        transparent: false
+      }), [
+        'LIST     PACKAGE  VALUE',
+        'private  my-pkg   true',
+        '',
+        'whitelist:   disabled',
+        'transparent: false'
+      ].join('\n'))
+    })
+  })
+
+  describe('local with a JSON configuration', function() {
+    var file = path.join(dir, 'config.json')
+      , client
+
+    before(function() {
+      write('config.json', {
+        public: 'http://localhost:5984',
+        proxy: { policy: { blacklist: { evil: true }, transparent: false } }
+      })
+      client = policyClient.create({ config: read('config.json'), file: file })
+    })
+
+    it('should list the policy', function(done) {
+      client.list(function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state, {
+          private: {},
+          blacklist: { evil: true },
+          whitelist: null,
+          transparent: false
+        })
+        done()
+      })
+    })
+
+    it('should add to a list', function(done) {
+      client.add('whitelist', 'lodash', '^4.0.0', function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state.whitelist, { lodash: '^4.0.0' })
+        assert.deepEqual(read('config.json').proxy.policy.whitelist, { lodash: '^4.0.0' })
+        assert.equal(read('config.json').public, 'http://localhost:5984')
+        done()
+      })
+    })
+
+    it('should remove from a list', function(done) {
+      client.remove('blacklist', 'evil', function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state.blacklist, {})
+        assert.deepEqual(read('config.json').proxy.policy.blacklist, {})
+        done()
+      })
+    })
+
+    it('should not remove packages which are not in the list', function(done) {
+      client.remove('blacklist', 'evil', function(err) {
+        assert.equal(err.message, 'evil is not in blacklist')
+        done()
+      })
+    })
+
+    it('should not add to unknown lists', function(done) {
+      client.add('greylist', 'evil', undefined, function(err) {
+        assert.equal(err.message, 'Unknown policy list: greylist')
+        done()
+      })
+    })
+
+    it('should import lists', function(done) {
+      client.importState({ whitelist: ['a'], blacklist: { b: true }, transparent: true }, function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state.whitelist, { lodash: '^4.0.0', a: true })
+        assert.deepEqual(state.blacklist, { b: true })
+        assert.equal(read('config.json').proxy.policy.transparent, true)
+        done()
+      })
+    })
+
+    it('should not change JavaScript configurations', function() {
+      assert.throws(function() {
+        policyClient.create({ config: {}, file: path.join(dir, 'config.js') })
+      }, /proxy\.store/)
+    })
+  })
+
+  describe('local with a policy store', function() {
+    var client
+
+    before(function() {
+      client = policyClient.create({
+        config: {
+          proxy: {
+            policy: { private: { 'my-pkg': true }, blacklist: {} },
+            store: path.join(dir, 'policy.json')
+          }
+        }
+      })
+    })
+
+    it('should change the store over the configured policy', function(done) {
+      client.add('private', 'other-pkg', undefined, function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state.private, { 'my-pkg': true, 'other-pkg': true })
+        assert.deepEqual(read('policy.json').private, { 'other-pkg': true })
+        done()
+      })
+    })
+  })
+
+  describe('remote', function() {
+    var proxy = new spnpm.Proxy({
+      npm: url.parse(common.public.url),
+      policy: {
+        npm: url.parse(common.private.url),
+        private: {},
+        blacklist: {},
+        transparent: false
+      },
+      log: log
+    })
+
+    var router = spnpm.createRouter({
+      proxy: proxy,
+      admin: { user: 'admin', password: 'secret', token: 'admin-token' },
+      log: log
+    })
+
+    var client = policyClient.create({
+      url: common.host + '/',
+      admin: { token: 'admin-token' }
+    })
+
+    before(function(done) {
+      server = http
+                  .createServer(router.dispatch.bind(router))
+                  .listen(common.port, done)
+    })
+
+    after(function(done) {
+      server.on('close', done)
+      server.close()
+    })
+
+    it('should add through the admin API', function(done) {
+      client.add('blacklist', '@corp/evil', undefined, function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state.blacklist, { '@corp/evil': true })
+        assert.deepEqual(proxy.policy.blacklist, { '@corp/evil': true })
+        done()
+      })
+    })
+
+    it('should remove through the admin API', function(done) {
+      client.remove('blacklist', '@corp/evil', function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state.blacklist, {})
+        done()
+      })
+    })
+
+    it('should respond with the reason of failures', function(done) {
+      client.remove('blacklist', 'evil', function(err) {
+        assert.equal(err.message, 'evil is not in blacklist')
+        done()
+      })
+    })
+
+    it('should import through the admin API', function(done) {
+      client.importState({ whitelist: { lodash: '^4.0.0' }, transparent: true }, function(err, state) {
+        assert.ifError(err)
+        assert.deepEqual(state.whitelist, { lodash: '^4.0.0' })
+        assert.equal(proxy.policy.transparent, true)
+        done()
+      })
+    })
+
+    it('should fail without credentials', function(done) {
+      policyClient.create({ url: common.host }).list(function(err) {
+        assert.ok(err)
+        done()
+      })
+    })
+
+    it('should time out against a server which never responds', function(done) {
+      var silent = http.createServer(function() {}).listen(8029, function() {
+        policyClient.create({ url: 'http://localhost:8029', timeout: 50 }).list(function(err) {
+          silent.close()
+          assert.equal(err && err.message, 'Timed out after 50ms waiting for http://localhost:8029')
+          done()
+        })
+      })
+    })
+  })
+})